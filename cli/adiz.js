@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// adiz.js - Headless command-line runner for the analyzers
+// Loads datasets from disk through the same FileLoader / DataConnector path the pages use
+// (CSV, JSON, zip or an HTML export such as visualizer.html), runs one analyzer (see
+// commands.js) and writes its result as JSON, one of its tables as CSV, or the HTML brief
+// the pages export.
+//   node cli/adiz.js category --category arms --window 21 --format csv --out arms.csv
+
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import DataConnector from '../js/core/dataConnector.js';
+import FileLoader from '../js/core/fileLoader.js';
+import Exporter from '../js/core/exporter.js';
+import ClassifierRules from '../js/analyzers/classifierRules.js';
+import PreplannedReactive from '../js/analyzers/preplannedReactive.js';
+import Reports from '../js/analyzers/reports.js';
+import Commands from './commands.js';
+
+const Cli = {
+  // The pages' default data: the DATA embedded in visualizer.html
+  DEFAULT_DATA: fileURLToPath(new URL('../visualizer.html', import.meta.url)),
+  FORMATS: ['json', 'csv', 'html'],
+  
+  OPTIONS: {
+    data: { type: 'string', multiple: true, value: 'path', description: 'Dataset file, zip or directory (repeatable; default visualizer.html)' },
+    strict: { type: 'boolean', description: 'Fail on any invalid row instead of skipping it' },
+    format: { type: 'string', value: 'format', description: 'json (the full result) | csv (one table) | html (brief); default from --out, else json' },
+    table: { type: 'string', value: 'name', description: 'Table written as CSV (default: the first listed)' },
+    out: { type: 'string', value: 'file', description: 'Write to a file instead of standard output' },
+    verbose: { type: 'boolean', description: 'Show analyzer logging and every skipped row' },
+    help: { type: 'boolean', description: 'Show help' }
+  },
+  
+  async main(argv) {
+    // Analyzers log progress to the console; keep standard output for the result
+    const log = console.log;
+    const verbose = argv.includes('--verbose');
+    console.log = console.info = (...args) => { if (verbose) console.error(...args); };
+    
+    try {
+      const [name] = argv;
+      if (!name || name === '--help' || name === 'help') {
+        log(this.usage());
+        return 0;
+      }
+      const command = Commands[name];
+      if (!command) {
+        throw this.usageError(`Unknown command '${name}'`);
+      }
+      
+      const flags = this.parse(command, argv.slice(1));
+      if (flags.help) {
+        log(this.commandUsage(name, command));
+        return 0;
+      }
+      
+      const extension = flags.out ? extname(flags.out).toLowerCase().substring(1) : '';
+      const format = flags.format || (['csv', 'html'].includes(extension) ? extension : 'json');
+      if (!this.FORMATS.includes(format)) {
+        throw this.usageError(`--format must be one of ${this.FORMATS.join(', ')}; got '${format}'`);
+      }
+      const tableNames = Object.keys(Reports[name].tables);
+      const table = flags.table || tableNames[0];
+      if (!Reports[name].tables[table]) {
+        throw this.usageError(`Unknown table '${table}' for ${name} (${tableNames.join(', ')})`);
+      }
+      
+      await this.loadData(flags.data || [this.DEFAULT_DATA], { strict: flags.strict, verbose });
+      if (flags.rules) {
+        PreplannedReactive.setRules(ClassifierRules.fromJSON(await readFile(flags.rules, 'utf8')));
+      }
+      
+      const result = command.run(flags);
+      let output = JSON.stringify(result, null, 2) + '\n';
+      if (format === 'csv') {
+        output = Exporter.toCSV(Reports.table(name, result, table));
+      } else if (format === 'html') {
+        output = Exporter.brief(Reports.build(name, result, { parameters: { command: this.commandLine(argv) } }));
+      }
+      
+      if (flags.out) {
+        await writeFile(flags.out, output);
+      } else {
+        process.stdout.write(output);
+      }
+      return 0;
+    } catch (error) {
+      console.error(`adiz: ${error.message}`);
+      if (error.usage) console.error("Run 'adiz --help' for usage.");
+      return error.usage ? 2 : 1;
+    } finally {
+      console.log = log;
+    }
+  },
+  
+  parse(command, args) {
+    const options = Object.fromEntries(Object.entries({ ...this.OPTIONS, ...command.options })
+      .map(([name, spec]) => [name, { type: spec.type, multiple: Boolean(spec.multiple) }]));
+    try {
+      return parseArgs({ args, options, strict: true }).values;
+    } catch (error) {
+      throw this.usageError(error.message);
+    }
+  },
+  
+  /**
+   * Load files (directories contribute their supported files) into DataConnector
+   * Rows that fail to parse are skipped and invalid values reported, as in the manual loader
+   */
+  async loadData(paths, options = {}) {
+    const files = [];
+    for (const path of paths) {
+      if ((await stat(path)).isDirectory()) {
+        const names = (await readdir(path))
+          .filter(name => FileLoader.SUPPORTED_EXTENSIONS.includes(FileLoader.getExtension(name)))
+          .sort();
+        for (const name of names) files.push(await this.readFile(join(path, name)));
+      } else {
+        files.push(await this.readFile(path));
+      }
+    }
+    
+    const loaded = await DataConnector.loadFromFiles(files, { strict: options.strict });
+    const problems = [...loaded.errors, ...loaded.validation.errors];
+    if (problems.length > 0) {
+      console.error(`adiz: ${problems.length} problem(s) in the data${options.verbose ? ':' : ' (--verbose lists them)'}`);
+      if (options.verbose) problems.forEach(issue => console.error(`  ${DataConnector.formatIssue(issue)}`));
+    }
+    return loaded;
+  },
+  
+  async readFile(path) {
+    return new File([await readFile(path)], basename(path));
+  },
+  
+  /**
+   * The command as typed, recorded in a brief's parameters so it can be rerun
+   */
+  commandLine(argv) {
+    return ['adiz', ...argv].map(arg => /^[\w.,:/=@+-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`).join(' ');
+  },
+  
+  usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+  },
+  
+  usage() {
+    const commands = Object.entries(Commands).map(([name, command]) => `  ${name.padEnd(10)}${command.description}`);
+    return [
+      'Usage: adiz <command> [options]',
+      '',
+      'Commands:',
+      ...commands,
+      '',
+      'Options for every command:',
+      ...this.optionLines(this.OPTIONS),
+      '',
+      "Run 'adiz <command> --help' for the command's options and tables."
+    ].join('\n');
+  },
+  
+  commandUsage(name, command) {
+    return [
+      `Usage: adiz ${name} [options]`,
+      '',
+      command.description,
+      '',
+      'Options:',
+      ...this.optionLines(command.options),
+      ...this.optionLines(this.OPTIONS),
+      '',
+      `Tables (--format csv): ${Object.keys(Reports[name].tables).join(', ')}`,
+      '',
+      'Example:',
+      `  ${command.example}`
+    ].join('\n');
+  },
+  
+  optionLines(options) {
+    return Object.entries(options).map(([name, spec]) => {
+      const flag = `--${name}${spec.value ? ` <${spec.value}>` : ''}`;
+      return `  ${flag.padEnd(34)}${spec.description}`;
+    });
+  }
+};
+
+process.exitCode = await Cli.main(process.argv.slice(2));
@@ -0,0 +1,259 @@
+// commands.js - Commands of the adiz command-line runner
+// Each command maps its flags onto the options of the matching module page and runs the
+// same analyzer the page runs. run() returns the analyzer's result object unchanged, so
+// JSON output carries exactly the numbers the page shows; its CSV tables and HTML brief
+// are the page's exports (js/analyzers/reports.js, keyed by command name).
+
+import DataConnector from '../js/core/dataConnector.js';
+import Utils from '../js/core/utils.js';
+import EventStudy from '../js/core/eventStudy.js';
+import SingleEventAnalyzer from '../js/analyzers/singleEvent.js';
+import CategoryAnalyzer from '../js/analyzers/categoryAnalyzer.js';
+import ABCompare from '../js/analyzers/abCompare.js';
+import PreplannedReactive from '../js/analyzers/preplannedReactive.js';
+import SpikeAnalyzer from '../js/analyzers/spikeAnalyzer.js';
+
+// Flag readers; a bad value throws an error marked as a usage error
+const Flags = {
+  usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+  },
+  
+  /**
+   * A whole number of at least minimum; the analyzers read a window, day count or --top
+   * of 0 as "use the default", so those flags pass a minimum of 1
+   */
+  integer(flags, name, fallback, minimum = 0) {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < minimum) {
+      throw this.usageError(`--${name} must be a whole number${minimum > 0 ? ` of at least ${minimum}` : ''}, got '${flags[name]}'`);
+    }
+    return value;
+  },
+  
+  choice(flags, name, choices, fallback) {
+    if (flags[name] === undefined) return fallback;
+    if (!choices.includes(flags[name])) {
+      throw this.usageError(`--${name} must be one of ${choices.join(', ')}; got '${flags[name]}'`);
+    }
+    return flags[name];
+  },
+  
+  /**
+   * DataConnector.getEvents filters from --category, --dataset, --year and --expression
+   * (with a prefix for the A/B groups: --a-category, ...)
+   */
+  filters(flags, prefix = '') {
+    const filters = {};
+    if (flags[`${prefix}category`]) filters.category = flags[`${prefix}category`];
+    if (flags[`${prefix}dataset`]) filters.dataset = flags[`${prefix}dataset`];
+    if (flags[`${prefix}year`]) filters.year = flags[`${prefix}year`];
+    if (flags[`${prefix}expression`]) filters.expression = flags[`${prefix}expression`];
+    return filters;
+  },
+  
+  /**
+   * The one event on --date, narrowed by --dataset and --label (case-insensitive text)
+   */
+  event(flags) {
+    if (!flags.date) {
+      throw this.usageError('Choose an event with --date (and --dataset / --label when several share the date)');
+    }
+    const label = flags.label ? flags.label.toLowerCase() : null;
+    const matches = DataConnector.getEvents({ startDate: flags.date, endDate: flags.date })
+      .filter(e => !flags.dataset || e.dataset === flags.dataset)
+      .filter(e => !label || e.label.toLowerCase().includes(label));
+    
+    if (matches.length === 0) {
+      throw new Error(`No event on ${flags.date}${flags.dataset ? ` in ${flags.dataset}` : ''}${label ? ` matching '${flags.label}'` : ''}`);
+    }
+    if (matches.length > 1) {
+      const list = matches.map(e => `  ${e.dataset}: ${e.label}`).join('\n');
+      throw new Error(`${matches.length} events on ${flags.date}; narrow with --dataset or --label:\n${list}`);
+    }
+    return matches[0];
+  },
+  
+  /**
+   * Window, missing-day and impact-model options shared by the event-response modules
+   */
+  response(flags, defaultWindow) {
+    return {
+      windowSize: this.integer(flags, 'window', defaultWindow, 1),
+      missingPolicy: this.choice(flags, 'missing-policy', Utils.MISSING_POLICIES, Utils.DEFAULT_MISSING_POLICY),
+      model: this.choice(flags, 'model', EventStudy.MODELS, EventStudy.DEFAULT_MODEL)
+    };
+  },
+  
+  confounders(flags) {
+    return {
+      confounderMode: this.choice(flags, 'confounder-mode', CategoryAnalyzer.CONFOUNDER_MODES, 'include'),
+      confounderDays: this.integer(flags, 'confounder-days', CategoryAnalyzer.DEFAULT_CONFOUNDER_DAYS, 1)
+    };
+  }
+};
+
+// Option specs: {type, multiple, value (placeholder shown in help), description}
+const FILTER_OPTIONS = {
+  category: { type: 'string', value: 'name', description: 'Event category (arms, diplomatic, ships, bills, taiwan_actions, ...)' },
+  dataset: { type: 'string', value: 'key', description: 'Dataset key' },
+  year: { type: 'string', value: 'YYYY', description: 'Events in one year' },
+  expression: { type: 'string', value: 'text', description: "Filter expression, e.g. \"category = arms and fields.value_usd > 1e9\"" }
+};
+
+const RESPONSE_OPTIONS = {
+  window: { type: 'string', value: 'days', description: 'Window size (±days)' },
+  'missing-policy': { type: 'string', value: 'policy', description: `Missing days: ${Utils.MISSING_POLICIES.join(' | ')}` },
+  model: { type: 'string', value: 'model', description: `Impact model: ${EventStudy.MODELS.join(' | ')}` }
+};
+
+const CONFOUNDER_OPTIONS = {
+  'confounder-mode': { type: 'string', value: 'mode', description: `Overlapping events: ${CategoryAnalyzer.CONFOUNDER_MODES.join(' | ')}` },
+  'confounder-days': { type: 'string', value: 'days', description: 'Days within which another event is a confounder' }
+};
+
+const EVENT_OPTIONS = {
+  date: { type: 'string', value: 'YYYY-MM-DD', description: 'Event date' },
+  dataset: { type: 'string', value: 'key', description: 'Dataset of the event, when several share the date' },
+  label: { type: 'string', value: 'text', description: 'Text in the event label, when several share the date' }
+};
+
+const Commands = {
+  single: {
+    description: 'Module 1: ADIZ response around one event',
+    example: 'adiz single --date 2022-08-02 --dataset diplomatic --window 14',
+    options: {
+      ...EVENT_OPTIONS,
+      ...RESPONSE_OPTIONS,
+      'baseline-days': { type: 'string', value: 'days', description: 'Baseline period before the event (default 30)' }
+    },
+    run(flags) {
+      return SingleEventAnalyzer.analyze(Flags.event(flags), {
+        ...Flags.response(flags, 7),
+        baselineDays: Flags.integer(flags, 'baseline-days', 30, 1)
+      });
+    }
+  },
+  
+  category: {
+    description: 'Module 2: average ADIZ response across a category of events',
+    example: 'adiz category --category arms --year 2022 --format csv',
+    options: { ...FILTER_OPTIONS, ...RESPONSE_OPTIONS, ...CONFOUNDER_OPTIONS },
+    run(flags) {
+      const filters = Flags.filters(flags);
+      if (Object.keys(filters).length === 0) {
+        throw Flags.usageError('Choose events with --category, --dataset, --year or --expression');
+      }
+      return CategoryAnalyzer.analyze(filters, { ...Flags.response(flags, 14), ...Flags.confounders(flags) });
+    }
+  },
+  
+  compare: {
+    description: 'Module 3: compare two event groups (--a-*/--b-*), or any number (--group, --by-dataset, --split)',
+    example: 'adiz compare --a-category arms --b-category diplomatic\n' +
+      '  adiz compare --group "Big=fields.value_usd > 1e9" --group "Small=fields.value_usd <= 1e9" --metric peak',
+    options: {
+      ...Object.fromEntries(['a', 'b'].flatMap(group => Object.entries(FILTER_OPTIONS).map(([name, spec]) => [
+        `${group}-${name}`,
+        { ...spec, description: `Group ${group.toUpperCase()}: ${spec.description.charAt(0).toLowerCase()}${spec.description.substring(1)}` }
+      ]))),
+      group: { type: 'string', multiple: true, value: 'name=expression', description: 'A named group (repeat for each group)' },
+      'by-dataset': { type: 'boolean', description: 'One group per dataset' },
+      split: { type: 'string', value: 'dataset:field', description: "One group per value of a dataset's field" },
+      metric: { type: 'string', value: 'metric', description: `Multi-group metric: ${Object.keys(ABCompare.GROUP_METRICS).join(' | ')}` },
+      correction: { type: 'string', value: 'method', description: `Pairwise correction: ${Object.keys(ABCompare.CORRECTIONS).join(' | ')}` },
+      ...RESPONSE_OPTIONS,
+      ...CONFOUNDER_OPTIONS
+    },
+    run(flags) {
+      const options = { ...Flags.response(flags, 14), ...Flags.confounders(flags) };
+      const groups = this.groups(flags);
+      
+      if (!groups) {
+        const filtersA = Flags.filters(flags, 'a-');
+        const filtersB = Flags.filters(flags, 'b-');
+        if (Object.keys(filtersA).length === 0 || Object.keys(filtersB).length === 0) {
+          throw Flags.usageError('Choose both groups (--a-category ... --b-category ...), or use --group, --by-dataset or --split');
+        }
+        return ABCompare.compare(filtersA, filtersB, options);
+      }
+      
+      return ABCompare.compareGroups(groups, {
+        ...options,
+        metric: Flags.choice(flags, 'metric', Object.keys(ABCompare.GROUP_METRICS), 'delta'),
+        correction: Flags.choice(flags, 'correction', Object.keys(ABCompare.CORRECTIONS), 'holm')
+      });
+    },
+    // Named groups for compareGroups, or null for an A/B comparison
+    groups(flags) {
+      if (flags['by-dataset']) return ABCompare.groupsByDataset();
+      if (flags.split) {
+        const [dataset, field] = flags.split.split(':');
+        if (!dataset || !field) throw Flags.usageError('--split takes dataset:field, e.g. arms_sales:domain');
+        return ABCompare.groupsByField(dataset, field);
+      }
+      if (!flags.group) return null;
+      return flags.group.map(text => {
+        const split = text.indexOf('=');
+        if (split <= 0) throw Flags.usageError(`--group takes name=expression; got '${text}'`);
+        return { name: text.substring(0, split).trim(), filters: { expression: text.substring(split + 1).trim() } };
+      });
+    }
+  },
+  
+  classify: {
+    description: 'Module 8: reactive vs pre-planned verdict for one event (--date) or every matching event',
+    example: 'adiz classify --date 2022-08-02 --dataset diplomatic\n' +
+      '  adiz classify --category arms --rules my-rules.json --format csv',
+    options: {
+      ...EVENT_OPTIONS,
+      dataset: { ...FILTER_OPTIONS.dataset, description: 'Dataset key: narrows the --date lookup, or the events classified in batch' },
+      category: FILTER_OPTIONS.category,
+      year: FILTER_OPTIONS.year,
+      expression: FILTER_OPTIONS.expression,
+      window: RESPONSE_OPTIONS.window,
+      'missing-policy': RESPONSE_OPTIONS['missing-policy'],
+      rules: { type: 'string', value: 'file', description: 'Rule set JSON (as exported from Module 8); defaults to the built-in rules' }
+    },
+    // The runner installs --rules as the active rule set before run()
+    run(flags) {
+      const options = {
+        windowSize: Flags.integer(flags, 'window', 21, 1),
+        missingPolicy: Flags.choice(flags, 'missing-policy', Utils.MISSING_POLICIES, Utils.DEFAULT_MISSING_POLICY)
+      };
+      if (flags.date) return PreplannedReactive.classify(Flags.event(flags), options);
+      
+      return PreplannedReactive.classifyBatch(Flags.filters(flags), options);
+    }
+  },
+  
+  spikes: {
+    description: 'Module 9: top ADIZ surges and their likely triggers',
+    example: 'adiz spikes --top 10 --date-range recent --format csv --table triggers',
+    options: {
+      top: { type: 'string', value: 'n', description: 'Number of surges (default 20)' },
+      'min-threshold': { type: 'string', value: 'aircraft', description: 'Smallest surge peak counted (default 15)' },
+      'date-range': { type: 'string', value: 'range', description: 'all | recent (last 12 months of data) | YYYY' },
+      window: { type: 'string', value: 'days', description: 'Days before a surge searched for triggers (default 14)' },
+      'missing-policy': RESPONSE_OPTIONS['missing-policy']
+    },
+    run(flags) {
+      const dateRange = flags['date-range'] || 'all';
+      if (!/^(all|recent|\d{4})$/.test(dateRange)) {
+        throw Flags.usageError(`--date-range must be all, recent or a year; got '${dateRange}'`);
+      }
+      return SpikeAnalyzer.analyze({
+        topN: Flags.integer(flags, 'top', 20, 1),
+        minThreshold: Flags.integer(flags, 'min-threshold', 15),
+        windowSize: Flags.integer(flags, 'window', 14, 1),
+        dateRange,
+        missingPolicy: Flags.choice(flags, 'missing-policy', Utils.MISSING_POLICIES, undefined)
+      });
+    }
+  }
+};
+
+export default Commands;
@@ -1,17 +1,41 @@
 // abCompare.js - Module 3: A/B Comparison Analyzer
-// Compare two filtered event groups to see which triggers stronger ADIZ reactions
+// Compare two filtered event groups to see which triggers stronger ADIZ reactions, or any
+// number of named groups at once (omnibus test, corrected pairwise tests, ranked table)
 
 import Utils from '../core/utils.js';
+import Stats from '../core/stats.js';
+import EventStudy from '../core/eventStudy.js';
 import DataConnector from '../core/dataConnector.js';
+import DataSchema from '../core/schema.js';
+import FilterLanguage from '../core/filterLanguage.js';
+import Progress from '../core/progress.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
 
 const ABCompare = {
   currentComparison: null,
+  currentMultiComparison: null,
+  
+  // Per-event measures the N-way comparison can rank groups by (fields of event analyses)
+  GROUP_METRICS: {
+    delta: 'Days 1-7 vs baseline (aircraft)',
+    peak: 'Peak in window (aircraft)',
+    avg7DaySpike: 'Days 1-7 mean (aircraft)',
+    car: 'Cumulative abnormal response (event-study model)'
+  },
+  
+  // Multiple-comparison corrections for the pairwise tests
+  CORRECTIONS: {
+    holm: 'Holm (family-wise error)',
+    bh: 'Benjamini-Hochberg (false discovery rate)'
+  },
   
   /**
    * Compare two groups of events
-   * @param {object} groupAFilters - Filters for Group A
+   * @param {object} groupAFilters - DataConnector.getEvents filters for Group A; a saved
+   *                                filter is passed as {expression}
    * @param {object} groupBFilters - Filters for Group B
-   * @param {object} options - Analysis options {windowSize}
+   * @param {object} options - Analysis options {windowSize, missingPolicy, model, confounderMode,
+   *                             confounderDays, alpha, iterations, seed}
    */
   compare(groupAFilters, groupBFilters, options = {}) {
     if (!DataConnector.isLoaded()) {
@@ -19,6 +43,7 @@ const ABCompare = {
     }
     
     const windowSize = options.windowSize || 14;
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
     
     console.log('Comparing Group A:', groupAFilters);
     console.log('Against Group B:', groupBFilters);
@@ -35,98 +60,270 @@ const ABCompare = {
     }
     
     // Analyze each group
-    const groupA = this.analyzeGroup(eventsA, windowSize, 'A');
-    const groupB = this.analyzeGroup(eventsB, windowSize, 'B');
+    const groupA = this.analyzeGroup(eventsA, windowSize, 'A', options);
+    const groupB = this.analyzeGroup(eventsB, windowSize, 'B', options);
     
     // Calculate comparison metrics
-    const comparison = this.calculateComparison(groupA, groupB);
+    const comparison = this.calculateComparison(groupA, groupB, {
+      alpha: options.alpha || Stats.DEFAULT_ALPHA,
+      iterations: options.iterations || Stats.DEFAULT_ITERATIONS,
+      seed: options.seed ?? Stats.DEFAULT_SEED
+    });
     
     this.currentComparison = {
       groupA,
       groupB,
       comparison,
-      windowSize
+      windowSize,
+      missingPolicy,
+      model: options.model || EventStudy.DEFAULT_MODEL
     };
     
     return this.currentComparison;
   },
   
+  /**
+   * Compare any number of named event groups
+   * Every group is analyzed like an A/B group; the groups are then tested together on one
+   * per-event metric (Kruskal-Wallis and one-way ANOVA, both with permutation p-values) and
+   * pair by pair (Stats.compareSamples, p-values adjusted for the number of pairs).
+   * Rankings use plain per-event means so they agree with the tests; the confounder-weighted
+   * averages stay available in each group's stats.
+   * @param {object[]} groups - [{name, filters}] with DataConnector.getEvents filters
+   * @param {object} options - compare() options plus {metric (GROUP_METRICS), correction (CORRECTIONS)}
+   * @returns {object} {groups, skipped, metric, correction, alpha, omnibus: {kruskalWallis, anova},
+   *   pairwise: [{a, b, diff, pValue, adjustedP, significant, ci, cliffsDelta, ...}],
+   *   ranking: [{rank, name, eventCount, n, mean, se, median, above, below}], ...}
+   */
+  compareGroups(groups, options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    if (!Array.isArray(groups) || groups.length < 2) {
+      throw new Error('Add at least two groups to compare');
+    }
+    const names = groups.map(g => g.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+      throw new Error(`Two groups are named "${duplicate}". Give every group its own name.`);
+    }
+    
+    const windowSize = options.windowSize || 14;
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const model = options.model || EventStudy.DEFAULT_MODEL;
+    const metric = options.metric || 'delta';
+    const correction = options.correction || 'holm';
+    if (!this.GROUP_METRICS[metric]) {
+      throw new Error(`Unknown comparison metric: ${metric}`);
+    }
+    if (!this.CORRECTIONS[correction]) {
+      throw new Error(`Unknown multiple-comparison correction: ${correction}`);
+    }
+    if (metric === 'car' && model !== 'event-study') {
+      throw new Error('CAR is only measured under the event-study model');
+    }
+    const testOptions = {
+      alpha: options.alpha || Stats.DEFAULT_ALPHA,
+      iterations: options.iterations || Stats.DEFAULT_ITERATIONS,
+      seed: options.seed ?? Stats.DEFAULT_SEED
+    };
+    
+    // Groups without a measurable event are reported, not fatal
+    const analyzed = [];
+    const skipped = [];
+    groups.forEach(({ name, filters }) => {
+      const events = DataConnector.getEvents(filters);
+      if (events.length === 0) {
+        skipped.push({ name, reason: 'No events match' });
+        return;
+      }
+      let group;
+      try {
+        group = { ...this.analyzeGroup(events, windowSize, name, options), filters };
+      } catch (error) {
+        skipped.push({ name, reason: error.message });
+        return;
+      }
+      const sample = Utils.reportedValues(group.eventAnalyses.map(a => a[metric]));
+      if (sample.length === 0) {
+        skipped.push({ name, reason: `No event has a measurable ${this.GROUP_METRICS[metric].toLowerCase()}` });
+        return;
+      }
+      analyzed.push({ ...group, sample });
+    });
+    
+    if (analyzed.length < 2) {
+      throw new Error(`Fewer than two groups have measurable events (${skipped.map(s => `${s.name}: ${s.reason}`).join('; ')})`);
+    }
+    
+    const samples = analyzed.map(g => g.sample);
+    Progress.report('Testing groups', 0, 1);
+    const omnibus = {
+      kruskalWallis: Stats.kruskalWallis(samples, testOptions),
+      anova: Stats.oneWayAnova(samples, testOptions)
+    };
+    
+    const pairwise = [];
+    const pairCount = analyzed.length * (analyzed.length - 1) / 2;
+    for (let i = 0; i < analyzed.length; i++) {
+      for (let j = i + 1; j < analyzed.length; j++) {
+        Progress.report('Testing group pairs', pairwise.length, pairCount);
+        pairwise.push({ a: analyzed[i].groupName, b: analyzed[j].groupName, ...Stats.compareSamples(samples[i], samples[j], testOptions) });
+      }
+    }
+    Progress.report('Testing group pairs', pairCount, pairCount);
+    const pValues = pairwise.map(pair => pair.pValue);
+    const adjusted = correction === 'bh' ? Stats.benjaminiHochberg(pValues) : Stats.holm(pValues);
+    pairwise.forEach((pair, i) => {
+      pair.adjustedP = adjusted[i];
+      pair.significant = adjusted[i] !== null && adjusted[i] < testOptions.alpha;
+    });
+    
+    const ranking = analyzed
+      .map(group => ({
+        name: group.groupName,
+        eventCount: group.eventCount,
+        n: group.sample.length,
+        mean: Utils.mean(group.sample),
+        se: group.sample.length > 1 ? Stats.sampleStdDev(group.sample) / Math.sqrt(group.sample.length) : null,
+        median: this.median(group.sample),
+        above: [],
+        below: []
+      }))
+      .sort((a, b) => b.mean - a.mean)
+      .map((row, i) => ({ rank: i + 1, ...row }));
+    
+    // Which groups each one significantly out- or under-responds
+    pairwise.filter(pair => pair.significant).forEach(pair => {
+      const [higher, lower] = pair.diff > 0 ? [pair.a, pair.b] : [pair.b, pair.a];
+      ranking.find(r => r.name === higher).above.push(lower);
+      ranking.find(r => r.name === lower).below.push(higher);
+    });
+    
+    this.currentMultiComparison = {
+      groups: analyzed,
+      skipped,
+      metric,
+      correction,
+      alpha: testOptions.alpha,
+      omnibus,
+      pairwise,
+      ranking,
+      windowSize,
+      missingPolicy,
+      model
+    };
+    
+    return this.currentMultiComparison;
+  },
+  
+  /**
+   * One group per dataset that has events, named by dataset key
+   */
+  groupsByDataset() {
+    const datasets = [...new Set(DataConnector.getEvents().map(e => e.dataset))];
+    return datasets.map(dataset => ({ name: dataset, filters: { expression: `dataset = ${dataset}` } }));
+  },
+  
+  /**
+   * One group per value of a categorical field of one dataset (e.g. arms sales by
+   * us_administration), as filter expressions so they can be edited and saved
+   */
+  groupsByField(dataset, field, maxLevels = 12) {
+    const events = DataConnector.getEvents({ dataset });
+    const profile = DataSchema.profileFields(dataset, events, maxLevels).find(p => p.field === field);
+    if (!profile || !profile.categorical) {
+      throw new Error(`${field} has fewer than 2 or more than ${maxLevels} distinct values in ${dataset}`);
+    }
+    
+    const fieldRef = /^[A-Za-z_]\w*$/.test(field) ? field : FilterLanguage.quote(field);
+    return profile.values.map(value => ({
+      name: value,
+      filters: { expression: `dataset = ${dataset} and fields.${fieldRef} = ${FilterLanguage.quote(value)}` }
+    }));
+  },
+  
   /**
    * Analyze a group of events
    */
-  analyzeGroup(events, windowSize, groupName) {
-    const baselineMap = DataConnector.baselineMap;
-    
-    const eventAnalyses = events.map(event => {
-      const windowData = Utils.getWindowData(event.date, windowSize, baselineMap);
-      const baselineStats = Utils.getBaselineStats(event.date, 30, baselineMap);
-      
-      const postEventValues = windowData
-        .filter(d => d.days_from_event > 0 && d.days_from_event <= 7)
-        .map(d => d.adiz_count);
-      
-      const avg7DaySpike = postEventValues.length > 0 ? Utils.mean(postEventValues) : 0;
-      const peak = Utils.max(windowData.map(d => d.adiz_count));
-      const timeToPeak = Utils.getTimeToPeak(windowData);
-      
+  analyzeGroup(events, windowSize, groupName, options = {}) {
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const model = options.model || EventStudy.DEFAULT_MODEL;
+    
+    // Confounder handling and per-event response use the same definitions as Module 2
+    const confounderPolicy = CategoryAnalyzer.applyConfounderPolicy(events, options);
+    if (confounderPolicy.kept.length === 0) {
+      throw new Error(`All Group ${groupName} events have other events within ${confounderPolicy.days} days. Widen the filters or allow confounded events.`);
+    }
+    
+    const eventAnalyses = confounderPolicy.kept.map(({ event, confounders, weight }, i, kept) => {
+      Progress.report(`Group ${groupName}`, i, kept.length);
       return {
-        event,
-        windowData,
-        baseline: baselineStats,
-        peak,
-        timeToPeak: timeToPeak ? timeToPeak.days : null,
-        avg7DaySpike,
-        delta: avg7DaySpike - baselineStats.mean
+        ...CategoryAnalyzer.analyzeEvent(event, windowSize, DataConnector.series, { ...options, missingPolicy, model }),
+        confounders,
+        weight
       };
     });
+    Progress.report(`Group ${groupName}`, eventAnalyses.length, eventAnalyses.length);
+    const weights = eventAnalyses.map(a => a.weight);
     
     // Calculate aggregate stats
     const allPeaks = eventAnalyses.map(a => a.peak);
     const all7DaySpikes = eventAnalyses.map(a => a.avg7DaySpike);
     const allDeltas = eventAnalyses.map(a => a.delta);
-    const allTimeToPeak = eventAnalyses.filter(a => a.timeToPeak !== null).map(a => a.timeToPeak);
+    const allTimeToPeak = eventAnalyses.map(a => a.timeToPeak);
+    
+    const avgBaseline = Utils.weightedMean(eventAnalyses.map(a => a.reference), weights);
+    const avgIncrease = Utils.weightedMean(all7DaySpikes, weights) - avgBaseline;
     
-    const avgBaseline = Utils.mean(eventAnalyses.map(a => a.baseline.mean));
-    const avgIncrease = Utils.mean(all7DaySpikes) - avgBaseline;
+    // Average response curve
+    const avgCurve = this.calculateAverageCurve(eventAnalyses, windowSize, missingPolicy);
     
     // Find peak day
     let maxSpikeDay = 0;
     let maxSpikeValue = 0;
-    for (let offset = 1; offset <= windowSize; offset++) {
-      const valuesAtOffset = eventAnalyses
-        .map(a => {
-          const point = a.windowData.find(d => d.days_from_event === offset);
-          return point ? point.adiz_count : null;
-        })
-        .filter(v => v !== null);
-      
-      if (valuesAtOffset.length > 0) {
-        const avgAtOffset = Utils.mean(valuesAtOffset);
-        if (avgAtOffset > maxSpikeValue) {
-          maxSpikeValue = avgAtOffset;
-          maxSpikeDay = offset;
-        }
+    avgCurve.forEach(point => {
+      if (point.offset >= 1 && point.mean > maxSpikeValue) {
+        maxSpikeValue = point.mean;
+        maxSpikeDay = point.offset;
       }
-    }
+    });
     
-    // Average response curve
-    const avgCurve = this.calculateAverageCurve(eventAnalyses, windowSize);
+    // Data coverage across the group's event windows
+    const coverage = Utils.mergeCoverage(eventAnalyses.map(a => a.coverage));
+    
+    // Cross-event abnormal response (CAR) when the event-study model is active
+    const eventStudy = model === 'event-study'
+      ? EventStudy.aggregate(eventAnalyses.map(a => a.eventStudy), windowSize)
+      : null;
     
     return {
       groupName,
-      eventCount: events.length,
+      eventCount: eventAnalyses.length,
       eventAnalyses,
       avgCurve,
+      coverage,
+      eventStudy,
+      confounderPolicy: {
+        mode: confounderPolicy.mode,
+        days: confounderPolicy.days,
+        matchedCount: events.length,
+        excluded: confounderPolicy.excluded.map(t => t.event)
+      },
       stats: {
-        avgPeak: Utils.mean(allPeaks),
-        avgPeakStdDev: Utils.stdDev(allPeaks),
-        avg7DaySpike: Utils.mean(all7DaySpikes),
-        avgDelta: Utils.mean(allDeltas),
+        avgPeak: Utils.weightedMean(allPeaks, weights),
+        avgPeakStdDev: Utils.weightedStdDev(allPeaks, weights),
+        avg7DaySpike: Utils.weightedMean(all7DaySpikes, weights),
+        avgDelta: Utils.weightedMean(allDeltas, weights),
         avgBaseline: avgBaseline,
         avgIncrease: avgIncrease,
-        avgTimeToPeak: allTimeToPeak.length > 0 ? Utils.mean(allTimeToPeak) : null,
+        avgTimeToPeak: Utils.reportedValues(allTimeToPeak).length > 0 ? Utils.weightedMean(allTimeToPeak, weights) : null,
         maxSpikeDay: maxSpikeDay,
-        medianPeak: this.median(allPeaks)
+        medianPeak: this.median(allPeaks),
+        coverage: coverage.ratio,
+        thinEvents: eventAnalyses.filter(a => a.coverage.thin).length,
+        avgCAR: eventStudy ? eventStudy.meanCAR : null,
+        carSE: eventStudy ? eventStudy.carSE : null
       }
     };
   },
@@ -134,38 +331,15 @@ const ABCompare = {
   /**
    * Calculate average response curve for a group
    */
-  calculateAverageCurve(eventAnalyses, windowSize) {
-    const curve = [];
-    
-    for (let offset = -windowSize; offset <= windowSize; offset++) {
-      const valuesAtOffset = eventAnalyses
-        .map(a => {
-          const point = a.windowData.find(d => d.days_from_event === offset);
-          return point ? point.adiz_count : null;
-        })
-        .filter(v => v !== null);
-      
-      if (valuesAtOffset.length > 0) {
-        const mean = Utils.mean(valuesAtOffset);
-        const stdDev = Utils.stdDev(valuesAtOffset);
-        
-        curve.push({
-          offset,
-          mean,
-          stdDev,
-          upperBound: mean + stdDev,
-          lowerBound: Math.max(0, mean - stdDev)
-        });
-      }
-    }
-    
-    return curve;
+  calculateAverageCurve(eventAnalyses, windowSize, missingPolicy) {
+    return CategoryAnalyzer.calculateAverageResponseCurve(eventAnalyses, windowSize, missingPolicy);
   },
   
   /**
    * Calculate comparison metrics between groups
+   * @param {object} testOptions - {alpha, iterations, seed} for the significance tests
    */
-  calculateComparison(groupA, groupB) {
+  calculateComparison(groupA, groupB, testOptions = {}) {
     const statsA = groupA.stats;
     const statsB = groupB.stats;
     
@@ -178,12 +352,20 @@ const ABCompare = {
     const increaseDiff = statsA.avgIncrease - statsB.avgIncrease;
     const spikeDiff = statsA.avg7DaySpike - statsB.avg7DaySpike;
     
-    // Determine which is more inflammatory
-    const moreInflammatory = statsA.avgIncrease > statsB.avgIncrease ? 'A' : 'B';
+    // Significance of each headline metric (per-event samples, A - B)
+    const significance = this.testSignificance(groupA, groupB, testOptions);
+    
+    // Determine which is more inflammatory, from the statistic the significance test uses
+    const moreInflammatory = this.meanIncrease(groupA) > this.meanIncrease(groupB) ? 'A' : 'B';
     const inflammatoryMargin = Math.abs(peakRatio - 1) * 100; // % difference
     
     // Generate recommendation
-    const recommendation = this.generateRecommendation(groupA, groupB, moreInflammatory, inflammatoryMargin);
+    const recommendation = this.generateRecommendation(groupA, groupB, moreInflammatory, inflammatoryMargin, significance);
+    
+    // Averages are confounder-weighted but the resampling tests treat every event equally
+    if (groupA.confounderPolicy.mode === 'downweight') {
+      recommendation.details.push('Averages down-weight confounded events; significance tests weight all events equally');
+    }
     
     return {
       peakRatio,
@@ -194,47 +376,135 @@ const ABCompare = {
       spikeDiff,
       moreInflammatory,
       inflammatoryMargin,
+      significant: significance.avgIncrease.significant,
+      significance,
       recommendation
     };
   },
   
+  /**
+   * Permutation tests, bootstrap CIs and effect sizes for avgIncrease, avgPeak and avg7DaySpike
+   * (plus CAR under the event-study model)
+   * avgIncrease is tested on each event's delta (7-day post-event mean minus its reference level)
+   */
+  testSignificance(groupA, groupB, testOptions = {}) {
+    const metrics = {
+      avgIncrease: a => a.delta,
+      avgPeak: a => a.peak,
+      avg7DaySpike: a => a.avg7DaySpike
+    };
+    if (groupA.eventStudy && groupB.eventStudy) {
+      metrics.car = a => a.car;
+    }
+    
+    const result = {
+      alpha: testOptions.alpha || Stats.DEFAULT_ALPHA,
+      iterations: testOptions.iterations || Stats.DEFAULT_ITERATIONS,
+      seed: testOptions.seed ?? Stats.DEFAULT_SEED
+    };
+    
+    Object.entries(metrics).forEach(([metric, pick]) => {
+      result[metric] = Stats.compareSamples(
+        groupA.eventAnalyses.map(pick),
+        groupB.eventAnalyses.map(pick),
+        result
+      );
+    });
+    
+    return result;
+  },
+  
+  /**
+   * Unweighted mean of a group's per-event deltas: the statistic the permutation test and
+   * bootstrap CI compare (stats.avgIncrease is confounder-weighted under 'downweight')
+   */
+  meanIncrease(group) {
+    return Utils.mean(group.eventAnalyses.map(a => a.delta));
+  },
+  
   /**
    * Generate human-readable recommendation
+   * Declares no winner when the avgIncrease difference is not statistically significant.
+   * Increases are the unweighted per-event means, so the winner, ratio and test agree.
    */
-  generateRecommendation(groupA, groupB, moreInflammatory, margin) {
+  generateRecommendation(groupA, groupB, moreInflammatory, margin, significance = null) {
+    const increaseTest = significance ? significance.avgIncrease : null;
+    const formatP = p => p === null ? 'n/a' : p < 0.001 ? '< 0.001' : p.toFixed(3);
+    const formatCI = ci => ci.lower === null
+      ? 'n/a'
+      : `[${ci.lower.toFixed(1)}, ${ci.upper.toFixed(1)}]`;
+    
+    if (increaseTest && !increaseTest.significant) {
+      return {
+        summary: `No significant difference between Group A and Group B (p = ${formatP(increaseTest.pValue)}).`,
+        details: [
+          `Group A causes ${this.formatSigned(this.meanIncrease(groupA))} aircraft increase on average`,
+          `Group B causes ${this.formatSigned(this.meanIncrease(groupB))} aircraft increase on average`,
+          `Difference (A − B): ${this.formatSigned(increaseTest.diff)}, ${(increaseTest.ci.level * 100).toFixed(0)}% CI ${formatCI(increaseTest.ci)}`,
+          `Effect size: Cliff's δ = ${increaseTest.cliffsDelta !== null ? increaseTest.cliffsDelta.toFixed(2) : 'n/a'} (${increaseTest.effectSize})`
+        ],
+        winner: null,
+        lessInflammatory: null
+      };
+    }
+    
     const winner = moreInflammatory === 'A' ? groupA : groupB;
     const loser = moreInflammatory === 'A' ? groupB : groupA;
     const winnerName = moreInflammatory === 'A' ? 'Group A' : 'Group B';
     const loserName = moreInflammatory === 'A' ? 'Group B' : 'Group A';
     
-    const ratio = winner.stats.avgIncrease / loser.stats.avgIncrease;
+    const winnerIncrease = this.meanIncrease(winner);
+    const loserIncrease = this.meanIncrease(loser);
     
-    let severity;
-    if (ratio > 3) severity = 'significantly more';
-    else if (ratio > 2) severity = 'much more';
-    else if (ratio > 1.5) severity = 'moderately more';
-    else severity = 'somewhat more';
+    // A ratio only reads as "x stronger" when both groups raise activity
+    let summary;
+    if (winnerIncrease > 0 && loserIncrease > 0) {
+      const ratio = winnerIncrease / loserIncrease;
+      let severity;
+      if (ratio > 3) severity = 'significantly more';
+      else if (ratio > 2) severity = 'much more';
+      else if (ratio > 1.5) severity = 'moderately more';
+      else severity = 'somewhat more';
+      summary = `${winnerName} triggers ${severity} inflammatory (${ratio.toFixed(1)}x stronger average increase).`;
+    } else {
+      summary = `${winnerName} triggers a larger average response (${this.formatSigned(winnerIncrease - loserIncrease)} aircraft vs ${loserName}).`;
+    }
     
     const recommendation = {
-      summary: `${winnerName} triggers ${severity} inflammatory (${ratio.toFixed(1)}x stronger average increase).`,
+      summary,
       details: [
-        `${winnerName} causes +${winner.stats.avgIncrease.toFixed(1)} aircraft increase on average`,
-        `${loserName} causes +${loser.stats.avgIncrease.toFixed(1)} aircraft increase on average`,
+        `${winnerName} causes ${this.formatSigned(winnerIncrease)} aircraft increase on average`,
+        `${loserName} causes ${this.formatSigned(loserIncrease)} aircraft increase on average`,
         `Peak responses: ${winnerName} = ${winner.stats.avgPeak.toFixed(1)}, ${loserName} = ${loser.stats.avgPeak.toFixed(1)}`,
         `Timing: ${winnerName} peaks on Day ${winner.stats.maxSpikeDay}, ${loserName} peaks on Day ${loser.stats.maxSpikeDay}`
       ],
+      winner: winnerName,
       lessInflammatory: loserName
     };
     
+    if (increaseTest) {
+      recommendation.details.push(
+        `Significance: p = ${formatP(increaseTest.pValue)}, ${(increaseTest.ci.level * 100).toFixed(0)}% CI for A − B ${formatCI(increaseTest.ci)}, Cliff's δ = ${increaseTest.cliffsDelta.toFixed(2)} (${increaseTest.effectSize})`
+      );
+    }
+    
     return recommendation;
   },
   
+  /**
+   * Format a number with an explicit sign
+   */
+  formatSigned(value) {
+    if (value === null) return 'N/A';
+    return value > 0 ? '+' + value.toFixed(1) : value.toFixed(1);
+  },
+  
   /**
    * Calculate median
    */
   median(values) {
-    if (values.length === 0) return 0;
-    const sorted = [...values].sort((a, b) => a - b);
+    const sorted = Utils.reportedValues(values).sort((a, b) => a - b);
+    if (sorted.length === 0) return 0;
     const mid = Math.floor(sorted.length / 2);
     return sorted.length % 2 === 0 
       ? (sorted[mid - 1] + sorted[mid]) / 2 
@@ -244,10 +514,10 @@ const ABCompare = {
   /**
    * Get chart data for overlaid curves
    */
-  getOverlaidCurvesData() {
-    if (!this.currentComparison) return null;
+  getOverlaidCurvesData(comparison = this.currentComparison) {
+    if (!comparison) return null;
     
-    const { groupA, groupB } = this.currentComparison;
+    const { groupA, groupB } = comparison;
     
     return {
       groupA: {
@@ -265,13 +535,28 @@ const ABCompare = {
     };
   },
   
+  /**
+   * Average curves of every group in the last N-way comparison
+   */
+  getMultiCurvesData(multi = this.currentMultiComparison) {
+    if (!multi) return null;
+    
+    return multi.groups.map(group => ({
+      name: group.groupName,
+      offsets: group.avgCurve.map(d => d.offset),
+      mean: group.avgCurve.map(d => d.mean),
+      upperBound: group.avgCurve.map(d => d.upperBound),
+      lowerBound: group.avgCurve.map(d => d.lowerBound)
+    }));
+  },
+  
   /**
    * Get comparison bar chart data
    */
-  getComparisonBarData() {
-    if (!this.currentComparison) return null;
+  getComparisonBarData(comparison = this.currentComparison) {
+    if (!comparison) return null;
     
-    const { groupA, groupB } = this.currentComparison;
+    const { groupA, groupB } = comparison;
     
     return {
       metrics: ['Avg Peak', 'Avg Increase', '7-Day Spike', 'Time to Peak'],
@@ -288,6 +573,35 @@ const ABCompare = {
         groupB.stats.avgTimeToPeak || 0
       ]
     };
+  },
+  
+  /**
+   * Get significance table rows (one per tested metric)
+   */
+  getSignificanceTable(comparison = this.currentComparison) {
+    if (!comparison) return [];
+    
+    const { significance } = comparison.comparison;
+    const labels = {
+      avgIncrease: 'Avg Increase',
+      avgPeak: 'Avg Peak',
+      avg7DaySpike: '7-Day Spike',
+      car: 'CAR'
+    };
+    
+    return Object.keys(labels).filter(metric => significance[metric]).map(metric => {
+      const test = significance[metric];
+      return {
+        metric: labels[metric],
+        diff: this.formatSigned(test.diff),
+        pValue: test.pValue === null ? 'N/A' : test.pValue < 0.001 ? '< 0.001' : test.pValue.toFixed(3),
+        ci: test.ci.lower === null ? 'N/A' : `[${test.ci.lower.toFixed(1)}, ${test.ci.upper.toFixed(1)}]`,
+        cohensD: test.cohensD === null ? 'N/A' : test.cohensD.toFixed(2),
+        cliffsDelta: test.cliffsDelta === null ? 'N/A' : test.cliffsDelta.toFixed(2),
+        effectSize: test.effectSize,
+        significant: test.significant
+      };
+    });
   }
 };
 
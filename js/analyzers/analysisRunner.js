@@ -0,0 +1,294 @@
+// analysisRunner.js - Run heavy analyses off the page's main thread
+// Category runs with their shape clusters, attribute drill-down and joint regression,
+// comparisons, the category ranking, the response heatmap, forecasts and their backtest,
+// the lead/lag tests, the spike roundup and the classifier batch/sweep run in a module
+// Web Worker (analysisWorker.js) that holds its own copy of the loaded dataset. A run
+// streams progress, can be cancelled (a newer run on the same channel cancels the older
+// one), and resolves with the same result object the analyzer returns, which is also
+// installed as the analyzer's current result on the page so its chart and summary getters
+// work. Where a worker cannot start (module workers unsupported, or blocked for file://
+// pages) or the arguments cannot be copied to it (filter functions), the run happens on
+// the page once the progress indicator has painted.
+
+import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+import ResponseShapes from './responseShapes.js';
+import FacetAnalyzer from './facetAnalyzer.js';
+import MultiEventRegression from './multiEventRegression.js';
+import ABCompare from './abCompare.js';
+import InflammationRanker from './inflammationRanker.js';
+import HeatmapAnalyzer from './heatmap.js';
+import Predictor from './predictor.js';
+import LeadLag from './leadLag.js';
+import SpikeAnalyzer from './spikeAnalyzer.js';
+import PreplannedReactive from './preplannedReactive.js';
+import ClassifierBacktest from './classifierBacktest.js';
+
+const AnalysisRunner = {
+  PROGRESS_INTERVAL: 100,  // Shortest gap between progress messages from the worker (ms)
+  INLINE_DELAY: 50,        // Pause before an on-page run so the progress indicator paints
+  
+  // Runnable analyses: run(...args) is the analyzer call; adopt(result, args) installs a
+  // result computed in the worker as the analyzer's current result on the page
+  TASKS: {
+    categoryAnalysis: {
+      run: (filters, options) => CategoryAnalyzer.analyze(filters, options),
+      adopt: result => { CategoryAnalyzer.currentAnalysis = result; }
+    },
+    // Clustering and drill-down take the category result the page already holds
+    shapeClusters: {
+      run: (analysis, options) => ResponseShapes.cluster(analysis, options),
+      adopt: result => { ResponseShapes.currentResult = result; }
+    },
+    facetBreakdown: {
+      run: (analysis, options) => FacetAnalyzer.breakdown(analysis, options),
+      adopt: result => { FacetAnalyzer.currentResult = result; }
+    },
+    jointRegression: {
+      run: options => MultiEventRegression.analyze(options),
+      adopt: result => { MultiEventRegression.currentAnalysis = result; }
+    },
+    compare: {
+      run: (filtersA, filtersB, options) => ABCompare.compare(filtersA, filtersB, options),
+      adopt: result => { ABCompare.currentComparison = result; }
+    },
+    compareGroups: {
+      run: (groups, options) => ABCompare.compareGroups(groups, options),
+      adopt: result => { ABCompare.currentMultiComparison = result; }
+    },
+    rankCategories: {
+      run: (options = {}) => InflammationRanker.rankCategories(options),
+      adopt: (result, [options = {}]) => {
+        InflammationRanker.cache = result;
+        InflammationRanker.cacheKey = JSON.stringify(options);
+        InflammationRanker.cacheData = DataConnector.currentData;
+      }
+    },
+    responseHeatmap: {
+      run: (filters, options) => HeatmapAnalyzer.responseMatrix(filters, options),
+      adopt: result => { HeatmapAnalyzer.currentResponse = result; }
+    },
+    whatIf: {
+      run: (events, options) => Predictor.whatIf(events, options),
+      adopt: result => { Predictor.currentForecast = result.scenario; }
+    },
+    backtest: {
+      run: options => Predictor.backtest(options),
+      adopt: () => {}
+    },
+    leadLag: {
+      run: (options = {}) => LeadLag.analyze(options),
+      adopt: (result, [options = {}]) => {
+        LeadLag.cache = result;
+        LeadLag.cacheKey = JSON.stringify({ ...LeadLag.DEFAULT_OPTIONS, ...options });
+        LeadLag.cacheData = DataConnector.currentData;
+      }
+    },
+    spikeAnalysis: {
+      run: options => SpikeAnalyzer.analyze(options),
+      adopt: result => { SpikeAnalyzer.currentAnalysis = result; }
+    },
+    classifyBatch: {
+      run: (filters, options) => PreplannedReactive.classifyBatch(filters, options),
+      adopt: () => {}
+    },
+    ruleSweep: {
+      run: (caseSet, grid, options) => ClassifierBacktest.sweep(caseSet, grid, options),
+      adopt: () => {}
+    }
+  },
+  
+  worker: null,
+  workerStatus: 'none',  // 'none' | 'starting' | 'ready' | 'unavailable' (for this page)
+  workerData: null,      // DATA object the worker has loaded
+  queue: [],             // Runs waiting for the current one
+  current: null,         // Run in progress
+  nextId: 1,
+  
+  /**
+   * Run a task, in the worker where possible
+   * @param {string} task - Key of TASKS
+   * @param {Array} args - Arguments of the analyzer call
+   * @param {object} options - {channel, onProgress({stage, done, total})}
+   * @returns {Promise} The analyzer's result; rejects with error.cancelled = true when the
+   *   run is cancelled or superseded
+   */
+  run(task, args = [], options = {}) {
+    if (!this.TASKS[task]) {
+      return Promise.reject(new Error(`Unknown analysis task: ${task}`));
+    }
+    if (options.channel) this.cancel(options.channel);
+    
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        task,
+        args,
+        channel: options.channel || null,
+        onProgress: options.onProgress || null,
+        inWorker: false,
+        cancelled: false,
+        resolve,
+        reject
+      });
+      this.next();
+    });
+  },
+  
+  /**
+   * Cancel the queued and running work of a channel
+   * A run in the worker is stopped by terminating the worker (synchronous analysis code
+   * cannot be interrupted otherwise); the next run starts a fresh one.
+   */
+  cancel(channel) {
+    this.queue = this.queue.filter(job => {
+      if (job.channel !== channel) return true;
+      job.reject(this.cancelledError());
+      return false;
+    });
+    
+    const job = this.current;
+    if (job && job.channel === channel) {
+      job.cancelled = true;
+      this.current = null;
+      if (job.inWorker) this.stopWorker();
+      job.reject(this.cancelledError());
+      this.next();
+    }
+  },
+  
+  /**
+   * Run a task here and now (the worker's entry point, and the on-page fallback)
+   */
+  execute(task, args, onProgress) {
+    const { run } = this.TASKS[task];
+    return onProgress ? Progress.track(onProgress, () => run(...args)) : run(...args);
+  },
+  
+  /**
+   * 'Analyzing events: 120 / 340' for a progress message
+   */
+  formatProgress({ stage, done, total }) {
+    return total > 0 ? `${stage}: ${done} / ${total}` : stage;
+  },
+  
+  next() {
+    if (this.current || this.queue.length === 0) return;
+    const job = this.queue.shift();
+    this.current = job;
+    
+    if (this.startWorker()) {
+      this.postJob(job);
+    } else {
+      this.runInline(job);
+    }
+  },
+  
+  postJob(job) {
+    try {
+      if (DataConnector.currentData && this.workerData !== DataConnector.currentData) {
+        this.worker.postMessage({ type: 'load', data: DataConnector.currentData, validation: DataConnector.validation });
+        this.workerData = DataConnector.currentData;
+      }
+      this.worker.postMessage({ type: 'run', id: job.id, task: job.task, args: job.args });
+      job.inWorker = true;
+    } catch (error) {
+      // Arguments that cannot be copied to the worker (DataCloneError)
+      this.runInline(job);
+    }
+  },
+  
+  runInline(job) {
+    job.inWorker = false;
+    setTimeout(() => {
+      if (job.cancelled) return;
+      try {
+        job.resolve(this.execute(job.task, job.args, job.onProgress));
+      } catch (error) {
+        job.reject(error);
+      }
+      this.current = null;
+      this.next();
+    }, this.INLINE_DELAY);
+  },
+  
+  startWorker() {
+    if (this.workerStatus === 'unavailable') return false;
+    if (this.worker) return true;
+    
+    try {
+      this.worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('Analysis worker unavailable, running on the page:', error.message);
+      this.workerStatus = 'unavailable';
+      return false;
+    }
+    this.workerStatus = 'starting';
+    this.worker.onmessage = event => this.handleMessage(event.data);
+    this.worker.onerror = event => this.handleWorkerError(event);
+    return true;
+  },
+  
+  stopWorker() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.workerData = null;
+    if (this.workerStatus !== 'unavailable') this.workerStatus = 'none';
+  },
+  
+  handleMessage(message) {
+    if (message.type === 'ready') {
+      this.workerStatus = 'ready';
+      return;
+    }
+    
+    // Messages of a cancelled run can still arrive
+    const job = this.current;
+    if (!job || job.id !== message.id) return;
+    
+    if (message.type === 'progress') {
+      if (job.onProgress) job.onProgress({ stage: message.stage, done: message.done, total: message.total });
+      return;
+    }
+    
+    this.current = null;
+    if (message.type === 'result') {
+      this.TASKS[job.task].adopt(message.result, job.args);
+      job.resolve(message.result);
+    } else {
+      job.reject(new Error(message.message));
+    }
+    this.next();
+  },
+  
+  // A worker that fails before it is ready is given up on for this page and its run is
+  // redone on the page; one that fails later fails its run and is restarted for the next
+  handleWorkerError(event) {
+    event.preventDefault();
+    const starting = this.workerStatus !== 'ready';
+    this.stopWorker();
+    if (starting) {
+      console.warn('Analysis worker failed to start, running on the page:', event.message);
+      this.workerStatus = 'unavailable';
+    }
+    
+    const job = this.current;
+    if (!job || !job.inWorker) return;
+    if (starting) {
+      this.runInline(job);
+    } else {
+      this.current = null;
+      job.reject(new Error(event.message || 'Analysis worker failed'));
+      this.next();
+    }
+  },
+  
+  cancelledError() {
+    const error = new Error('Analysis cancelled');
+    error.cancelled = true;
+    return error;
+  }
+};
+
+export default AnalysisRunner;
@@ -0,0 +1,45 @@
+// analysisWorker.js - Web Worker side of AnalysisRunner
+// Keeps its own copy of the loaded dataset and runs AnalysisRunner tasks against it.
+//   in:  {type: 'load', data, validation} | {type: 'run', id, task, args}
+//   out: {type: 'ready'} | {type: 'progress', id, stage, done, total}
+//        {type: 'result', id, result} | {type: 'error', id, message}
+
+import DataConnector from '../core/dataConnector.js';
+import AnalysisRunner from './analysisRunner.js';
+
+let loadError = null;
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'load') {
+    try {
+      DataConnector.loadFromObject(message.data, { validation: message.validation });
+      loadError = null;
+    } catch (error) {
+      loadError = error;
+    }
+    return;
+  }
+  if (message.type !== 'run') return;
+  
+  // Progress is posted at most every PROGRESS_INTERVAL ms, plus every new stage and the end
+  const { id } = message;
+  let lastPosted = 0;
+  let lastStage = null;
+  const onProgress = ({ stage, done, total }) => {
+    const now = Date.now();
+    if (stage === lastStage && done < total && now - lastPosted < AnalysisRunner.PROGRESS_INTERVAL) return;
+    lastPosted = now;
+    lastStage = stage;
+    self.postMessage({ type: 'progress', id, stage, done, total });
+  };
+  
+  try {
+    if (loadError) throw loadError;
+    const result = AnalysisRunner.execute(message.task, message.args, onProgress);
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -2,11 +2,21 @@
 // Analyzes ADIZ response patterns across filtered event categories
 
 import Utils from '../core/utils.js';
+import EventStudy from '../core/eventStudy.js';
 import DataConnector from '../core/dataConnector.js';
+import TimeSeries from '../core/timeSeries.js';
+import Progress from '../core/progress.js';
 
 const CategoryAnalyzer = {
   currentAnalysis: null,
   
+  // How events with other events nearby are treated:
+  //   include    - every event counts fully (original behaviour)
+  //   exclude    - clean events only: drop any event with a confounder within N days
+  //   downweight - weight each event by 1 / (1 + number of confounders)
+  CONFOUNDER_MODES: ['include', 'exclude', 'downweight'],
+  DEFAULT_CONFOUNDER_DAYS: 7,
+  
   /**
    * Analyze events matching category + subfilters
    * Shows aggregate ADIZ pattern across all matching events
@@ -17,6 +27,8 @@ const CategoryAnalyzer = {
     }
     
     const windowSize = options.windowSize || 14;
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const model = options.model || EventStudy.DEFAULT_MODEL;
     
     console.log('Analyzing with filters:', categoryFilters);
     
@@ -29,84 +41,87 @@ const CategoryAnalyzer = {
       throw new Error('No events match these filters. Try different filter combination.');
     }
     
-    const baselineMap = DataConnector.baselineMap;
+    // Confounder handling (clean-events-only or down-weighting)
+    const confounderPolicy = this.applyConfounderPolicy(events, options);
+    if (confounderPolicy.kept.length === 0) {
+      throw new Error(`All ${events.length} matching events have other events within ${confounderPolicy.days} days. Widen the filters or allow confounded events.`);
+    }
     
     // Analyze each event
-    const eventAnalyses = events.map(event => {
-      const windowData = Utils.getWindowData(event.date, windowSize, baselineMap);
-      const baselineStats = Utils.getBaselineStats(event.date, 30, baselineMap);
-      
-      // Post-event values
-      const postEventValues = windowData
-        .filter(d => d.days_from_event > 0 && d.days_from_event <= 7)
-        .map(d => d.adiz_count);
-      
-      const avg7DaySpike = postEventValues.length > 0 ? Utils.mean(postEventValues) : 0;
-      const peak = Utils.max(windowData.map(d => d.adiz_count));
-      const timeToPeak = Utils.getTimeToPeak(windowData);
-      
+    const eventAnalyses = confounderPolicy.kept.map(({ event, confounders, weight }, i, kept) => {
+      Progress.report('Analyzing events', i, kept.length);
       return {
-        event,
-        windowData,
-        baseline: baselineStats,
-        peak,
-        timeToPeak: timeToPeak ? timeToPeak.days : null,
-        avg7DaySpike,
-        delta: avg7DaySpike - baselineStats.mean
+        ...this.analyzeEvent(event, windowSize, DataConnector.series, { ...options, missingPolicy, model }),
+        confounders,
+        weight
       };
     });
+    Progress.report('Analyzing events', eventAnalyses.length, eventAnalyses.length);
+    const weights = eventAnalyses.map(a => a.weight);
     
     // Calculate aggregate statistics
     const allPeaks = eventAnalyses.map(a => a.peak);
     const all7DaySpikes = eventAnalyses.map(a => a.avg7DaySpike);
     const allDeltas = eventAnalyses.map(a => a.delta);
-    const allTimeToPeak = eventAnalyses.filter(a => a.timeToPeak !== null).map(a => a.timeToPeak);
+    const allTimeToPeak = eventAnalyses.map(a => a.timeToPeak);
     
     // Calculate when peak occurs on average
-    const avgTimeToPeak = allTimeToPeak.length > 0 ? Utils.mean(allTimeToPeak) : null;
+    const avgTimeToPeak = Utils.reportedValues(allTimeToPeak).length > 0
+      ? Utils.weightedMean(allTimeToPeak, weights)
+      : null;
     
     // Calculate average baseline and post-event ADIZ
-    const avgBaseline = Utils.mean(eventAnalyses.map(a => a.baseline.mean));
-    const avgPostEventADIZ = Utils.mean(all7DaySpikes);
+    const avgBaseline = Utils.weightedMean(eventAnalyses.map(a => a.reference), weights);
+    const avgPostEventADIZ = Utils.weightedMean(all7DaySpikes, weights);
     const avgIncrease = avgPostEventADIZ - avgBaseline;
     
+    // Average response curve
+    const avgCurve = this.calculateAverageResponseCurve(eventAnalyses, windowSize, missingPolicy);
+    
     // Find which day has the biggest average spike (across all events)
     let maxSpikeDay = 0;
     let maxSpikeValue = 0;
-    for (let offset = 1; offset <= windowSize; offset++) {
-      const valuesAtOffset = eventAnalyses
-        .map(a => {
-          const point = a.windowData.find(d => d.days_from_event === offset);
-          return point ? point.adiz_count : null;
-        })
-        .filter(v => v !== null);
-      
-      if (valuesAtOffset.length > 0) {
-        const avgAtOffset = Utils.mean(valuesAtOffset);
-        if (avgAtOffset > maxSpikeValue) {
-          maxSpikeValue = avgAtOffset;
-          maxSpikeDay = offset;
-        }
+    avgCurve.forEach(point => {
+      if (point.offset >= 1 && point.mean > maxSpikeValue) {
+        maxSpikeValue = point.mean;
+        maxSpikeDay = point.offset;
       }
-    }
+    });
     
-    // Average response curve
-    const avgCurve = this.calculateAverageResponseCurve(eventAnalyses, windowSize);
+    // Sort by impact (events with no reported data sink to the bottom)
+    const sortedByPeak = [...eventAnalyses].sort((a, b) =>
+      (a.peak === null) - (b.peak === null) || b.peak - a.peak
+    );
+    
+    // Data coverage across every event window
+    const coverage = Utils.mergeCoverage(eventAnalyses.map(a => a.coverage));
     
-    // Sort by impact
-    const sortedByPeak = [...eventAnalyses].sort((a, b) => b.peak - a.peak);
+    // Cross-event abnormal response (CAR) when the event-study model is active
+    const eventStudy = model === 'event-study'
+      ? EventStudy.aggregate(eventAnalyses.map(a => a.eventStudy), windowSize)
+      : null;
     
     this.currentAnalysis = {
       filters: categoryFilters,
-      eventCount: events.length,
+      eventCount: eventAnalyses.length,
       windowSize,
+      missingPolicy,
+      model,
+      coverage,
+      eventStudy,
+      confounderPolicy: {
+        mode: confounderPolicy.mode,
+        days: confounderPolicy.days,
+        matchedCount: events.length,
+        excluded: confounderPolicy.excluded.map(t => t.event)
+      },
       avgCurve,
       eventAnalyses,
       summary: {
-        avgPeak: Utils.mean(allPeaks),
-        avgPeakStdDev: Utils.stdDev(allPeaks),
-        avg7DaySpike: Utils.mean(all7DaySpikes),
-        avgDelta: Utils.mean(allDeltas),
+        avgPeak: Utils.weightedMean(allPeaks, weights),
+        avgPeakStdDev: Utils.weightedStdDev(allPeaks, weights),
+        avg7DaySpike: Utils.weightedMean(all7DaySpikes, weights),
+        avgDelta: Utils.weightedMean(allDeltas, weights),
         medianPeak: this.median(allPeaks),
         maxPeak: Utils.max(allPeaks),
         minPeak: Utils.min(allPeaks),
@@ -114,7 +129,12 @@ const CategoryAnalyzer = {
         maxSpikeDay: maxSpikeDay,
         maxSpikeValue: maxSpikeValue,
         avgBaseline: avgBaseline,
-        avgIncrease: avgIncrease
+        avgIncrease: avgIncrease,
+        coverage: coverage.ratio,
+        thinEvents: eventAnalyses.filter(a => a.coverage.thin).length,
+        avgCAR: eventStudy ? eventStudy.meanCAR : null,
+        carSE: eventStudy ? eventStudy.carSE : null,
+        carT: eventStudy ? eventStudy.carT : null
       },
       topEvents: sortedByPeak.slice(0, 5),
       bottomEvents: sortedByPeak.slice(-5).reverse()
@@ -124,43 +144,127 @@ const CategoryAnalyzer = {
   },
   
   /**
-   * Calculate average response curve
+   * Tag events with their confounders and an analysis weight, dropping
+   * confounded events in 'exclude' mode
+   * @param {object} options - {confounderMode, confounderDays}
    */
-  calculateAverageResponseCurve(eventAnalyses, windowSize) {
-    const curve = [];
-    
-    for (let offset = -windowSize; offset <= windowSize; offset++) {
-      const valuesAtOffset = eventAnalyses
-        .map(a => {
-          const point = a.windowData.find(d => d.days_from_event === offset);
-          return point ? point.adiz_count : null;
-        })
-        .filter(v => v !== null);
-      
-      if (valuesAtOffset.length > 0) {
-        const mean = Utils.mean(valuesAtOffset);
-        const stdDev = Utils.stdDev(valuesAtOffset);
-        
-        curve.push({
-          offset,
-          mean,
-          stdDev,
-          upperBound: mean + stdDev,
-          lowerBound: Math.max(0, mean - stdDev),
-          count: valuesAtOffset.length
-        });
-      }
+  applyConfounderPolicy(events, options = {}) {
+    const mode = options.confounderMode || 'include';
+    const days = options.confounderDays ?? this.DEFAULT_CONFOUNDER_DAYS;
+    
+    if (!this.CONFOUNDER_MODES.includes(mode)) {
+      throw new Error(`Unknown confounder mode: ${mode}`);
     }
     
-    return curve;
+    const tagged = events.map(event => {
+      const confounders = DataConnector.getConfounders(event, days);
+      return {
+        event,
+        confounders,
+        weight: mode === 'downweight' ? 1 / (1 + confounders.length) : 1
+      };
+    });
+    
+    const kept = mode === 'exclude' ? tagged.filter(t => t.confounders.length === 0) : tagged;
+    
+    return {
+      mode,
+      days,
+      kept,
+      excluded: tagged.filter(t => !kept.includes(t))
+    };
+  },
+  
+  /**
+   * Measure the ADIZ response to one event
+   * The reference level is the 30-day pre-event mean (naive model) or the fitted
+   * counterfactual over the same post-event days (event-study model)
+   * @param {object} series - DataConnector.series (a baseline Map also works)
+   */
+  analyzeEvent(event, windowSize, series, options = {}) {
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const model = options.model || EventStudy.DEFAULT_MODEL;
+    
+    const baselineStats = Utils.getBaselineStats(event.date, 30, series, missingPolicy);
+    const study = model === 'event-study'
+      ? EventStudy.analyzeEvent(event.date, windowSize, series, { ...options.eventStudy, missingPolicy })
+      : null;
+    const windowData = study
+      ? study.windowData
+      : Utils.getWindowData(event.date, windowSize, series, missingPolicy);
+    
+    // Post-event values
+    const postEventValues = windowData
+      .filter(d => d.days_from_event > 0 && d.days_from_event <= 7)
+      .map(d => d.adiz_count)
+      .filter(v => Utils.isReported(v));
+    
+    // Gaps stay null so unreported days never pull averages toward zero
+    const windowValues = Utils.reportedValues(windowData.map(d => d.adiz_count));
+    const avg7DaySpike = postEventValues.length > 0 ? Utils.mean(postEventValues) : null;
+    const peak = windowValues.length > 0 ? Utils.max(windowValues) : null;
+    const timeToPeak = Utils.getTimeToPeak(windowData);
+    
+    const reference = study ? EventStudy.meanAbnormal(study, 1, 7).expected : baselineStats.mean;
+    
+    return {
+      event,
+      windowData,
+      baseline: baselineStats,
+      reference,
+      peak,
+      timeToPeak: timeToPeak ? timeToPeak.days : null,
+      avg7DaySpike,
+      delta: avg7DaySpike !== null && reference !== null ? avg7DaySpike - reference : null,
+      car: study ? study.car : null,
+      eventStudy: study,
+      coverage: Utils.getCoverage(windowData)
+    };
+  },
+  
+  /**
+   * An event's deviation from its own reference level at each offset (null where unreported)
+   * Naive model: count minus the 30-day pre-event mean; event-study model: the abnormal
+   * count against the fitted counterfactual
+   */
+  deviationCurve(eventAnalysis, offsets) {
+    const byOffset = new Map(eventAnalysis.windowData.map(d => [d.days_from_event, d]));
+    return offsets.map(offset => {
+      const point = byOffset.get(offset);
+      if (!point || !Utils.isReported(point.adiz_count)) return null;
+      if (eventAnalysis.eventStudy) return point.abnormal ?? null;
+      return eventAnalysis.reference !== null ? point.adiz_count - eventAnalysis.reference : null;
+    });
+  },
+  
+  /**
+   * Calculate average response curve (event-weighted mean ± std dev of the daily count at
+   * each offset, straight from the series; offsets no event has data for are left out)
+   */
+  calculateAverageResponseCurve(eventAnalyses, windowSize, missingPolicy = Utils.DEFAULT_MISSING_POLICY) {
+    return TimeSeries.averageCurve(
+      DataConnector.series,
+      eventAnalyses.map(a => a.event.date),
+      eventAnalyses.map(a => a.weight ?? 1),
+      -windowSize,
+      windowSize,
+      missingPolicy
+    ).map(({ offset, mean, stdDev, count }) => ({
+      offset,
+      mean,
+      stdDev,
+      upperBound: mean + stdDev,
+      lowerBound: Math.max(0, mean - stdDev),
+      count
+    }));
   },
   
   /**
    * Calculate median
    */
   median(values) {
-    if (values.length === 0) return 0;
-    const sorted = [...values].sort((a, b) => a - b);
+    const sorted = Utils.reportedValues(values).sort((a, b) => a - b);
+    if (sorted.length === 0) return 0;
     const mid = Math.floor(sorted.length / 2);
     return sorted.length % 2 === 0 
       ? (sorted[mid - 1] + sorted[mid]) / 2 
@@ -184,6 +288,23 @@ const CategoryAnalyzer = {
     };
   },
   
+  /**
+   * Get chart data for the average abnormal response (event-study model only)
+   */
+  getAbnormalCurveData() {
+    if (!this.currentAnalysis || !this.currentAnalysis.eventStudy) return null;
+    
+    const { aarCurve } = this.currentAnalysis.eventStudy;
+    
+    return {
+      offsets: aarCurve.map(d => d.offset),
+      mean: aarCurve.map(d => d.mean),
+      upperBound: aarCurve.map(d => d.upperBound),
+      lowerBound: aarCurve.map(d => d.lowerBound),
+      caar: aarCurve.map(d => d.caar)
+    };
+  },
+  
   /**
    * Get individual event overlay data
    */
@@ -197,28 +318,25 @@ const CategoryAnalyzer = {
       const x = [];
       const y = [];
       
-      for (let offset = -windowSize; offset <= windowSize; offset++) {
-        const point = analysis.windowData.find(d => d.days_from_event === offset);
-        if (point) {
-          x.push(offset);
-          y.push(point.adiz_count);
-        }
-      }
+      analysis.windowData.forEach(point => {
+        x.push(point.days_from_event);
+        y.push(point.adiz_count);
+      });
       
       return { x, y, label: analysis.event.label };
     });
   },
   
   /**
-   * Get summary card data
+   * Get summary card data (of the current analysis, or a given one)
    */
-  getSummary() {
-    if (!this.currentAnalysis) return null;
+  getSummary(analysis = this.currentAnalysis) {
+    if (!analysis) return null;
     
-    const s = this.currentAnalysis.summary;
+    const s = analysis.summary;
     
     return {
-      eventCount: this.currentAnalysis.eventCount,
+      eventCount: analysis.eventCount,
       avgPeak: s.avgPeak.toFixed(1),
       avgPeakStdDev: s.avgPeakStdDev.toFixed(1),
       avg7DaySpike: s.avg7DaySpike.toFixed(1),
@@ -230,33 +348,44 @@ const CategoryAnalyzer = {
       maxSpikeDay: s.maxSpikeDay,
       maxSpikeValue: s.maxSpikeValue.toFixed(1),
       avgBaseline: s.avgBaseline.toFixed(1),
-      avgIncrease: s.avgIncrease > 0 ? '+' + s.avgIncrease.toFixed(1) : s.avgIncrease.toFixed(1)
+      avgIncrease: s.avgIncrease > 0 ? '+' + s.avgIncrease.toFixed(1) : s.avgIncrease.toFixed(1),
+      avgCAR: s.avgCAR !== null ? (s.avgCAR > 0 ? '+' : '') + s.avgCAR.toFixed(1) : 'N/A',
+      carSE: s.carSE !== null ? s.carSE.toFixed(1) : 'N/A',
+      carT: s.carT !== null ? s.carT.toFixed(2) : 'N/A',
+      coverage: (s.coverage * 100).toFixed(0) + '%',
+      thinEvents: s.thinEvents,
+      confounderMode: analysis.confounderPolicy.mode,
+      excludedEvents: analysis.confounderPolicy.excluded.length,
+      thinData: analysis.coverage.thin
     };
   },
   
   /**
    * Get top/bottom events
    */
-  getTopEvents() {
-    if (!this.currentAnalysis) return [];
-    return this.currentAnalysis.topEvents.map(a => ({
-      date: a.event.date,
-      label: a.event.label,
-      peak: a.peak,
-      avg7Day: a.avg7DaySpike.toFixed(1),
-      delta: a.delta > 0 ? '+' + a.delta.toFixed(1) : a.delta.toFixed(1)
-    }));
+  getTopEvents(analysis = this.currentAnalysis) {
+    if (!analysis) return [];
+    return analysis.topEvents.map(a => this.formatEventRow(a));
+  },
+  
+  getBottomEvents(analysis = this.currentAnalysis) {
+    if (!analysis) return [];
+    return analysis.bottomEvents.map(a => this.formatEventRow(a));
   },
   
-  getBottomEvents() {
-    if (!this.currentAnalysis) return [];
-    return this.currentAnalysis.bottomEvents.map(a => ({
+  /**
+   * Format one event analysis for the top/bottom lists
+   */
+  formatEventRow(a) {
+    return {
       date: a.event.date,
       label: a.event.label,
-      peak: a.peak,
-      avg7Day: a.avg7DaySpike.toFixed(1),
-      delta: a.delta > 0 ? '+' + a.delta.toFixed(1) : a.delta.toFixed(1)
-    }));
+      peak: a.peak !== null ? a.peak : 'N/A',
+      avg7Day: a.avg7DaySpike !== null ? a.avg7DaySpike.toFixed(1) : 'N/A',
+      delta: a.delta === null ? 'N/A' : a.delta > 0 ? '+' + a.delta.toFixed(1) : a.delta.toFixed(1),
+      car: a.car !== null ? a.car.toFixed(1) : 'N/A',
+      coverage: (a.coverage.ratio * 100).toFixed(0) + '%'
+    };
   }
 };
 
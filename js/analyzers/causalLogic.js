@@ -0,0 +1,103 @@
+// causalLogic.js - Trigger vs response rules for Module 9 (Actions Roundup)
+// Separates PLA responses (exercises) and pre-planned calendar events from
+// genuine triggers, and recognizes proven trigger -> response pairs
+
+import Utils from '../core/utils.js';
+
+const CausalLogic = {
+  // Known exercise patterns (these are RESPONSES, not triggers)
+  exercisePatterns: [
+    /joint sword/i,
+    /strait thunder/i,
+    /justice mission/i,
+    /pelosi snap/i,
+    /military exercise/i,
+    /han kuang/i,
+    /drill/i,
+    /exercise/i
+  ],
+  
+  // Pre-planned events that can't be triggered (structural/calendrical)
+  preplannedPatterns: {
+    // Political calendars
+    structural: [
+      /national people's congress/i,
+      /chinese people's political consultative/i,
+      /national congress/i,
+      /election cycle/i,
+      /inauguration/i
+    ],
+    // Cultural/symbolic holidays (always same date)
+    calendrical: [
+      /lunar new year/i,
+      /national day/i,
+      /founding day/i,
+      /victory day/i,
+      /national humiliation/i,
+      /ccp.*anniversary/i
+    ],
+    // Ceremonial events (scheduled long in advance)
+    ceremonial: [
+      /double ten.*speech/i,
+      /ten day speech/i,
+      /national day.*speech/i
+    ]
+  },
+  
+  // Historical proven trigger-response pairs
+  historicalPairs: [
+    { trigger: 'pelosi', response: 'joint sword', date: '2022-08', confidence: 100 },
+    { trigger: 'mccarthy', response: 'joint sword', date: '2023-04', confidence: 100 },
+    { trigger: 'lai.*inauguration', response: 'joint sword.*2024a', date: '2024-05', confidence: 95 },
+    { trigger: 'lai.*double ten', response: 'joint sword.*2024b', date: '2024-10', confidence: 95 },
+    { trigger: 'trump.*11.*billion', response: 'justice mission', date: '2025-12', confidence: 90 }
+  ],
+  
+  // Maximum days between a historical trigger and the spike it explains
+  HISTORICAL_RESPONSE_DAYS: 14,
+  
+  /**
+   * Text the patterns are matched against for a normalized event
+   */
+  getEventText(event) {
+    const name = event.fields && event.fields.event_name ? event.fields.event_name : '';
+    return `${event.label || ''} ${event.description || ''} ${name}`;
+  },
+  
+  isExercise(eventText) {
+    return this.exercisePatterns.some(pattern => pattern.test(eventText));
+  },
+  
+  isPreplanned(eventText) {
+    return this.getPreplannedType(eventText) !== null;
+  },
+  
+  getPreplannedType(eventText) {
+    for (const [type, patterns] of Object.entries(this.preplannedPatterns)) {
+      if (patterns.some(pattern => pattern.test(eventText))) {
+        return type;
+      }
+    }
+    return null;
+  },
+  
+  /**
+   * Check if a normalized event matches a historical trigger pattern for a spike
+   * on spikeDate (the spike must fall 0-14 days after the event)
+   */
+  matchesHistoricalTrigger(event, spikeDate) {
+    const eventText = this.getEventText(event);
+    const daysAfter = Utils.daysDiff(event.date, spikeDate);
+    
+    if (daysAfter < 0 || daysAfter > this.HISTORICAL_RESPONSE_DAYS) {
+      return { matched: false };
+    }
+    
+    const pair = this.historicalPairs.find(p => new RegExp(p.trigger, 'i').test(eventText));
+    return pair
+      ? { matched: true, confidence: pair.confidence, historical: pair }
+      : { matched: false };
+  }
+};
+
+export default CausalLogic;
@@ -0,0 +1,349 @@
+// classifierBacktest.js - Backtesting and calibration for the Module 8 classifier
+// Runs PreplannedReactive over labeled historical cases and reports how well its verdicts
+// and reactiveScore match the labels; can sweep rule settings to find the best fit
+//
+// Case file format (JSON): { "name": "...", "cases": [ {
+//   "id": "pelosi-2022",       optional, defaults to the row number
+//   "date": "2022-08",         YYYY-MM-DD or a prefix (YYYY-MM) to search within
+//   "match": "pelosi",         regular expression tested against the event text
+//   "dataset": "diplomatic",   optional, restricts the search to one dataset
+//   "label": "reactive",       reactive | pre-planned | mixed
+//   "note": "..."              optional
+// } ] }
+// A bare array of cases, or a CSV with the same columns, is also accepted
+
+import Utils from '../core/utils.js';
+import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+import FileLoader from '../core/fileLoader.js';
+import CausalLogic from './causalLogic.js';
+import ClassifierRules from './classifierRules.js';
+import PreplannedReactive from './preplannedReactive.js';
+
+const ClassifierBacktest = {
+  LABELS: ['reactive', 'mixed', 'pre-planned'],
+  
+  CALIBRATION_BINS: 5,
+  
+  // Sweeps larger than this are refused rather than left to freeze the page
+  MAX_COMBINATIONS: 2000,
+  
+  // Settings tried by sweep() when no grid is given (paths into the rule set)
+  DEFAULT_GRID: {
+    'verdict.reactive': [0.55, 0.6, 0.65, 0.7, 0.75],
+    'verdict.preplanned': [0.3, 0.35, 0.4, 0.45],
+    'weights.temporal': [0.25, 0.35, 0.45],
+    'weights.pattern': [0.1, 0.2, 0.3]
+  },
+  
+  lastEvaluation: null,
+  
+  /**
+   * Built-in cases: the proven trigger -> response pairs from CausalLogic, all reactive
+   */
+  getDefaultCases() {
+    return {
+      name: 'Historical trigger-response pairs',
+      cases: CausalLogic.historicalPairs.map(pair => ({
+        id: `${pair.trigger.replace(/\W+/g, '-')}-${pair.date}`,
+        date: pair.date,
+        match: pair.trigger,
+        label: 'reactive',
+        note: `Followed by ${pair.response}`
+      }))
+    };
+  },
+  
+  /**
+   * Parse a case file (JSON or CSV)
+   * @throws {Error} Listing every invalid case
+   */
+  parseCases(fileName, text) {
+    let name = fileName;
+    let rows;
+    
+    if (FileLoader.getExtension(fileName) === 'csv') {
+      const parsed = FileLoader.parseCSV(text);
+      if (parsed.errors.length > 0) {
+        throw new Error(parsed.errors.map(e => `${fileName} line ${e.line}: ${e.message}`).join('\n'));
+      }
+      const columns = parsed.header.map(h => h.toLowerCase());
+      rows = parsed.rows.map(r => {
+        const row = {};
+        columns.forEach((column, i) => { row[column] = r.values[i]; });
+        return row;
+      });
+    } else {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`${fileName}: not valid JSON (${error.message})`);
+      }
+      rows = Array.isArray(parsed) ? parsed : parsed && parsed.cases;
+      if (!Array.isArray(rows)) {
+        throw new Error(`${fileName}: expected an array of cases or an object with a "cases" array`);
+      }
+      if (parsed.name) name = parsed.name;
+    }
+    
+    const problems = [];
+    const cases = rows.map((row, i) => {
+      const where = `case ${i + 1}`;
+      const label = this.normalizeLabel(row.label);
+      if (!label) problems.push(`${where}: label must be reactive, pre-planned or mixed (got "${row.label}")`);
+      if (!row.date || !/^\d{4}(-\d{2}){0,2}$/.test(String(row.date).trim())) {
+        problems.push(`${where}: date must be YYYY, YYYY-MM or YYYY-MM-DD`);
+      }
+      if (!row.match) {
+        problems.push(`${where}: match is required`);
+      } else {
+        try {
+          new RegExp(row.match, 'i');
+        } catch (error) {
+          problems.push(`${where}: match is not a valid regular expression`);
+        }
+      }
+      return {
+        id: row.id || String(i + 1),
+        date: String(row.date || '').trim(),
+        match: row.match,
+        dataset: row.dataset || null,
+        label,
+        note: row.note || ''
+      };
+    });
+    
+    if (problems.length > 0) {
+      throw new Error(`${fileName}:\n- ${problems.join('\n- ')}`);
+    }
+    return { name, cases };
+  },
+  
+  normalizeLabel(label) {
+    const value = String(label || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (value === 'preplanned') return 'pre-planned';
+    return this.LABELS.includes(value) ? value : null;
+  },
+  
+  /**
+   * Find the event a case refers to: the earliest non-exercise event in the date range
+   * whose text matches (exercises are responses, not the events being classified)
+   * @returns {object} {event, candidates} - event is null when nothing matches
+   */
+  resolveCase(labeledCase) {
+    const pattern = new RegExp(labeledCase.match, 'i');
+    const filters = labeledCase.dataset ? { dataset: labeledCase.dataset } : {};
+    
+    const candidates = DataConnector.getEvents(filters)
+      .filter(e => e.date.startsWith(labeledCase.date))
+      .filter(e => {
+        const text = CausalLogic.getEventText(e);
+        return pattern.test(text) && !CausalLogic.isExercise(text);
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+    
+    return { event: candidates[0] || null, candidates: candidates.length };
+  },
+  
+  /**
+   * Classify every labeled case and score the results
+   * @param {object} caseSet - {name, cases}
+   * @param {object} options - {rules, windowSize, missingPolicy, bins}
+   * @returns {object} {name, rulesName, total, resolved, unresolved, accuracy, confusion,
+   *                    brier, calibration, rows}
+   */
+  evaluate(caseSet, options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const rules = options.rules || PreplannedReactive.rules;
+    const resolved = this.resolveCases(caseSet, options);
+    
+    const rows = resolved.cases.map(c => {
+      const classification = PreplannedReactive.calculateClassification(c.signals, rules);
+      return this.buildRow(c, classification);
+    });
+    
+    this.lastEvaluation = {
+      name: caseSet.name,
+      rulesName: rules.name,
+      total: caseSet.cases.length,
+      resolved: rows.length,
+      unresolved: resolved.unresolved,
+      ...this.score(rows, options.bins),
+      rows
+    };
+    return this.lastEvaluation;
+  },
+  
+  /**
+   * Resolve cases to events and compute their signals once
+   * Signals depend only on the signal sections of the rule set, so sweeps over weights
+   * and verdict thresholds can reuse them
+   */
+  resolveCases(caseSet, options = {}) {
+    const rules = options.rules || PreplannedReactive.rules;
+    const previous = PreplannedReactive.currentAnalysis;
+    const cases = [];
+    const unresolved = [];
+    
+    caseSet.cases.forEach(labeledCase => {
+      const { event, candidates } = this.resolveCase(labeledCase);
+      if (!event) {
+        unresolved.push(labeledCase);
+        return;
+      }
+      const analysis = PreplannedReactive.classify(event, {
+        windowSize: options.windowSize || 21,
+        missingPolicy: options.missingPolicy || Utils.DEFAULT_MISSING_POLICY,
+        rules
+      });
+      cases.push({ labeledCase, event, candidates, signals: analysis.signals });
+    });
+    
+    // Backtesting must not replace the analysis on screen
+    PreplannedReactive.currentAnalysis = previous;
+    return { cases, unresolved };
+  },
+  
+  buildRow(resolvedCase, classification) {
+    return {
+      id: resolvedCase.labeledCase.id,
+      label: resolvedCase.labeledCase.label,
+      note: resolvedCase.labeledCase.note,
+      event: resolvedCase.event,
+      candidates: resolvedCase.candidates,
+      verdict: classification.verdict,
+      confidence: classification.confidence,
+      reactiveScore: classification.reactiveScore,
+      correct: classification.verdict === resolvedCase.labeledCase.label
+    };
+  },
+  
+  /**
+   * Accuracy, confusion matrix, Brier score and calibration curve for classified rows
+   * Brier and calibration treat reactive as 1 and pre-planned as 0; mixed labels are left out
+   */
+  score(rows, bins = this.CALIBRATION_BINS) {
+    const confusion = {};
+    this.LABELS.forEach(actual => {
+      confusion[actual] = {};
+      this.LABELS.forEach(predicted => { confusion[actual][predicted] = 0; });
+    });
+    rows.forEach(r => { confusion[r.label][r.verdict]++; });
+    
+    const correct = rows.filter(r => r.correct).length;
+    const binary = rows.filter(r => r.label !== 'mixed');
+    const outcome = r => (r.label === 'reactive' ? 1 : 0);
+    
+    const brier = binary.length > 0
+      ? binary.reduce((sum, r) => sum + Math.pow(r.reactiveScore - outcome(r), 2), 0) / binary.length
+      : null;
+    
+    const calibration = [];
+    for (let i = 0; i < bins; i++) {
+      const lower = i / bins;
+      const upper = (i + 1) / bins;
+      const inBin = binary.filter(r =>
+        r.reactiveScore >= lower && (r.reactiveScore < upper || (i === bins - 1 && r.reactiveScore <= upper))
+      );
+      calibration.push({
+        lower,
+        upper,
+        count: inBin.length,
+        meanPredicted: inBin.length > 0 ? Utils.mean(inBin.map(r => r.reactiveScore)) : null,
+        observedReactive: inBin.length > 0 ? Utils.mean(inBin.map(outcome)) : null
+      });
+    }
+    
+    return {
+      accuracy: rows.length > 0 ? correct / rows.length : null,
+      correct,
+      confusion,
+      brier,
+      brierCount: binary.length,
+      calibration
+    };
+  },
+  
+  /**
+   * Try every combination of rule settings and rank them by fit to the labeled cases
+   * @param {object} grid - {'path.in.rules': [values]} (defaults to DEFAULT_GRID)
+   * @param {object} options - {rules (base), windowSize, missingPolicy, top}
+   * @returns {object} {combinations, evaluated, skipped, results: [{settings, accuracy, brier, rules}]}
+   */
+  sweep(caseSet, grid = this.DEFAULT_GRID, options = {}) {
+    const base = options.rules || PreplannedReactive.rules;
+    const paths = Object.keys(grid);
+    const combinations = paths.reduce((total, path) => total * grid[path].length, 1);
+    
+    if (paths.length === 0) throw new Error('Sweep grid is empty');
+    if (combinations > this.MAX_COMBINATIONS) {
+      throw new Error(`Sweep grid has ${combinations} combinations (limit ${this.MAX_COMBINATIONS})`);
+    }
+    
+    // Signals are computed once unless the grid changes a signal section
+    const scoringOnly = paths.every(path => /^(weights|weightAdjustments|verdict)(\.|\[|$)/.test(path));
+    const shared = scoringOnly ? this.resolveCases(caseSet, { ...options, rules: base }) : null;
+    
+    const results = [];
+    let skipped = 0;
+    
+    this.combinations(grid, paths).forEach((settings, i) => {
+      Progress.report('Trying rule settings', i, combinations);
+      const rules = ClassifierRules.clone(base);
+      Object.entries(settings).forEach(([path, value]) => this.setPath(rules, path, value));
+      if (ClassifierRules.validate(rules).length > 0) {
+        skipped++;
+        return;
+      }
+      
+      const resolved = shared || this.resolveCases(caseSet, { ...options, rules });
+      const rows = resolved.cases.map(c =>
+        this.buildRow(c, PreplannedReactive.calculateClassification(c.signals, rules))
+      );
+      const { accuracy, brier } = this.score(rows, options.bins);
+      results.push({ settings, accuracy, brier, rules });
+    });
+    
+    Progress.report('Trying rule settings', combinations, combinations);
+    
+    // Best accuracy first, then the lowest Brier score (1 is the worst possible)
+    results.sort((a, b) => {
+      const accuracy = (b.accuracy ?? -1) - (a.accuracy ?? -1);
+      return accuracy !== 0 ? accuracy : (a.brier ?? 1) - (b.brier ?? 1);
+    });
+    
+    return {
+      combinations,
+      evaluated: results.length,
+      skipped,
+      results: options.top ? results.slice(0, options.top) : results
+    };
+  },
+  
+  combinations(grid, paths) {
+    return paths.reduce((combos, path) => {
+      const next = [];
+      combos.forEach(combo => grid[path].forEach(value => next.push({ ...combo, [path]: value })));
+      return next;
+    }, [{}]);
+  },
+  
+  // Set a dotted path (e.g. 'verdict.reactive' or 'temporal.rules[1].reactiveScore')
+  setPath(target, path, value) {
+    const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+      if (node[key] === undefined || node[key] === null) {
+        throw new Error(`Unknown rule setting "${path}"`);
+      }
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  }
+};
+
+export default ClassifierBacktest;
@@ -0,0 +1,434 @@
+// classifierRules.js - Rule sets for the Module 8 Reactive vs Pre-Planned classifier
+// Keywords, symbolic dates, score thresholds, signal weights and verdict cut-offs live
+// in a plain JSON-compatible object so analysts can edit, load, save and compare them
+//
+// Each signal section holds its parameters plus an ordered `rules` list. The first rule
+// whose `when` conditions all hold fires; the last rule must have no conditions (default).
+// Conditions test the facts a signal measures:
+//   value            - equality (true, false, 'text', 3)
+//   [a, b]           - value is one of the list
+//   {gt, gte, lt, lte} - numeric comparison (a missing value never matches)
+//   {includes: [..]} - text contains any of the keywords (case-insensitive)
+// Explanations are templates: {name} inserts a fact, {name:1} with 1 decimal, {name:%} as a percent
+
+import Workspace from '../core/workspace.js';
+
+const SIGNALS = ['temporal', 'buildup', 'magnitude', 'symbolic', 'pattern'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'includes'];
+
+const ClassifierRules = {
+  SIGNALS,
+  
+  DEFAULT_RULES: {
+    name: 'Default',
+    
+    // Signal 1: how quickly the peak followed the event
+    temporal: {
+      rules: [
+        { id: 'unknown', when: { peakFound: false }, reactiveScore: 0,
+          explanation: 'No clear peak detected in window' },
+        { id: 'immediate', when: { days: { gte: 0, lte: 2 } }, reactiveScore: 0.9,
+          explanation: 'Peak occurred {days} day(s) after event - indicates immediate reaction' },
+        { id: 'delayed', when: { days: { gte: 3, lte: 9 } }, reactiveScore: 0.5,
+          explanation: 'Peak occurred {days} days after event - could be either reactive or pre-planned' },
+        { id: 'very_delayed', when: {}, reactiveScore: 0.5,
+          explanation: 'Peak occurred {days} days after event - likely unrelated to this event' }
+      ]
+    },
+    
+    // Signal 2: ADIZ trend in the days before the event
+    buildup: {
+      lookbackDays: 14,
+      rules: [
+        { id: 'insufficient_data', when: { reportedDays: { lt: 5 } }, reactiveScore: 0.5,
+          explanation: 'Insufficient pre-event data to determine buildup' },
+        { id: 'rising', when: { slope: { gt: 2 }, elevationRatio: { gt: 1.2 } }, reactiveScore: 0.2,
+          explanation: 'ADIZ was rising before event (slope: +{slope:1}/day), suggests pre-planning' },
+        { id: 'elevated', when: { elevationRatio: { gt: 1.2 } }, reactiveScore: 0.4,
+          explanation: 'ADIZ elevated before event but not rising - possible pre-positioning' },
+        { id: 'normal', when: {}, reactiveScore: 0.8,
+          explanation: 'ADIZ normal before event - no evidence of pre-planning' }
+      ]
+    },
+    
+    // Signal 3: peak size relative to other events of the same category
+    magnitude: {
+      sampleSize: 20,
+      peakWindow: 14,
+      rules: [
+        { id: 'insufficient_data', when: { similarEvents: { lt: 3 } }, reactiveScore: 0.5,
+          explanation: 'Not enough similar events to compare magnitude' },
+        { id: 'much_larger_immediate', when: { ratio: { gt: 2.5 }, temporalDays: { lte: 3 } }, reactiveScore: 0.95,
+          explanation: 'STRONG REACTION: {ratio:1}x spike within {temporalDays} days - massive spike in close temporal proximity indicates direct response' },
+        { id: 'large_near_immediate', when: { ratio: { gt: 2.0 }, temporalDays: { lte: 5 } }, reactiveScore: 0.85,
+          explanation: 'Strong spike ({ratio:1}x) within {temporalDays} days - large quantity in close proximity suggests reactive response' },
+        { id: 'much_larger', when: { ratio: { gt: 2.5 } }, reactiveScore: 0.7,
+          explanation: 'Response {ratio:1}x larger than typical {category} events - unusually strong but timing less clear' },
+        { id: 'larger', when: { ratio: { gt: 1.5 } }, reactiveScore: 0.6,
+          explanation: 'Response {ratio:1}x larger than typical - moderately strong reaction' },
+        { id: 'typical', when: {}, reactiveScore: 0.5,
+          explanation: 'Response size ({thisPeak}) typical for {category} events (avg: {avgSimilarPeak:1})' }
+      ]
+    },
+    
+    // Signal 4: closest political event in the data, classified by keywords
+    symbolic: {
+      proximityDays: 15,
+      rules: [
+        { id: 'none_nearby', when: { nearbyCount: 0 }, reactiveScore: 0.5,
+          explanation: 'No significant political events within {proximityDays} days' },
+        // Military exercises usually follow provocations
+        { id: 'reactive_to_exercise', when: { text: { includes: ['exercise', 'drill', 'maneuver'] } }, reactiveScore: 0.7,
+          explanation: 'Within {days} days of military exercise "{name}" - exercises often follow provocations, suggesting reactive' },
+        // PRC times actions around Taiwan elections
+        { id: 'preplanned_election', when: { text: { includes: ['election', 'vote'] } }, reactiveScore: 0.2,
+          explanation: 'Within {days} days of Taiwan election - PRC often pre-plans demonstrations around elections' },
+        { id: 'preplanned_congress', when: { text: { includes: ['congress', 'ccp', 'party'] } }, reactiveScore: 0.25,
+          explanation: 'Within {days} days of {name} - timing suggests pre-planned messaging' },
+        { id: 'preplanned_symbolic', when: { text: { includes: ['inauguration', '10-10', 'double ten', 'national day'] } }, reactiveScore: 0.2,
+          explanation: 'Within {days} days of {name} - symbolic date suggests pre-planned' },
+        { id: 'preplanned_holiday', when: { text: { includes: ['lunar', 'new year', 'spring festival'] } }, reactiveScore: 0.3,
+          explanation: 'Within {days} days of Lunar New Year period - holiday timing suggests pre-planned' },
+        { id: 'ambiguous_political', when: {}, reactiveScore: 0.4,
+          explanation: 'Within {days} days of "{name}" - timing relationship unclear' }
+      ]
+    },
+    
+    // Fallback for Signal 4 when the dataset has no political events
+    symbolicDates: {
+      proximityDays: 2,
+      dates: [
+        { month: 10, day: 10, name: 'Double Ten Day (ROC National Day)' },
+        { month: 1, day: 1, name: "New Year's Day" },
+        { month: 5, day: 20, name: 'Taiwan Presidential Inauguration' },
+        { month: 7, day: 1, name: 'CCP Founding Day' },
+        { month: 10, day: 1, name: 'PRC National Day' },
+        { month: 12, day: 10, name: 'Human Rights Day' }
+      ],
+      rules: [
+        { id: 'symbolic_date', when: { matched: true }, reactiveScore: 0.3,
+          explanation: 'Within {proximityDays} days of {name} - likely pre-planned' },
+        { id: 'none', when: {}, reactiveScore: 0.5,
+          explanation: 'No symbolic timing detected' }
+      ]
+    },
+    
+    // Signal 5: shape of the response curve
+    pattern: {
+      decayDays: 7,
+      sustainedPeakRatio: 0.8,
+      sustainedShare: 0.6,
+      rules: [
+        { id: 'sharp_spike_rapid_decay', when: { sharpness: { gt: 2.5 }, decayRate: { gt: 0.6 }, sustained: false }, reactiveScore: 0.95,
+          explanation: 'Sharp spike ({sharpness:1}x) with rapid {decayRate:%}% decay within {decayDays} days - CLASSIC reactive response pattern' },
+        { id: 'sharp_spike_moderate_decay', when: { sharpness: { gt: 2.5 }, decayRate: { gt: 0.4 }, sustained: false }, reactiveScore: 0.85,
+          explanation: 'Sharp spike ({sharpness:1}x) with {decayRate:%}% decay - reactive pattern' },
+        { id: 'sharp_spike', when: { sharpness: { gt: 2.5 }, sustained: false }, reactiveScore: 0.70,
+          explanation: 'Sharp spike ({sharpness:1}x) but slower decay ({decayRate:%}%) - ambiguous pattern' },
+        { id: 'sustained', when: { sustained: true }, reactiveScore: 0.25,
+          explanation: 'Sustained elevated ADIZ activity - suggests planned exercise/operation' },
+        { id: 'gradual', when: {}, reactiveScore: 0.5,
+          explanation: 'Gradual buildup pattern - ambiguous signal' }
+      ]
+    },
+    
+    weights: {
+      temporal: 0.35,
+      buildup: 0.25,
+      magnitude: 0.20,
+      symbolic: 0.10,
+      pattern: 0.10
+    },
+    
+    // First adjustment whose conditions match the fired rule ids replaces the weights
+    weightAdjustments: [
+      // Sharp spike + rapid decay is the key reactive indicator
+      { id: 'sharp_decay_pattern', when: { pattern: 'sharp_spike_rapid_decay' },
+        weights: { temporal: 0.30, buildup: 0.20, magnitude: 0.25, symbolic: 0.05, pattern: 0.20 } },
+      // Large spike in close proximity
+      { id: 'compound_magnitude', when: { magnitude: ['much_larger_immediate', 'large_near_immediate'] },
+        weights: { temporal: 0.30, buildup: 0.20, magnitude: 0.30, symbolic: 0.10, pattern: 0.10 } }
+    ],
+    
+    verdict: {
+      reactive: 0.65,
+      reactiveHigh: 0.8,
+      preplanned: 0.35,
+      preplannedHigh: 0.2
+    }
+  },
+  
+  /**
+   * Fresh copy of the default rule set
+   */
+  getDefaults() {
+    return this.clone(this.DEFAULT_RULES);
+  },
+  
+  clone(rules) {
+    return JSON.parse(JSON.stringify(rules));
+  },
+  
+  /**
+   * Parse a rule set from JSON text
+   * Missing sections fall back to the defaults, so a file may override only what it changes
+   * @throws {Error} On invalid JSON or rules
+   */
+  fromJSON(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Rule set is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Rule set must be a JSON object');
+    }
+    
+    const rules = this.merge(this.DEFAULT_RULES, parsed);
+    this.assertValid(rules);
+    return rules;
+  },
+  
+  toJSON(rules) {
+    return JSON.stringify(rules, null, 2);
+  },
+  
+  /**
+   * Deep-merge overrides onto a base rule set; arrays (rule lists, dates) are replaced whole
+   */
+  merge(base, overrides) {
+    const result = this.clone(base);
+    Object.entries(overrides).forEach(([key, value]) => {
+      const current = result[key];
+      const bothObjects = value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current);
+      result[key] = bothObjects ? this.merge(current, value) : this.clone(value);
+    });
+    return result;
+  },
+  
+  /**
+   * Check a rule set's structure
+   * @returns {string[]} Problems found (empty when valid)
+   */
+  validate(rules) {
+    const problems = [];
+    if (!rules || typeof rules !== 'object') return ['Rule set must be an object'];
+    
+    const checkRuleList = (section, list) => {
+      if (!Array.isArray(list) || list.length === 0) {
+        problems.push(`${section}.rules must be a non-empty array`);
+        return;
+      }
+      const ids = new Set();
+      list.forEach((rule, i) => {
+        const where = `${section}.rules[${i}]`;
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+          problems.push(`${where} needs a string id`);
+        } else if (ids.has(rule.id)) {
+          problems.push(`${where}: duplicate id "${rule.id}"`);
+        } else {
+          ids.add(rule.id);
+        }
+        if (typeof rule.reactiveScore !== 'number' || rule.reactiveScore < 0 || rule.reactiveScore > 1) {
+          problems.push(`${where}: reactiveScore must be a number from 0 to 1`);
+        }
+        this.checkConditions(rule.when, where, problems);
+      });
+      const last = list[list.length - 1];
+      if (last && last.when && Object.keys(last.when).length > 0) {
+        problems.push(`${section}: the last rule must have no conditions (it is the default)`);
+      }
+    };
+    
+    [...SIGNALS, 'symbolicDates'].forEach(section => {
+      if (!rules[section] || typeof rules[section] !== 'object') {
+        problems.push(`Missing section "${section}"`);
+      } else {
+        checkRuleList(section, rules[section].rules);
+      }
+    });
+    
+    if (rules.symbolicDates && Array.isArray(rules.symbolicDates.dates)) {
+      rules.symbolicDates.dates.forEach((d, i) => {
+        if (!(d.month >= 1 && d.month <= 12 && d.day >= 1 && d.day <= 31)) {
+          problems.push(`symbolicDates.dates[${i}] needs a valid month and day`);
+        }
+      });
+    } else if (rules.symbolicDates) {
+      problems.push('symbolicDates.dates must be an array');
+    }
+    
+    const checkWeights = (weights, where) => {
+      if (!weights || typeof weights !== 'object') {
+        problems.push(`${where} must be an object`);
+        return;
+      }
+      SIGNALS.forEach(signal => {
+        if (typeof weights[signal] !== 'number' || weights[signal] < 0) {
+          problems.push(`${where}.${signal} must be a non-negative number`);
+        }
+      });
+      if (SIGNALS.every(signal => !(weights[signal] > 0))) {
+        problems.push(`${where} must give at least one signal a positive weight`);
+      }
+    };
+    
+    checkWeights(rules.weights, 'weights');
+    
+    if (!Array.isArray(rules.weightAdjustments)) {
+      problems.push('weightAdjustments must be an array');
+    } else {
+      rules.weightAdjustments.forEach((adjustment, i) => {
+        const where = `weightAdjustments[${i}]`;
+        if (!adjustment || typeof adjustment.id !== 'string') problems.push(`${where} needs a string id`);
+        this.checkConditions(adjustment && adjustment.when, where, problems);
+        Object.keys((adjustment && adjustment.when) || {}).forEach(key => {
+          if (!SIGNALS.includes(key)) problems.push(`${where}: unknown signal "${key}"`);
+        });
+        checkWeights(adjustment && adjustment.weights, `${where}.weights`);
+      });
+    }
+    
+    const v = rules.verdict;
+    if (!v || ['reactive', 'reactiveHigh', 'preplanned', 'preplannedHigh'].some(k => typeof v[k] !== 'number')) {
+      problems.push('verdict needs numeric reactive, reactiveHigh, preplanned and preplannedHigh thresholds');
+    } else if (!(v.preplannedHigh <= v.preplanned && v.preplanned < v.reactive && v.reactive <= v.reactiveHigh)) {
+      problems.push('verdict thresholds must satisfy preplannedHigh <= preplanned < reactive <= reactiveHigh');
+    }
+    
+    return problems;
+  },
+  
+  assertValid(rules) {
+    const problems = this.validate(rules);
+    if (problems.length > 0) {
+      throw new Error(`Invalid rule set:\n- ${problems.join('\n- ')}`);
+    }
+  },
+  
+  checkConditions(when, where, problems) {
+    if (when === undefined) return;
+    if (!when || typeof when !== 'object' || Array.isArray(when)) {
+      problems.push(`${where}.when must be an object`);
+      return;
+    }
+    Object.entries(when).forEach(([fact, condition]) => {
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        Object.keys(condition).forEach(op => {
+          if (!OPERATORS.includes(op)) problems.push(`${where}.when.${fact}: unknown operator "${op}"`);
+        });
+        if (condition.includes !== undefined && !Array.isArray(condition.includes)) {
+          problems.push(`${where}.when.${fact}.includes must be an array of keywords`);
+        }
+      }
+    });
+  },
+  
+  /**
+   * First rule whose conditions hold for the facts
+   */
+  matchRule(rules, facts) {
+    return rules.find(rule => this.matches(rule.when, facts)) || rules[rules.length - 1];
+  },
+  
+  matches(when, facts) {
+    return Object.entries(when || {}).every(([fact, condition]) => {
+      const value = facts[fact];
+      
+      if (Array.isArray(condition)) return condition.includes(value);
+      if (!condition || typeof condition !== 'object') return value === condition;
+      
+      if (condition.includes) {
+        const text = String(value || '').toLowerCase();
+        if (!condition.includes.some(keyword => text.includes(String(keyword).toLowerCase()))) return false;
+      }
+      
+      const numeric = ['gt', 'gte', 'lt', 'lte'].filter(op => condition[op] !== undefined);
+      if (numeric.length === 0) return true;
+      if (typeof value !== 'number' || Number.isNaN(value)) return false;
+      return numeric.every(op => {
+        if (op === 'gt') return value > condition.gt;
+        if (op === 'gte') return value >= condition.gte;
+        if (op === 'lt') return value < condition.lt;
+        return value <= condition.lte;
+      });
+    });
+  },
+  
+  /**
+   * Fill an explanation template from facts
+   */
+  explain(template, facts) {
+    return String(template || '').replace(/\{(\w+)(?::(\d+|%))?\}/g, (match, key, format) => {
+      const value = facts[key];
+      if (value === null || value === undefined) return '?';
+      if (typeof value !== 'number' || format === undefined) return String(value);
+      if (format === '%') return (value * 100).toFixed(0);
+      return value.toFixed(Number(format));
+    });
+  },
+  
+  /**
+   * Leaf-by-leaf differences between two rule sets
+   * @returns {object[]} [{path, a, b}]
+   */
+  diff(a, b, path = '') {
+    const differences = [];
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    
+    if (isObject(a) && isObject(b)) {
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+        differences.push(...this.diff(a[key], b[key], path ? `${path}.${key}` : key));
+      });
+    } else if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+      a.forEach((item, i) => differences.push(...this.diff(item, b[i], `${path}[${i}]`)));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      differences.push({ path, a: a === undefined ? null : a, b: b === undefined ? null : b });
+    }
+    
+    return differences;
+  },
+  
+  // Saved rule sets share the dataset workspace database
+  
+  /**
+   * Save a rule set under a name (overwrites when options.id is given)
+   * @returns {Promise<object>} The saved record
+   */
+  async saveRuleSet(name, rules, options = {}) {
+    this.assertValid(rules);
+    const now = new Date().toISOString();
+    const existing = options.id ? await this.getRuleSet(options.id) : null;
+    
+    const record = {
+      id: options.id || `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name || 'Untitled rules',
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      rules: { ...this.clone(rules), name: name || rules.name }
+    };
+    
+    await Workspace.run(Workspace.RULES_STORE, 'readwrite', store => store.put(record));
+    return record;
+  },
+  
+  async getRuleSet(id) {
+    return (await Workspace.run(Workspace.RULES_STORE, 'readonly', store => store.get(id))) || null;
+  },
+  
+  /**
+   * All saved rule sets, newest first
+   */
+  async listRuleSets() {
+    const records = await Workspace.run(Workspace.RULES_STORE, 'readonly', store => store.getAll());
+    return (records || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  },
+  
+  async deleteRuleSet(id) {
+    await Workspace.run(Workspace.RULES_STORE, 'readwrite', store => store.delete(id));
+  }
+};
+
+export default ClassifierRules;
@@ -0,0 +1,237 @@
+// facetAnalyzer.js - Attribute-level drill-down
+// Breaks the ADIZ response of a category run down by every value of every event field
+// (value_tier, lethality_type, US_Official_Level, importance, ...), tests numeric and
+// ordered fields for a dose-response trend, and ranks the fields by how much of the
+// event-to-event variation in response they explain.
+
+import Utils from '../core/utils.js';
+import Stats from '../core/stats.js';
+import DataSchema from '../core/schema.js';
+import Progress from '../core/progress.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+
+const FacetAnalyzer = {
+  currentResult: null,
+  
+  DEFAULT_OPTIONS: {
+    metric: 'delta',      // One of METRICS
+    maxLevels: 12,        // Fields with more distinct values are only analyzed when numeric
+    minGroupSize: 3,      // Smaller groups are listed but left out of the field-level test
+    iterations: 999,      // Permutations per test
+    seed: Stats.DEFAULT_SEED
+  },
+  
+  // Per-event response measures (fields of CategoryAnalyzer event analyses)
+  METRICS: {
+    delta: 'Days 1-7 vs baseline (aircraft)',
+    peak: 'Peak in window (aircraft)',
+    timeToPeak: 'Time to peak (days)'
+  },
+  
+  // Numeric fields spanning at least this ratio (max / min) are tested on a log10 scale
+  LOG_SCALE_RATIO: 100,
+  
+  /**
+   * Run a category analysis and break its response down by field
+   * @param {object} categoryFilters - DataConnector.getEvents filters
+   * @param {object} options - CategoryAnalyzer options plus DEFAULT_OPTIONS
+   */
+  analyze(categoryFilters, options = {}) {
+    return this.breakdown(CategoryAnalyzer.analyze(categoryFilters, options), options);
+  },
+  
+  /**
+   * Break the events of a CategoryAnalyzer result down by every analyzable field
+   * Events count equally (confounder down-weighting is not applied); events without a
+   * value for the metric are left out.
+   * @returns {object} {options, metric, windowSize, model, eventCount, facets}
+   *   facets (best explanation first): [{dataset, field, kind, n, groups: [{value, level, n,
+   *   mean, se, median, diff, p, small}], explained, p, q, doseResponse}]
+   *   doseResponse: {scale, rho, p, slope, slopeSE, explained, n} or null
+   */
+  breakdown(analysis, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    if (!this.METRICS[config.metric]) {
+      throw new Error(`Unknown response metric: ${config.metric}`);
+    }
+    
+    const rows = analysis.eventAnalyses
+      .filter(a => a[config.metric] !== null && a[config.metric] !== undefined)
+      .map(a => ({ event: a.event, response: a[config.metric] }));
+    
+    const facets = [];
+    const datasets = [...new Set(rows.map(r => r.event.dataset))].sort();
+    const profiled = datasets.map(dataset => {
+      const inDataset = rows.filter(r => r.event.dataset === dataset);
+      return { dataset, inDataset, profiles: DataSchema.profileFields(dataset, inDataset.map(r => r.event), config.maxLevels) };
+    });
+    const total = (datasets.length > 1 ? 1 : 0) + profiled.reduce((sum, p) => sum + p.profiles.length, 0);
+    
+    if (datasets.length > 1) {
+      Progress.report('Testing fields', 0, total);
+      facets.push(this.categoricalFacet(null, 'dataset', null, rows.map(r => ({ value: r.event.dataset, response: r.response })), datasets, config));
+    }
+    
+    profiled.forEach(({ dataset, inDataset, profiles }, index) => {
+      profiles.forEach(profile => {
+        Progress.report('Testing fields', facets.length, total);
+        const observations = inDataset
+          .map(r => ({ value: DataSchema.fieldValue(r.event.fields, profile.field), response: r.response }))
+          .filter(o => o.value !== null);
+        const facetConfig = { ...config, seed: config.seed + index };
+        
+        const facet = profile.categorical
+          ? this.categoricalFacet(dataset, profile.field, profile.ordinal, observations, profile.values, facetConfig)
+          : { dataset, field: profile.field, kind: 'numeric', n: observations.length, groups: [], explained: null, p: null, doseResponse: null };
+        
+        if (profile.numeric || profile.ordinal) {
+          facet.doseResponse = this.doseResponse(observations, profile, facetConfig);
+          if (!profile.categorical) {
+            facet.explained = facet.doseResponse.explained;
+            facet.p = facet.doseResponse.p;
+          }
+        }
+        facets.push(facet);
+      });
+    });
+    
+    Progress.report('Testing fields', total, total);
+    
+    const q = Stats.benjaminiHochberg(facets.map(f => f.p));
+    facets.forEach((facet, i) => { facet.q = q[i]; });
+    facets.sort((a, b) => (a.explained === null) - (b.explained === null) || b.explained - a.explained);
+    
+    this.currentResult = {
+      options: config,
+      filters: analysis.filters,
+      metric: config.metric,
+      windowSize: analysis.windowSize,
+      model: analysis.model,
+      eventCount: rows.length,
+      facets
+    };
+    return this.currentResult;
+  },
+  
+  /**
+   * Response by value, each value against all other events (permutation test), and the
+   * share of variance the field explains (adjusted eta², i.e. epsilon²) with a permutation
+   * p-value. Groups smaller than minGroupSize are left out of the field-level figures.
+   */
+  categoricalFacet(dataset, field, ordinal, observations, values, config) {
+    const groups = values.map(value => {
+      const inGroup = observations.filter(o => o.value === value).map(o => o.response);
+      const rest = observations.filter(o => o.value !== value).map(o => o.response);
+      const test = Stats.permutationTest(inGroup, rest, { iterations: config.iterations, seed: config.seed });
+      return {
+        value,
+        level: ordinal ? ordinal.indexOf(value) + 1 || null : null,
+        n: inGroup.length,
+        mean: inGroup.length > 0 ? Utils.mean(inGroup) : null,
+        se: inGroup.length > 1 ? Stats.sampleStdDev(inGroup) / Math.sqrt(inGroup.length) : null,
+        median: inGroup.length > 0 ? CategoryAnalyzer.median(inGroup) : null,
+        diff: test.observed,
+        p: test.pValue,
+        small: inGroup.length < config.minGroupSize
+      };
+    });
+    
+    const testable = observations.filter(o => groups.some(g => !g.small && g.value === o.value));
+    let explained = null;
+    let p = null;
+    if (new Set(testable.map(o => o.value)).size >= 2) {
+      const labels = testable.map(o => o.value);
+      const responses = testable.map(o => o.response);
+      explained = this.epsilonSquared(labels, responses);
+      
+      const rng = Stats.createRng(config.seed);
+      const shuffled = [...responses];
+      let hits = 0;
+      for (let i = 0; i < config.iterations; i++) {
+        Stats.shuffle(shuffled, rng);
+        if (this.epsilonSquared(labels, shuffled) >= explained - 1e-12) hits++;
+      }
+      p = (hits + 1) / (config.iterations + 1);
+    }
+    
+    return {
+      dataset,
+      field,
+      kind: ordinal ? 'ordinal' : 'categorical',
+      n: observations.length,
+      groups,
+      explained,
+      p,
+      doseResponse: null
+    };
+  },
+  
+  /**
+   * Adjusted share of variance explained by group membership:
+   * (SS between - (k - 1) × MS within) / SS total
+   */
+  epsilonSquared(labels, responses) {
+    const n = responses.length;
+    const grandMean = Utils.mean(responses);
+    const byGroup = new Map();
+    labels.forEach((label, i) => {
+      if (!byGroup.has(label)) byGroup.set(label, []);
+      byGroup.get(label).push(responses[i]);
+    });
+    
+    let between = 0;
+    let within = 0;
+    byGroup.forEach(values => {
+      const mean = Utils.mean(values);
+      between += values.length * (mean - grandMean) ** 2;
+      values.forEach(v => { within += (v - mean) ** 2; });
+    });
+    
+    const total = between + within;
+    const k = byGroup.size;
+    if (total === 0 || n <= k) return 0;
+    return (between - (k - 1) * (within / (n - k))) / total;
+  },
+  
+  /**
+   * Dose-response: Spearman correlation of the response with the field (numeric value, or
+   * level for ordered categories) and the least-squares slope per unit (per tenfold on a
+   * log10 scale, per level for ordered categories)
+   * @returns {object} {scale, rho, p, slope, slopeSE, explained, n}
+   */
+  doseResponse(observations, profile, config) {
+    let scale = profile.numeric ? 'linear' : 'level';
+    let points = observations
+      .map(o => ({ x: profile.numeric ? Number(o.value) : profile.ordinal.indexOf(o.value) + 1, y: o.response }))
+      .filter(point => Number.isFinite(point.x) && (profile.numeric || point.x > 0));
+    
+    if (profile.numeric) {
+      const xs = points.map(point => point.x);
+      const min = Math.min(...xs);
+      if (min > 0 && Math.max(...xs) / min >= this.LOG_SCALE_RATIO) {
+        scale = 'log10';
+        points = points.map(point => ({ x: Math.log10(point.x), y: point.y }));
+      }
+    }
+    
+    const x = points.map(point => point.x);
+    const y = points.map(point => point.y);
+    const spearman = Stats.spearman(x, y, { iterations: config.iterations, seed: config.seed });
+    if (spearman.rho === null || points.length < 3) {
+      return { scale, rho: null, p: null, slope: null, slopeSE: null, explained: null, n: points.length };
+    }
+    
+    const fit = Stats.ols(x.map(v => [1, v]), y);
+    return {
+      scale,
+      rho: spearman.rho,
+      p: spearman.pValue,
+      slope: fit.coefficients[1],
+      slopeSE: fit.standardErrors[1],
+      explained: 1 - (1 - fit.rSquared) * (fit.n - 1) / (fit.n - 2),
+      n: points.length
+    };
+  }
+};
+
+export default FacetAnalyzer;
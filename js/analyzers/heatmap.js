@@ -0,0 +1,147 @@
+// heatmap.js - Module 4: Heatmap View
+// Calendar matrices of daily ADIZ counts, and an event-response matrix with one row per
+// event from a CategoryAnalyzer run and one column per days_from_event offset
+
+import Utils from '../core/utils.js';
+import CalendarDate from '../core/calendarDate.js';
+import DataConnector from '../core/dataConnector.js';
+import Clustering from '../core/clustering.js';
+import Progress from '../core/progress.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+
+const HeatmapAnalyzer = {
+  currentResponse: null,
+  
+  WEEKDAYS: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+  
+  // Row orders for the response heatmap
+  SORT_MODES: {
+    date: 'Event date',
+    shape: 'Response shape (clustered)',
+    peak: 'Peak deviation',
+    delta: 'Days 1-7 deviation',
+    timeToPeak: 'Time to peak'
+  },
+  
+  /**
+   * Year × day-of-year matrix of daily counts (null for unreported days and for day 366
+   * in non-leap years)
+   * @returns {object} {years, days: [1..366], z: [year][day], dates: [year][day]}
+   */
+  yearByDayOfYear(missingPolicy = Utils.DEFAULT_MISSING_POLICY) {
+    const years = DataConnector.getAvailableYears().filter(y => y !== 'ALL');
+    const days = Array.from({ length: 366 }, (_, i) => i + 1);
+    
+    const z = [];
+    const dates = [];
+    years.forEach(year => {
+      const start = `${year}-01-01`;
+      const rows = DataConnector.getBaselineData(start, `${year}-12-31`, missingPolicy);
+      const values = new Array(366).fill(null);
+      const labels = new Array(366).fill(null);
+      rows.forEach(row => {
+        const index = Utils.daysDiff(start, row.date);
+        values[index] = Utils.isReported(row.adiz_count) ? row.adiz_count : null;
+        labels[index] = row.date;
+      });
+      z.push(values);
+      dates.push(labels);
+    });
+    
+    return { years, days, z, dates };
+  },
+  
+  /**
+   * Weekday × week matrix for one year (weeks start on Monday)
+   * @returns {object} {year, weeks: [week start dates], weekdays, z: [weekday][week], dates: [weekday][week]}
+   */
+  weekByWeekday(year, missingPolicy = Utils.DEFAULT_MISSING_POLICY) {
+    const jan1 = `${year}-01-01`;
+    const firstMonday = CalendarDate.startOfWeek(jan1);
+    const weekCount = Math.ceil((Utils.daysDiff(firstMonday, `${year}-12-31`) + 1) / 7);
+    
+    const weeks = Array.from({ length: weekCount }, (_, w) => Utils.addDays(firstMonday, w * 7));
+    const z = this.WEEKDAYS.map(() => new Array(weekCount).fill(null));
+    const dates = this.WEEKDAYS.map(() => new Array(weekCount).fill(null));
+    
+    DataConnector.getBaselineData(jan1, `${year}-12-31`, missingPolicy).forEach(row => {
+      const index = Utils.daysDiff(firstMonday, row.date);
+      const week = Math.floor(index / 7);
+      const weekday = index % 7;
+      z[weekday][week] = Utils.isReported(row.adiz_count) ? row.adiz_count : null;
+      dates[weekday][week] = row.date;
+    });
+    
+    return { year, weeks, weekdays: this.WEEKDAYS, z, dates };
+  },
+  
+  /**
+   * Event-response matrix: each event's deviation from its own baseline at every offset
+   * Deviation is count minus the 30-day pre-event mean (naive model) or the abnormal
+   * count against the fitted counterfactual (event-study model)
+   * @param {object} categoryFilters - DataConnector.getEvents filters
+   * @param {object} options - CategoryAnalyzer options plus {sort}
+   * @returns {object} {offsets, rows: [{event, values, peak, delta, timeToPeak}], sort, ...}
+   */
+  responseMatrix(categoryFilters, options = {}) {
+    const analysis = CategoryAnalyzer.analyze(categoryFilters, options);
+    const windowSize = analysis.windowSize;
+    const offsets = Array.from({ length: 2 * windowSize + 1 }, (_, i) => i - windowSize);
+    
+    const rows = analysis.eventAnalyses.map(a => {
+      const values = CategoryAnalyzer.deviationCurve(a, offsets);
+      const post = Utils.reportedValues(values.filter((_, i) => offsets[i] >= 0));
+      return {
+        event: a.event,
+        values,
+        peak: post.length > 0 ? Utils.max(post) : null,
+        delta: a.delta,
+        timeToPeak: a.timeToPeak
+      };
+    });
+    
+    const sort = options.sort || 'date';
+    Progress.report('Ordering rows', 0, 1);
+    this.currentResponse = {
+      filters: categoryFilters,
+      windowSize,
+      model: analysis.model,
+      missingPolicy: analysis.missingPolicy,
+      offsets,
+      sort,
+      rows: this.sortRows(rows, sort),
+      eventCount: rows.length
+    };
+    return this.currentResponse;
+  },
+  
+  /**
+   * Order rows by one of SORT_MODES (rows without a value sink to the bottom)
+   */
+  sortRows(rows, mode) {
+    if (mode === 'shape') {
+      return this.shapeOrder(rows.map(r => r.values)).map(i => rows[i]);
+    }
+    if (mode === 'date') {
+      return [...rows].sort((a, b) => a.event.date.localeCompare(b.event.date));
+    }
+    
+    const direction = mode === 'timeToPeak' ? 1 : -1;
+    return [...rows].sort((a, b) =>
+      (a[mode] === null) - (b[mode] === null) || direction * (a[mode] - b[mode])
+    );
+  },
+  
+  /**
+   * Leaf order of an average-linkage hierarchical clustering on correlation distance
+   * (1 - r between z-normalized rows), so events with similar response shapes sit together
+   * whatever their magnitude. Gaps count as no deviation.
+   */
+  shapeOrder(matrix) {
+    const curves = matrix.map(values => values.map(v => v ?? 0));
+    const distance = Clustering.distanceMatrix(curves, (a, b) => Clustering.correlationDistance(a, b));
+    return Clustering.hierarchical(distance).order;
+  }
+};
+
+export default HeatmapAnalyzer;
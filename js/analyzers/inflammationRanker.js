@@ -0,0 +1,97 @@
+// inflammationRanker.js - Rank event categories by inflammatory potential (Module 9)
+// Per-event impact uses the same definition as Modules 1-3 (CategoryAnalyzer.analyzeEvent):
+// mean ADIZ over days 1-7 after the event minus the 30-day pre-event baseline. Categories
+// are ranked by that impact alone, with an N-way comparison (ABCompare.compareGroups)
+// saying which differences are more than noise.
+
+import DataConnector from '../core/dataConnector.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+import ABCompare from './abCompare.js';
+
+const InflammationRanker = {
+  cache: null,
+  cacheKey: null,
+  cacheData: null,
+  
+  // Display name, label and icon per dataset
+  CATEGORIES: {
+    arms_sales: { name: 'Arms Sales', label: 'Arms Sales', icon: '💰' },
+    diplomatic: { name: 'Diplomatic Meetings', label: 'Diplomatic', icon: '🤝' },
+    taiwan_actions: { name: 'Taiwan Actions', label: 'Taiwan Action', icon: '🇹🇼' },
+    ships: { name: 'Ship Transits', label: 'Ship Transit', icon: '🚢' },
+    political_symbolic: { name: 'Political Events', label: 'Political Event', icon: '🗓️' },
+    bills: { name: 'Legislative Bills', label: 'Legislative Bill', icon: '📜' }
+  },
+  
+  /**
+   * Rank event categories by average ADIZ impact, best-supported first
+   * Every category's events are compared with every other category's (Holm-adjusted
+   * permutation tests); `above` lists the categories a row's impact is significantly higher
+   * than, and `aheadOfNext` is its test against the next row down.
+   * Cached per loaded dataset and options
+   * @param {object} options - {missingPolicy}
+   * @returns {object[]} [{rank, category, key, avgImpact, se, eventCount, measuredCount, above, below, aheadOfNext}]
+   */
+  rankCategories(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const key = JSON.stringify(options);
+    if (this.cache && this.cacheKey === key && this.cacheData === DataConnector.currentData) {
+      return this.cache;
+    }
+    
+    const groups = Object.keys(this.CATEGORIES)
+      .filter(dataset => DataConnector.getEvents({ dataset }).length > 0)
+      .map(dataset => ({ name: dataset, filters: { dataset } }));
+    
+    let rankings = [];
+    if (groups.length >= 2) {
+      const comparison = ABCompare.compareGroups(groups, {
+        windowSize: 7,
+        missingPolicy: options.missingPolicy,
+        metric: 'delta',
+        correction: 'holm'
+      });
+      const nameOf = dataset => this.CATEGORIES[dataset].name;
+      
+      rankings = comparison.ranking.map((row, i) => {
+        const next = comparison.ranking[i + 1];
+        const pair = next
+          ? comparison.pairwise.find(p => (p.a === row.name && p.b === next.name) || (p.a === next.name && p.b === row.name))
+          : null;
+        return {
+          rank: row.rank,
+          category: nameOf(row.name),
+          key: row.name,
+          avgImpact: row.mean,
+          se: row.se,
+          eventCount: row.eventCount,
+          measuredCount: row.n,
+          above: row.above.map(nameOf),
+          below: row.below.map(nameOf),
+          aheadOfNext: pair
+            ? { category: nameOf(next.name), diff: row.mean - next.mean, adjustedP: pair.adjustedP, significant: pair.significant }
+            : null
+        };
+      });
+    }
+    
+    this.cache = rankings;
+    this.cacheKey = key;
+    this.cacheData = DataConnector.currentData;
+    return rankings;
+  },
+  
+  /**
+   * ADIZ impact of one normalized event, or null when either period has no reported days
+   */
+  calculateEventImpact(event, options = {}) {
+    return CategoryAnalyzer.analyzeEvent(event, 7, DataConnector.series, {
+      missingPolicy: options.missingPolicy
+    }).delta;
+  }
+};
+
+export default InflammationRanker;
@@ -0,0 +1,457 @@
+// leadLag.js - Module 10: Lead/Lag Analysis
+// Turns each event dataset into a daily event-count series and asks, against the ADIZ
+// series, (1) at which lag the two move together (cross-correlation over -30..+30 days)
+// and (2) whether past events improve a forecast of ADIZ beyond ADIZ's own past
+// (Granger-style F test), in both directions. Significance comes from circular-shift
+// surrogates: the event series is rotated by a random offset, which keeps its clustering
+// but breaks its alignment with ADIZ.
+// Series are typed arrays sliced from the dense TimeSeries (NaN marks an unusable day), and
+// each Granger model is fitted from cross-product sums: the ADIZ terms are summed once and
+// a surrogate only adds the terms of days near an event, instead of a regression per model.
+
+import Utils from '../core/utils.js';
+import Stats from '../core/stats.js';
+import DataSchema from '../core/schema.js';
+import DataConnector from '../core/dataConnector.js';
+import TimeSeries from '../core/timeSeries.js';
+import Progress from '../core/progress.js';
+import InflammationRanker from './inflammationRanker.js';
+
+const LeadLag = {
+  cache: null,
+  cacheKey: null,
+  cacheData: null,
+  
+  DEFAULT_OPTIONS: {
+    maxLag: 30,              // Cross-correlation lags -maxLag..+maxLag (positive: ADIZ after events)
+    detrendDays: 28,         // Centered moving-mean window removed from ADIZ first (0 keeps the raw series)
+    surrogates: 199,         // Circular shifts for the cross-correlation envelope and peak p-value
+    grangerLags: 7,          // Days of history in the Granger-style models
+    grangerSurrogates: 99,   // Circular shifts for the Granger p-values
+    minShift: 60,            // Surrogate shifts stay at least this far from the real alignment
+    alpha: 0.05,
+    seed: Stats.DEFAULT_SEED,
+    missingPolicy: Utils.DEFAULT_MISSING_POLICY
+  },
+  
+  /**
+   * Lead/lag results for every event dataset
+   * Cached per loaded dataset and options
+   * @returns {object} {options, start, end, days, categories: [{dataset, name, icon, events,
+   *   ccf: [{lag, r, lower, upper}], peak: {lag, r, p}, granger: {lags, n, F, p, reverseF, reverseP},
+   *   direction}]}
+   */
+  analyze(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const key = JSON.stringify(config);
+    if (this.cache && this.cacheKey === key && this.cacheData === DataConnector.currentData) {
+      return this.cache;
+    }
+    
+    const series = this.buildSeries(config.missingPolicy);
+    const response = this.standardize(this.detrend(series.adiz, config.detrendDays));
+    const adizSums = {
+      forward: this.adizMoments(series.adiz, config.grangerLags, true),
+      reverse: this.adizMoments(series.adiz, config.grangerLags, false)
+    };
+    
+    const datasets = Object.keys(DataSchema.events).filter(dataset => series.counts[dataset]);
+    const categories = datasets.map((dataset, index) => {
+      Progress.report('Testing event datasets', index, datasets.length);
+      const counts = series.counts[dataset];
+      const info = InflammationRanker.CATEGORIES[dataset] || { name: dataset, icon: '' };
+      const rng = Stats.createRng(config.seed + index);
+      
+      const ccf = this.crossCorrelationTest(counts, response, config, rng);
+      const granger = this.grangerTest(series.adiz, counts, config, rng, adizSums);
+      
+      return {
+        dataset,
+        name: info.name,
+        icon: info.icon,
+        events: counts.reduce((sum, c) => sum + c, 0),
+        ccf: ccf.lags,
+        peak: ccf.peak,
+        granger,
+        direction: this.describeDirection(granger, config.alpha)
+      };
+    });
+    Progress.report('Testing event datasets', datasets.length, datasets.length);
+    
+    this.cache = {
+      options: config,
+      start: series.start,
+      end: series.end,
+      days: series.adiz.length,
+      categories
+    };
+    this.cacheKey = key;
+    this.cacheData = DataConnector.currentData;
+    return this.cache;
+  },
+  
+  /**
+   * Daily ADIZ series (NaN where unusable under the policy) and per-dataset event counts
+   * over the span of the baseline, as Float64Arrays indexed from its first day
+   * @returns {object} {start, end, adiz, counts: {dataset: counts}}
+   */
+  buildSeries(missingPolicy) {
+    const series = DataConnector.series;
+    const { values, status } = TimeSeries.layer(series, missingPolicy);
+    const first = TimeSeries.indexOf(series, series.start);
+    const length = TimeSeries.indexOf(series, series.end) - first + 1;
+    
+    const adiz = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      adiz[i] = status[first + i] === TimeSeries.MISSING ? NaN : values[first + i];
+    }
+    
+    const counts = {};
+    Object.keys(DataSchema.events).forEach(dataset => {
+      const events = DataConnector.getEvents({ dataset });
+      if (events.length === 0) return;
+      
+      const daily = new Float64Array(length);
+      events.forEach(event => {
+        const index = TimeSeries.indexOf(series, event.date) - first;
+        if (index >= 0 && index < length) daily[index]++;
+      });
+      counts[dataset] = daily;
+    });
+    
+    return { start: series.start, end: series.end, adiz, counts };
+  },
+  
+  /**
+   * Subtract a centered moving mean of the reported values (gaps stay NaN)
+   * Removes the multi-year climb so it cannot masquerade as correlation
+   */
+  detrend(values, days) {
+    if (!days) return values;
+    
+    const half = Math.floor(days / 2);
+    const prefixSum = new Float64Array(values.length + 1);
+    const prefixCount = new Float64Array(values.length + 1);
+    values.forEach((v, i) => {
+      prefixSum[i + 1] = prefixSum[i] + (Number.isNaN(v) ? 0 : v);
+      prefixCount[i + 1] = prefixCount[i] + (Number.isNaN(v) ? 0 : 1);
+    });
+    
+    return values.map((v, i) => {
+      if (Number.isNaN(v)) return NaN;
+      const lo = Math.max(0, i - half);
+      const hi = Math.min(values.length, i + half + 1);
+      return v - (prefixSum[hi] - prefixSum[lo]) / (prefixCount[hi] - prefixCount[lo]);
+    });
+  },
+  
+  /**
+   * z-scores of the reported values; gaps become 0 (the mean) so they add nothing
+   */
+  standardize(values) {
+    const reported = Array.from(values).filter(v => !Number.isNaN(v));
+    const mean = Utils.mean(reported);
+    const sd = Utils.stdDev(reported) || 1;
+    return values.map(v => (Number.isNaN(v) ? 0 : (v - mean) / sd));
+  },
+  
+  /**
+   * Correlation of event counts on day t with the response on day t + lag, for every lag
+   * Event series are sparse, so sums run over event days only
+   * @param {number[]} eventDays - indices of days with events (repeated per event)
+   * @param {number} shift - circular offset applied to eventDays (0 = real alignment)
+   */
+  crossCorrelation(eventDays, xMean, xNorm, response, responsePrefix, responseNorm, maxLag, shift) {
+    const n = response.length;
+    const shifted = shift === 0 ? eventDays : eventDays.map(i => (i + shift) % n);
+    const values = [];
+    
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+      let sum = 0;
+      shifted.forEach(i => {
+        const j = i + lag;
+        if (j >= 0 && j < n) sum += response[j];
+      });
+      // Subtract xMean * (sum of the response over the overlapping range)
+      const lo = Math.max(0, lag);
+      const hi = Math.min(n, n + lag);
+      sum -= xMean * (responsePrefix[hi] - responsePrefix[lo]);
+      values.push(xNorm > 0 && responseNorm > 0 ? sum / (xNorm * responseNorm) : 0);
+    }
+    
+    return values;
+  },
+  
+  /**
+   * Cross-correlation with a pointwise surrogate envelope, plus the strongest lag and its
+   * p-value against the strongest |r| of each surrogate (so scanning 61 lags is accounted for)
+   */
+  crossCorrelationTest(counts, response, config, rng) {
+    const n = counts.length;
+    const eventDays = [];
+    counts.forEach((c, i) => {
+      for (let k = 0; k < c; k++) eventDays.push(i);
+    });
+    
+    const xMean = eventDays.length / n;
+    const xNorm = Math.sqrt(counts.reduce((sum, c) => sum + (c - xMean) * (c - xMean), 0));
+    const responsePrefix = [0];
+    response.forEach((v, i) => responsePrefix.push(responsePrefix[i] + v));
+    const responseNorm = Math.sqrt(response.reduce((sum, v) => sum + v * v, 0));
+    const run = shift => this.crossCorrelation(eventDays, xMean, xNorm, response, responsePrefix, responseNorm, config.maxLag, shift);
+    
+    const observed = run(0);
+    const nullByLag = observed.map(() => []);
+    const nullMax = [];
+    for (let s = 0; s < config.surrogates; s++) {
+      const values = run(this.randomShift(n, config.minShift, rng));
+      values.forEach((r, i) => nullByLag[i].push(r));
+      nullMax.push(Math.max(...values.map(Math.abs)));
+    }
+    
+    const tail = config.alpha / 2;
+    const lags = observed.map((r, i) => {
+      const sorted = nullByLag[i].sort((a, b) => a - b);
+      return {
+        lag: i - config.maxLag,
+        r,
+        lower: Stats.quantile(sorted, tail),
+        upper: Stats.quantile(sorted, 1 - tail)
+      };
+    });
+    
+    const peak = lags.reduce((best, l) => (Math.abs(l.r) > Math.abs(best.r) ? l : best));
+    const hits = nullMax.filter(m => m >= Math.abs(peak.r)).length;
+    
+    return {
+      lags,
+      peak: { lag: peak.lag, r: peak.r, p: (hits + 1) / (config.surrogates + 1) }
+    };
+  },
+  
+  /**
+   * Granger-style test in both directions
+   * Forward: does adding the last `grangerLags` days of events to an autoregression of ADIZ
+   * reduce its residuals? Reverse: does ADIZ history help predict event counts?
+   * @param {object} adizSums - {forward, reverse}: adizMoments of the ADIZ series as target and as predictor
+   */
+  grangerTest(adiz, counts, config, rng, adizSums) {
+    const n = adiz.length;
+    const lags = config.grangerLags;
+    const { forward: forwardSums, reverse: reverseSums } = adizSums;
+    const forward = this.grangerF(adiz, counts, lags, forwardSums, 0);
+    const reverse = this.grangerF(counts, adiz, lags, reverseSums, 0);
+    
+    let forwardHits = 0;
+    let reverseHits = 0;
+    for (let s = 0; s < config.grangerSurrogates; s++) {
+      const shift = this.randomShift(n, config.minShift, rng);
+      if (forward && this.grangerF(adiz, this.rotate(counts, shift), lags, forwardSums, 0).F >= forward.F) forwardHits++;
+      if (reverse && this.grangerF(counts, this.rotate(adiz, shift), lags, reverseSums, shift).F >= reverse.F) reverseHits++;
+    }
+    
+    const p = hits => (hits + 1) / (config.grangerSurrogates + 1);
+    return {
+      lags: config.grangerLags,
+      n: forward ? forward.n : 0,
+      F: forward ? forward.F : null,
+      p: forward ? p(forwardHits) : null,
+      reverseF: reverse ? reverse.F : null,
+      reverseP: reverse ? p(reverseHits) : null
+    };
+  },
+  
+  /**
+   * Sums of cross-products of the ADIZ terms of a Granger row, over every day treated as
+   * circular, so they serve any rotation of the ADIZ series.
+   * A row is z = [1, target lags 1..lags, predictor lags 1..lags, target]; ADIZ is the target
+   * (asTarget) or the predictor. A day is complete when ADIZ is usable on the `lags` days
+   * before it (and on the day itself as the target).
+   * @returns {object} {values, lags, asTarget, columns, sparse, complete, moments}
+   *   columns - indices of the ADIZ terms in z; sparse - 1 for the event-count terms
+   *   moments - upper triangle of Σ z z' (row stride z.length) over the complete days
+   */
+  adizMoments(values, lags, asTarget) {
+    const n = values.length;
+    const size = 2 * lags + 2;
+    const own = Array.from({ length: lags }, (_, k) => k + 1);
+    const other = own.map(k => lags + k);
+    const columns = asTarget ? [0, ...own, size - 1] : [0, ...other];
+    const sparse = new Uint8Array(size).fill(1);
+    columns.forEach(j => { sparse[j] = 0; });
+    
+    const complete = new Uint8Array(n);
+    const moments = new Float64Array(size * size);
+    const z = new Float64Array(size);
+    for (let u = 0; u < n; u++) {
+      let usable = !asTarget || !Number.isNaN(values[u]);
+      for (let k = 1; k <= lags && usable; k++) usable = !Number.isNaN(values[(u - k + n) % n]);
+      if (!usable) continue;
+      
+      complete[u] = 1;
+      this.adizRow(values, lags, asTarget, u, z);
+      this.addOuter(moments, size, z, columns, columns.length, 1);
+    }
+    
+    return { values, lags, asTarget, columns, sparse, complete, moments };
+  },
+  
+  /**
+   * Fill the ADIZ terms of the row for day u of the circular ADIZ series
+   */
+  adizRow(values, lags, asTarget, u, z) {
+    const n = values.length;
+    z[0] = 1;
+    for (let k = 1; k <= lags; k++) z[(asTarget ? 0 : lags) + k] = values[(u - k + n) % n];
+    if (asTarget) z[z.length - 1] = values[u];
+  },
+  
+  /**
+   * moments += sign * z z' over pairs of the first `count` columns, given in ascending order
+   * (upper triangle)
+   */
+  addOuter(moments, size, z, columns, count, sign) {
+    for (let a = 0; a < count; a++) {
+      const j = columns[a];
+      const zj = sign * z[j];
+      for (let b = a; b < count; b++) moments[j * size + columns[b]] += zj * z[columns[b]];
+    }
+  },
+  
+  /**
+   * moments += z z' over the pairs of the first `count` columns that involve an event-count
+   * term (sparse[j] = 1); the pairs of ADIZ terms are already in the precomputed sums
+   */
+  addEventTerms(moments, size, z, columns, count, sparse) {
+    for (let a = 0; a < count; a++) {
+      const j = columns[a];
+      if (!sparse[j]) continue;
+      for (let b = 0; b < count; b++) {
+        const k = columns[b];
+        if (sparse[k] && k < j) continue;  // each pair of event terms once
+        moments[j < k ? j * size + k : k * size + j] += z[j] * z[k];
+      }
+    }
+  },
+  
+  /**
+   * F statistic for adding `lags` days of predictor history to an autoregression of target
+   * Days where the target or any lagged value is unreported are left out.
+   * One of the series is ADIZ, possibly rotated by adizShift, and its terms come from the
+   * precomputed adizMoments: all circular days, less the `lags` leading days a linear
+   * regression cannot use. Only days with an event in the row add the remaining terms, so a
+   * surrogate costs one light pass over the days. Both models are fitted on the same days:
+   * the restricted model's columns are the leading 1 + lags of the full model's.
+   * @param {object} sums - adizMoments of the ADIZ series for this direction
+   * @returns {object|null} {F, n}, or null when too few complete days remain
+   */
+  grangerF(target, predictor, lags, sums, adizShift) {
+    const n = target.length;
+    const size = 2 * lags + 2;
+    const p = size - 1;
+    const moments = sums.moments.slice();
+    const z = new Float64Array(size);
+    const nonZero = new Int32Array(size);
+    
+    // The leading days: in the circular sums but never a row of the regression
+    for (let t = 0; t < lags; t++) {
+      const u = (t - adizShift + n) % n;
+      if (!sums.complete[u]) continue;
+      this.adizRow(sums.values, lags, sums.asTarget, u, z);
+      this.addOuter(moments, size, z, sums.columns, sums.columns.length, -1);
+    }
+    
+    // Event terms: days with an event on one of the `lags` days before (or, as the target, on the day)
+    const events = sums.asTarget ? predictor : target;
+    let lastEvent = -Infinity;
+    for (let t = 0; t < n; t++) {
+      const touched = t - lastEvent <= lags || (!sums.asTarget && events[t] !== 0);
+      if (t >= lags && touched && sums.complete[(t - adizShift + n) % n]) {
+        z[0] = 1;
+        for (let k = 1; k <= lags; k++) {
+          z[k] = target[t - k];
+          z[lags + k] = predictor[t - k];
+        }
+        z[p] = target[t];
+        let count = 0;
+        for (let j = 0; j < size; j++) {
+          if (z[j] !== 0) nonZero[count++] = j;
+        }
+        this.addEventTerms(moments, size, z, nonZero, count, sums.sparse);
+      }
+      if (events[t] !== 0) lastEvent = t;
+    }
+    
+    const rows = moments[0];
+    const dfFull = rows - p;
+    if (dfFull < lags * 5) return null;
+    
+    const rss = this.residualSums(moments, size);
+    const rssRestricted = rss[lags + 1];
+    const rssFull = rss[p];
+    
+    return {
+      F: rssFull > 0 ? ((rssRestricted - rssFull) / lags) / (rssFull / dfFull) : 0,
+      n: rows
+    };
+  },
+  
+  /**
+   * Residual sums of squares of the least-squares fits of the last z term on the first
+   * q terms, for every q, from one Cholesky factorization of Σ z z' (upper triangle, row
+   * stride size): the factor's last row holds the fitted components, and each term fitted
+   * removes its square from y'y. The same ridge as Stats.ols keeps collinear columns from
+   * blowing up; a column that adds nothing is skipped.
+   * @returns {number[]} rss[q], q = 0..size-1
+   */
+  residualSums(moments, size) {
+    const y = size - 1;
+    const at = (j, k) => (j <= k ? moments[j * size + k] : moments[k * size + j]);
+    const factor = new Float64Array(size * size);
+    
+    for (let j = 0; j < y; j++) {
+      for (let i = j; i < size; i++) {
+        let sum = at(i, j) + (i === j && j > 0 ? 1e-8 : 0);
+        for (let k = 0; k < j; k++) sum -= factor[i * size + k] * factor[j * size + k];
+        const pivot = factor[j * size + j];
+        if (i === j) factor[i * size + j] = sum > 0 ? Math.sqrt(sum) : 0;
+        else factor[i * size + j] = pivot > 0 ? sum / pivot : 0;
+      }
+    }
+    
+    const rss = [at(y, y)];
+    for (let j = 0; j < y; j++) rss.push(Math.max(rss[j] - factor[y * size + j] ** 2, 0));
+    return rss;
+  },
+  
+  /**
+   * Circular shift: day i takes the value from day i - shift
+   */
+  rotate(values, shift) {
+    const n = values.length;
+    const rotated = new Float64Array(n);
+    rotated.set(values.subarray(0, n - shift), shift);
+    rotated.set(values.subarray(n - shift), 0);
+    return rotated;
+  },
+  
+  randomShift(n, minShift, rng) {
+    const span = Math.max(1, n - 2 * minShift);
+    return minShift + Math.floor(rng() * span);
+  },
+  
+  describeDirection(granger, alpha) {
+    const forward = granger.p !== null && granger.p < alpha;
+    const reverse = granger.reverseP !== null && granger.reverseP < alpha;
+    if (forward && reverse) return 'feedback';
+    if (forward) return 'events lead ADIZ';
+    if (reverse) return 'ADIZ leads events';
+    return 'no lead/lag';
+  }
+};
+
+export default LeadLag;
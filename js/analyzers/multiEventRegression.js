@@ -0,0 +1,194 @@
+// multiEventRegression.js - Joint attribution across event categories
+// Regresses daily ADIZ counts on every category's recent-event exposure at once, so
+// overlapping triggers (an arms sale and a diplomatic visit in the same week) share
+// a spike instead of each claiming all of it
+
+import Utils from '../core/utils.js';
+import CalendarDate from '../core/calendarDate.js';
+import Stats from '../core/stats.js';
+import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+
+const MultiEventRegression = {
+  currentAnalysis: null,
+  cache: null,
+  cacheKey: null,
+  cacheData: null,
+  
+  DEFAULT_RESPONSE_DAYS: 7,
+  
+  /**
+   * Fit the joint model
+   * ADIZ(t) = year effect + weekday effect + Σ_c β_c · exposure_c(t) + ε
+   * where exposure_c(t) counts category-c events dated within [t - responseDays, t].
+   * β_c is the extra aircraft per day while one category-c event is "live";
+   * β_c · (responseDays + 1) is the total attributed to a single event.
+   * @param {object} options - {responseDays, categories, startDate, endDate, missingPolicy}
+   */
+  analyze(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const responseDays = options.responseDays ?? this.DEFAULT_RESPONSE_DAYS;
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const categories = options.categories || DataConnector.getCategories();
+    
+    // Default to the span of the validated series, not the first and last raw rows
+    const startDate = options.startDate || DataConnector.series.start;
+    const endDate = options.endDate || DataConnector.series.end;
+    if (!startDate || !endDate) {
+      throw new Error('No valid ADIZ dates to fit the joint model');
+    }
+    
+    // Event counts per category per day
+    const eventsByDay = new Map();
+    DataConnector.getEvents({ endDate }).forEach(e => {
+      if (!categories.includes(e.category)) return;
+      const key = e.date;
+      if (!eventsByDay.has(key)) eventsByDay.set(key, {});
+      const counts = eventsByDay.get(key);
+      counts[e.category] = (counts[e.category] || 0) + 1;
+    });
+    
+    const days = DataConnector.getBaselineData(startDate, endDate, missingPolicy)
+      .filter(d => Utils.isReported(d.adiz_count));
+    
+    if (days.length < categories.length + 20) {
+      throw new Error('Not enough reported days to fit the joint model');
+    }
+    
+    const years = [...new Set(days.map(d => d.date.substring(0, 4)))].sort();
+    
+    const exposureFor = dateStr => categories.map(category => {
+      let count = 0;
+      for (let lag = 0; lag <= responseDays; lag++) {
+        const counts = eventsByDay.get(Utils.addDays(dateStr, -lag));
+        if (counts && counts[category]) count += counts[category];
+      }
+      return count;
+    });
+    
+    const X = days.map((d, i) => {
+      Progress.report('Measuring event exposure', i, days.length);
+      const row = [1];
+      years.slice(1).forEach(year => row.push(d.date.startsWith(year) ? 1 : 0));
+      const weekday = CalendarDate.weekday(d.date);
+      for (let dow = 1; dow <= 6; dow++) row.push(weekday === dow ? 1 : 0);
+      return row.concat(exposureFor(d.date));
+    });
+    const y = days.map(d => d.adiz_count);
+    
+    Progress.report('Fitting the joint model', 0, 1);
+    const fit = Stats.ols(X, y);
+    const offset = 1 + (years.length - 1) + 6;
+    
+    const contributions = categories.map((category, i) => {
+      const coefficient = fit.coefficients[offset + i];
+      const se = fit.standardErrors[offset + i];
+      const t = se > 0 ? coefficient / se : null;
+      const exposedDays = X.filter(row => row[offset + i] > 0).length;
+      return {
+        category,
+        eventCount: DataConnector.getEvents({ category, startDate, endDate }).length,
+        exposedDays,
+        coefficient,
+        se,
+        t,
+        pValue: t !== null ? Stats.twoSidedP(t) : null,
+        perEvent: coefficient * (responseDays + 1),
+        perEventSE: se * (responseDays + 1)
+      };
+    });
+    
+    contributions.sort((a, b) => b.coefficient - a.coefficient);
+    
+    this.currentAnalysis = {
+      responseDays,
+      missingPolicy,
+      startDate,
+      endDate,
+      dayCount: days.length,
+      years,
+      rSquared: fit.rSquared,
+      sigma: fit.sigma,
+      contributions
+    };
+    
+    return this.currentAnalysis;
+  },
+  
+  /**
+   * Cached fit for the currently loaded dataset (used by the single-event attribution)
+   */
+  getFit(options = {}) {
+    const key = JSON.stringify(options);
+    if (this.cache && this.cacheKey === key && this.cacheData === DataConnector.currentData) {
+      return this.cache;
+    }
+    const previous = this.currentAnalysis;
+    this.cache = this.analyze(options);
+    this.currentAnalysis = previous;
+    this.cacheKey = key;
+    this.cacheData = DataConnector.currentData;
+    return this.cache;
+  },
+  
+  /**
+   * Split the post-event window of one event between it and its confounders
+   * Each event is credited max(0, β_category) per day its exposure overlaps days 0..windowSize
+   */
+  attribute(event, confounders, windowSize, options = {}) {
+    const fit = this.getFit(options);
+    const coefficients = {};
+    fit.contributions.forEach(c => { coefficients[c.category] = Math.max(0, c.coefficient); });
+    
+    const windowEnd = Utils.addDays(event.date, windowSize);
+    const candidates = [{ event, isSelected: true }, ...confounders.map(e => ({ event: e, isSelected: false }))];
+    
+    const shares = candidates.map(({ event: e, isSelected }) => {
+      // Days t in [event, event + windowSize] with e.date <= t <= e.date + responseDays
+      const from = e.date > event.date ? e.date : event.date;
+      const exposureEnd = Utils.addDays(e.date, fit.responseDays);
+      const to = exposureEnd < windowEnd ? exposureEnd : windowEnd;
+      const overlapDays = to >= from ? Utils.daysDiff(from, to) + 1 : 0;
+      
+      return {
+        event: e,
+        category: e.category,
+        isSelected,
+        overlapDays,
+        contribution: (coefficients[e.category] || 0) * overlapDays
+      };
+    });
+    
+    const total = shares.reduce((sum, s) => sum + s.contribution, 0);
+    shares.forEach(s => { s.share = total > 0 ? s.contribution / total : null; });
+    shares.sort((a, b) => b.contribution - a.contribution);
+    
+    return {
+      responseDays: fit.responseDays,
+      total,
+      shares,
+      selectedShare: total > 0 ? shares.find(s => s.isSelected).share : null
+    };
+  },
+  
+  /**
+   * Get table rows for display
+   */
+  getSummary() {
+    if (!this.currentAnalysis) return [];
+    
+    return this.currentAnalysis.contributions.map(c => ({
+      category: c.category,
+      eventCount: c.eventCount,
+      perDay: (c.coefficient > 0 ? '+' : '') + c.coefficient.toFixed(2),
+      perEvent: `${c.perEvent > 0 ? '+' : ''}${c.perEvent.toFixed(1)} ± ${c.perEventSE.toFixed(1)}`,
+      pValue: c.pValue === null ? 'N/A' : c.pValue < 0.001 ? '< 0.001' : c.pValue.toFixed(3),
+      significant: c.pValue !== null && c.pValue < 0.05
+    }));
+  }
+};
+
+export default MultiEventRegression;
@@ -0,0 +1,421 @@
+// predictor.js - Module 7: Predictor
+// Forecasts the next 7/14/30 days of ADIZ activity with a regression trained in the browser:
+//   ADIZ(t) = recent level (7- and 28-day means) + weekday effect + Σ_r β_r · exposure_r(t) + ε
+// where exposure_r(t) sums regressor r over events dated within [t - responseDays, t].
+// Forecasts run day by day, feeding each forecast back into the level terms; prediction
+// intervals come from simulating paths with resampled residuals. What-if scenarios inject
+// hypothetical events into the exposures and reuse the same random draws, so the delta
+// against the baseline forecast is the events' effect alone.
+
+import Utils from '../core/utils.js';
+import CalendarDate from '../core/calendarDate.js';
+import Stats from '../core/stats.js';
+import DataSchema from '../core/schema.js';
+import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+
+const Predictor = {
+  currentForecast: null,
+  cache: null,
+  cacheKey: null,
+  cacheData: null,
+  
+  HORIZONS: [7, 14, 30],
+  
+  DEFAULT_OPTIONS: {
+    horizon: 14,
+    trainingDays: 730,   // Fit on the most recent two years so the model reflects the current regime
+    responseDays: 7,     // Days an event stays "live" in its exposure
+    level: 0.8,          // Prediction interval coverage
+    paths: 500,          // Simulated paths for the intervals
+    seed: Stats.DEFAULT_SEED,
+    missingPolicy: Utils.DEFAULT_MISSING_POLICY
+  },
+  
+  // Ordered levels for ordinal regressors (weight = position, starting at 1; unknown levels count 1)
+  ORDINAL_LEVELS: DataSchema.ORDINAL_FIELDS,
+  
+  // Event regressors: every event of `dataset` (optionally matching `match`) adds 1, or its
+  // level for `ordinal` regressors, to the exposure while it is live
+  REGRESSORS: [
+    { key: 'arms', label: 'Arms sale (per value tier, Micro = 1 … Mega = 5)', dataset: 'arms_sales', ordinal: 'value_tier' },
+    { key: 'diplomatic', label: 'Diplomatic meeting', dataset: 'diplomatic' },
+    { key: 'bills', label: 'Legislative bill', dataset: 'bills' },
+    { key: 'ships_us', label: 'US ship transit', dataset: 'ships', match: { field: 'Country', includes: 'United States' } },
+    { key: 'ships_allied', label: 'Allied ship transit (no US)', dataset: 'ships', match: { field: 'Country', excludes: 'United States' } },
+    { key: 'political', label: 'Political/symbolic event', dataset: 'political_symbolic' },
+    { key: 'taiwan_actions', label: 'Taiwan action', dataset: 'taiwan_actions' }
+  ],
+  
+  LEVEL_TERMS: ['level7', 'level28'],
+  WEEKDAYS: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+  
+  /**
+   * Contribution of one normalized event to a regressor's exposure (0 when it does not apply)
+   */
+  regressorWeight(regressor, event) {
+    if (event.dataset !== regressor.dataset) return 0;
+    
+    if (regressor.match) {
+      const value = String(event.fields[regressor.match.field] || '');
+      if (regressor.match.includes && !value.includes(regressor.match.includes)) return 0;
+      if (regressor.match.excludes && value.includes(regressor.match.excludes)) return 0;
+    }
+    
+    if (regressor.ordinal) {
+      return Math.max(0, this.ORDINAL_LEVELS[regressor.ordinal].indexOf(event.fields[regressor.ordinal])) + 1;
+    }
+    
+    return 1;
+  },
+  
+  /**
+   * Build a normalized event from a hypothetical {dataset, date, fields}
+   */
+  hypotheticalEvent({ dataset, date, fields = {} }) {
+    const schema = DataSchema.events[dataset];
+    if (!schema) {
+      throw new Error(`Unknown event dataset: ${dataset}`);
+    }
+    return {
+      date,
+      category: schema.category,
+      label: `Hypothetical ${dataset.replace('_', ' ')}`,
+      description: '',
+      fields: { ...fields, [schema.date_field]: date },
+      dataset,
+      hypothetical: true
+    };
+  },
+  
+  /**
+   * Daily series and event exposures, extended past the last baseline day so forecasts
+   * can be written into them
+   * Cached per loaded dataset, missing-data policy and response days
+   */
+  getContext(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const key = JSON.stringify([config.missingPolicy, config.responseDays]);
+    if (this.cache && this.cacheKey === key && this.cacheData === DataConnector.currentData) {
+      return this.cache;
+    }
+    
+    const { start, end } = DataConnector.series;
+    const rows = DataConnector.getBaselineData(start, end, config.missingPolicy);
+    const values = rows.map(row => (Utils.isReported(row.adiz_count) ? row.adiz_count : null));
+    const lastReported = values.reduce((last, v, i) => (v !== null ? i : last), -1);
+    
+    const length = rows.length + Math.max(...this.HORIZONS);
+    const exposure = this.buildExposure(DataConnector.getEvents({}), start, length, config.responseDays);
+    
+    this.cache = { start, length, values, lastReported, exposure, responseDays: config.responseDays };
+    this.cacheKey = key;
+    this.cacheData = DataConnector.currentData;
+    return this.cache;
+  },
+  
+  /**
+   * Per-regressor daily exposure arrays for a set of events
+   */
+  buildExposure(events, start, length, responseDays) {
+    const exposure = this.REGRESSORS.map(() => new Array(length).fill(0));
+    
+    events.forEach(event => {
+      const index = Utils.daysDiff(start, event.date);
+      this.REGRESSORS.forEach((regressor, r) => {
+        const weight = this.regressorWeight(regressor, event);
+        if (weight === 0) return;
+        for (let lag = 0; lag <= responseDays; lag++) {
+          const t = index + lag;
+          if (t >= 0 && t < length) exposure[r][t] += weight;
+        }
+      });
+    });
+    
+    return exposure;
+  },
+  
+  dateAt(context, index) {
+    return Utils.addDays(context.start, index);
+  },
+  
+  /**
+   * Mean of the reported values in [t - days, t - 1], or null when there are none
+   */
+  recentMean(values, t, days) {
+    let sum = 0;
+    let count = 0;
+    for (let k = Math.max(0, t - days); k < t; k++) {
+      if (values[k] !== null && values[k] !== undefined) {
+        sum += values[k];
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : null;
+  },
+  
+  /**
+   * Design row for day t, or null when the level terms cannot be computed
+   */
+  designRow(context, values, exposure, t) {
+    const level28 = this.recentMean(values, t, 28);
+    if (level28 === null) return null;
+    const level7 = this.recentMean(values, t, 7) ?? level28;
+    
+    const weekday = CalendarDate.weekday(this.dateAt(context, t));
+    const row = [1, level7, level28];
+    for (let dow = 1; dow <= 6; dow++) row.push(weekday === dow ? 1 : 0);
+    exposure.forEach(series => row.push(series[t]));
+    return row;
+  },
+  
+  /**
+   * Fit the model on reported days up to and including endIndex
+   */
+  fit(context, endIndex, config) {
+    const X = [];
+    const y = [];
+    const from = Math.max(28, endIndex - config.trainingDays + 1);
+    
+    for (let t = from; t <= endIndex; t++) {
+      if (context.values[t] === null) continue;
+      const row = this.designRow(context, context.values, context.exposure, t);
+      if (!row) continue;
+      X.push(row);
+      y.push(context.values[t]);
+    }
+    
+    if (X.length < 60) {
+      throw new Error('Not enough reported days to fit the predictor');
+    }
+    
+    const fit = Stats.ols(X, y);
+    const residuals = X.map((row, i) => y[i] - this.dot(row, fit.coefficients));
+    
+    const names = ['intercept', ...this.LEVEL_TERMS, ...this.WEEKDAYS, ...this.REGRESSORS.map(r => r.key)];
+    const terms = names.map((name, i) => ({
+      name,
+      label: this.REGRESSORS.find(r => r.key === name)?.label || name,
+      coefficient: fit.coefficients[i],
+      se: fit.standardErrors[i]
+    }));
+    
+    return {
+      coefficients: fit.coefficients,
+      standardErrors: fit.standardErrors,
+      terms,
+      residuals,
+      sigma: fit.sigma,
+      rSquared: fit.rSquared,
+      n: X.length,
+      fromDate: this.dateAt(context, from),
+      toDate: this.dateAt(context, endIndex)
+    };
+  },
+  
+  dot(row, coefficients) {
+    return row.reduce((sum, x, i) => sum + x * coefficients[i], 0);
+  },
+  
+  /**
+   * Run the model forward from originIndex for `horizon` days
+   * Simulated paths pass their own coefficients and a residual draw; the expected path uses
+   * the fitted coefficients and no noise
+   */
+  runPath(context, coefficients, exposure, originIndex, horizon, residualDraw) {
+    const values = context.values.slice(0, originIndex + 1);
+    const path = [];
+    for (let h = 1; h <= horizon; h++) {
+      const t = originIndex + h;
+      const row = this.designRow(context, values, exposure, t);
+      const mean = row ? this.dot(row, coefficients) : 0;
+      const value = Math.max(0, mean + (residualDraw ? residualDraw() : 0));
+      values.push(value);
+      path.push(value);
+    }
+    return path;
+  },
+  
+  /**
+   * Expected path plus simulated paths for one exposure set
+   * Each path draws its coefficients from their sampling distribution and resamples the
+   * residuals, so intervals carry both parameter and day-to-day uncertainty
+   */
+  simulate(context, fit, exposure, originIndex, config) {
+    const rng = Stats.createRng(config.seed);
+    const draw = () => fit.residuals[Math.floor(rng() * fit.residuals.length)];
+    
+    const expected = this.runPath(context, fit.coefficients, exposure, originIndex, config.horizon);
+    const paths = [];
+    for (let p = 0; p < config.paths; p++) {
+      const coefficients = fit.coefficients.map((c, i) => c + fit.standardErrors[i] * Stats.normalDraw(rng));
+      paths.push(this.runPath(context, coefficients, exposure, originIndex, config.horizon, draw));
+    }
+    return { expected, paths };
+  },
+  
+  /**
+   * Summarize a simulation into daily and total forecasts with intervals
+   */
+  summarize(context, originIndex, simulation, level) {
+    const tail = (1 - level) / 2;
+    const interval = values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return { lower: Stats.quantile(sorted, tail), upper: Stats.quantile(sorted, 1 - tail) };
+    };
+    
+    const days = simulation.expected.map((expected, h) => ({
+      date: this.dateAt(context, originIndex + h + 1),
+      expected,
+      ...interval(simulation.paths.map(path => path[h]))
+    }));
+    
+    const sum = values => values.reduce((total, v) => total + v, 0);
+    return {
+      days,
+      total: {
+        expected: sum(simulation.expected),
+        ...interval(simulation.paths.map(sum))
+      }
+    };
+  },
+  
+  /**
+   * Forecast the next `horizon` days after the last reported day
+   * @param {object} options - {horizon, trainingDays, responseDays, level, paths, seed, missingPolicy,
+   *                            events (hypothetical events to inject)}
+   * @returns {object} {origin, horizon, level, fit, days: [{date, expected, lower, upper}], total}
+   */
+  forecast(options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const context = this.getContext(config);
+    const originIndex = context.lastReported;
+    const fit = this.fit(context, originIndex, config);
+    const exposure = this.scenarioExposure(context, options.events);
+    const simulation = this.simulate(context, fit, exposure, originIndex, config);
+    
+    this.currentForecast = {
+      origin: this.dateAt(context, originIndex),
+      horizon: config.horizon,
+      level: config.level,
+      fit,
+      events: options.events || [],
+      ...this.summarize(context, originIndex, simulation, config.level),
+      simulation
+    };
+    return this.currentForecast;
+  },
+  
+  /**
+   * Exposure arrays with hypothetical events added on top of the real ones
+   */
+  scenarioExposure(context, events = []) {
+    if (!events || events.length === 0) return context.exposure;
+    
+    const extra = this.buildExposure(events.map(e => this.hypotheticalEvent(e)), context.start, context.length, context.responseDays);
+    return context.exposure.map((series, r) => series.map((v, t) => v + extra[r][t]));
+  },
+  
+  /**
+   * Forecast with and without hypothetical events
+   * Both runs share their random draws, so the delta interval reflects the uncertainty in
+   * the events' coefficients rather than day-to-day noise
+   * @param {object[]} events - [{dataset, date, fields}], e.g.
+   *   {dataset: 'arms_sales', date: '2026-01-10', fields: {value_tier: 'Major ($2–$4.99B)'}}
+   * @returns {object} {baseline, scenario, delta: {days: [{date, expected}], total: {expected, lower, upper}}}
+   */
+  whatIf(events, options = {}) {
+    Progress.report('Simulating forecast paths', 0, 2);
+    const baseline = this.forecast({ ...options, events: [] });
+    Progress.report('Simulating forecast paths', 1, 2);
+    const scenario = this.forecast({ ...options, events });
+    Progress.report('Simulating forecast paths', 2, 2);
+    
+    const tail = (1 - scenario.level) / 2;
+    const sum = values => values.reduce((total, v) => total + v, 0);
+    const totals = scenario.simulation.paths
+      .map((path, p) => sum(path) - sum(baseline.simulation.paths[p]))
+      .sort((a, b) => a - b);
+    
+    return {
+      baseline,
+      scenario,
+      delta: {
+        days: scenario.days.map((d, h) => ({ date: d.date, expected: d.expected - baseline.days[h].expected })),
+        total: {
+          expected: scenario.total.expected - baseline.total.expected,
+          lower: Stats.quantile(totals, tail),
+          upper: Stats.quantile(totals, 1 - tail)
+        }
+      }
+    };
+  },
+  
+  /**
+   * Rolling-origin backtest: refit at every `step` days over the last `backtestDays`, forecast
+   * each horizon, and compare the mean absolute error with a naive forecast (the mean of the
+   * 7 reported days before the origin, held flat)
+   * @returns {object} {origins, from, to, horizons: [{horizon, mae, naiveMae, skill, coverage, n}]}
+   */
+  backtest(options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, backtestDays: 365, step: 14, ...options };
+    const context = this.getContext(config);
+    const maxHorizon = Math.max(...this.HORIZONS);
+    const lastOrigin = context.lastReported - maxHorizon;
+    const firstOrigin = lastOrigin - config.backtestDays;
+    
+    const results = this.HORIZONS.map(horizon => ({ horizon, errors: [], naiveErrors: [], covered: 0 }));
+    const origins = [];
+    
+    for (let origin = firstOrigin; origin <= lastOrigin; origin += config.step) {
+      Progress.report('Refitting at each origin', origin - firstOrigin, lastOrigin - firstOrigin);
+      if (context.values[origin] === null) continue;
+      const fit = this.fit(context, origin, config);
+      const simulation = this.simulate(context, fit, context.exposure, origin, {
+        ...config,
+        horizon: maxHorizon,
+        paths: Math.min(config.paths, 200)
+      });
+      const summary = this.summarize(context, origin, simulation, config.level);
+      const naive = this.recentMean(context.values, origin + 1, 7);
+      origins.push(this.dateAt(context, origin));
+      
+      results.forEach(result => {
+        summary.days.slice(0, result.horizon).forEach((day, h) => {
+          const actual = context.values[origin + h + 1];
+          if (actual === null || actual === undefined) return;
+          result.errors.push(Math.abs(actual - day.expected));
+          result.naiveErrors.push(Math.abs(actual - naive));
+          if (actual >= day.lower && actual <= day.upper) result.covered++;
+        });
+      });
+    }
+    Progress.report('Refitting at each origin', lastOrigin - firstOrigin, lastOrigin - firstOrigin);
+    
+    return {
+      origins: origins.length,
+      from: origins[0] || null,
+      to: origins[origins.length - 1] || null,
+      level: config.level,
+      horizons: results.map(r => {
+        const mae = r.errors.length > 0 ? Utils.mean(r.errors) : null;
+        const naiveMae = r.naiveErrors.length > 0 ? Utils.mean(r.naiveErrors) : null;
+        return {
+          horizon: r.horizon,
+          mae,
+          naiveMae,
+          // Share of the naive error the model removes (positive = better than naive)
+          skill: mae !== null && naiveMae > 0 ? 1 - mae / naiveMae : null,
+          coverage: r.errors.length > 0 ? r.covered / r.errors.length : null,
+          n: r.errors.length
+        };
+      })
+    };
+  }
+};
+
+export default Predictor;
@@ -2,23 +2,31 @@
 // Determines if PLA response was reactive (triggered) or pre-planned (using event as excuse)
 
 import Utils from '../core/utils.js';
+import CalendarDate from '../core/calendarDate.js';
 import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+import ClassifierRules from './classifierRules.js';
 
 const PreplannedReactive = {
   currentAnalysis: null,
+  signalCache: new Map(),
+  signalCacheData: null,
   
-  // Symbolic dates that PRC uses for messaging
-  SYMBOLIC_DATES: [
-    { month: 10, day: 10, name: "Double Ten Day (ROC National Day)" },
-    { month: 1, day: 1, name: "New Year's Day" },
-    { month: 5, day: 20, name: "Taiwan Presidential Inauguration" },
-    { month: 7, day: 1, name: "CCP Founding Day" },
-    { month: 10, day: 1, name: "PRC National Day" },
-    { month: 12, day: 10, name: "Human Rights Day" }
-  ],
+  // Active rule set (keywords, symbolic dates, thresholds, weights) - see classifierRules.js
+  rules: ClassifierRules.getDefaults(),
+  
+  /**
+   * Replace the active rule set
+   * @throws {Error} When the rules are invalid
+   */
+  setRules(rules) {
+    ClassifierRules.assertValid(rules);
+    this.rules = rules;
+  },
   
   /**
    * Classify an event as reactive or pre-planned
+   * @param {object} options - {windowSize, missingPolicy, rules (defaults to the active rule set)}
    */
   classify(event, options = {}) {
     if (!DataConnector.isLoaded()) {
@@ -26,31 +34,28 @@ const PreplannedReactive = {
     }
     
     const windowSize = options.windowSize || 21; // Need longer window for pre-event analysis
-    const baselineMap = DataConnector.baselineMap;
-    
-    console.log('Classifying event:', event);
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const rules = options.rules || this.rules;
+    const series = DataConnector.series;
     
     // Get event data
-    const windowData = Utils.getWindowData(event.date, windowSize, baselineMap);
-    const baselineStats = Utils.getBaselineStats(event.date, 30, baselineMap);
+    const windowData = Utils.getWindowData(event.date, windowSize, series, missingPolicy);
+    const baselineStats = Utils.getBaselineStats(event.date, 30, series, missingPolicy);
     
     // Run all classification signals
-    const signals = {
-      temporal: this.analyzeTemporalProximity(windowData),
-      buildup: this.analyzePreEventBuildup(windowData, baselineStats),
-      magnitude: this.analyzeMagnitude(event, windowData, baselineStats, this.analyzeTemporalProximity(windowData).days),
-      symbolic: this.analyzeSymbolicTiming(event.date),
-      pattern: this.analyzePattern(windowData)
-    };
+    const signals = this.computeSignals(event, windowData, baselineStats, missingPolicy, rules);
     
     // Calculate overall classification
-    const classification = this.calculateClassification(signals);
+    const classification = this.calculateClassification(signals, rules);
     
     this.currentAnalysis = {
       event,
       windowSize,
+      missingPolicy,
+      rulesName: rules.name,
       windowData,
       baselineStats,
+      coverage: Utils.getCoverage(windowData),
       signals,
       classification
     };
@@ -58,44 +63,190 @@ const PreplannedReactive = {
     return this.currentAnalysis;
   },
   
+  computeSignals(event, windowData, baselineStats, missingPolicy, rules) {
+    const temporal = this.analyzeTemporalProximity(windowData, rules);
+    return {
+      temporal,
+      buildup: this.analyzePreEventBuildup(windowData, baselineStats, rules),
+      magnitude: this.analyzeMagnitude(event, windowData, baselineStats, temporal.responseTime, missingPolicy, rules),
+      symbolic: this.analyzeSymbolicTiming(event.date, rules),
+      pattern: this.analyzePattern(windowData, rules)
+    };
+  },
+  
   /**
-   * Signal 1: Temporal Proximity (from flowchart)
-   * How quickly did response occur?
+   * Signals for one event, cached per loaded dataset, window, missing-data policy and
+   * signal rules (weights and verdict thresholds do not affect signals)
    */
-  analyzeTemporalProximity(windowData) {
-    const timeToPeak = Utils.getTimeToPeak(windowData);
+  getSignals(event, options = {}) {
+    const windowSize = options.windowSize || 21;
+    const missingPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    const rules = options.rules || this.rules;
+    
+    if (this.signalCacheData !== DataConnector.currentData) {
+      this.signalCache = new Map();
+      this.signalCacheData = DataConnector.currentData;
+    }
+    
+    const signalRules = ['temporal', 'buildup', 'magnitude', 'symbolic', 'symbolicDates', 'pattern']
+      .map(section => JSON.stringify(rules[section]));
+    const key = JSON.stringify([windowSize, missingPolicy, signalRules]);
+    if (!this.signalCache.has(key)) this.signalCache.set(key, new WeakMap());
+    const cache = this.signalCache.get(key);
+    
+    if (!cache.has(event)) {
+      const series = DataConnector.series;
+      const windowData = Utils.getWindowData(event.date, windowSize, series, missingPolicy);
+      const baselineStats = Utils.getBaselineStats(event.date, 30, series, missingPolicy);
+      cache.set(event, this.computeSignals(event, windowData, baselineStats, missingPolicy, rules));
+    }
+    return cache.get(event);
+  },
+  
+  /**
+   * Classify every event matching the filters
+   * @param {object} filters - DataConnector.getEvents filters ({category, year, ...}); {} for all
+   * @param {object} options - {windowSize, missingPolicy, rules}
+   * @returns {object} {rulesName, total, rows, byCategory, byYear}
+   */
+  classifyBatch(filters = {}, options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const rules = options.rules || this.rules;
+    const events = DataConnector.getEvents(filters);
     
-    if (!timeToPeak) {
+    const rows = events.map((event, i) => {
+      Progress.report('Classifying events', i, events.length);
+      const signals = this.getSignals(event, { ...options, rules });
+      const classification = this.calculateClassification(signals, rules);
       return {
-        responseTime: null,
-        category: 'unknown',
-        reactiveScore: 0,
-        explanation: 'No clear peak detected in window'
+        event,
+        verdict: classification.verdict,
+        confidence: classification.confidence,
+        reactiveScore: classification.reactiveScore,
+        weightRule: classification.weightRule,
+        dominantSignal: this.getDominantSignal(signals, classification.weights),
+        firedRules: classification.firedRules
       };
-    }
+    });
     
-    const days = timeToPeak.days;
-    let category, reactiveScore, explanation;
-    
-    if (days >= 0 && days <= 2) {
-      category = 'immediate';
-      reactiveScore = 0.9; // Strong reactive signal
-      explanation = `Peak occurred ${days} day(s) after event - indicates immediate reaction`;
-    } else if (days >= 3 && days <= 9) {
-      category = 'delayed';
-      reactiveScore = 0.5; // Ambiguous
-      explanation = `Peak occurred ${days} days after event - could be either reactive or pre-planned`;
-    } else {
-      category = 'very_delayed';
-      reactiveScore = 0.5; // Ambiguous - could be unrelated
-      explanation = `Peak occurred ${days} days after event - likely unrelated to this event`;
-    }
+    Progress.report('Classifying events', events.length, events.length);
+    
+    return {
+      rulesName: rules.name,
+      total: rows.length,
+      rows,
+      byCategory: this.summarizeVerdicts(rows, row => row.event.category),
+      byYear: this.summarizeVerdicts(rows, row => row.event.date.substring(0, 4))
+    };
+  },
+  
+  /**
+   * The signal that moved the score furthest from neutral (0.5), after weighting
+   */
+  getDominantSignal(signals, weights) {
+    let dominant = null;
+    Object.keys(signals).forEach(key => {
+      const score = signals[key].reactiveScore;
+      if (score === null || score === undefined) return;
+      const pull = (score - 0.5) * (weights[key] || 0);
+      if (!dominant || Math.abs(pull) > Math.abs(dominant.pull)) {
+        dominant = { key, rule: signals[key].rule, reactiveScore: score, pull };
+      }
+    });
+    if (!dominant) return null;
+    dominant.direction = dominant.pull > 0 ? 'reactive' : dominant.pull < 0 ? 'pre-planned' : 'neutral';
+    return dominant;
+  },
+  
+  /**
+   * Reactive / pre-planned / mixed counts and shares per group, sorted by group
+   */
+  summarizeVerdicts(rows, groupOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const group = groupOf(row);
+      if (!groups.has(group)) groups.set(group, { group, total: 0, reactive: 0, 'pre-planned': 0, mixed: 0 });
+      const summary = groups.get(group);
+      summary.total++;
+      summary[row.verdict]++;
+    });
+    
+    return [...groups.values()]
+      .map(g => ({
+        ...g,
+        reactiveShare: g.reactive / g.total,
+        preplannedShare: g['pre-planned'] / g.total,
+        mixedShare: g.mixed / g.total
+      }))
+      .sort((a, b) => String(a.group).localeCompare(String(b.group)));
+  },
+  
+  /**
+   * Classify the same events under two rule sets
+   * @returns {object} {total, changedCount, agreement, verdictCounts: {a, b}, rows, changed, ruleDiff}
+   */
+  compareRuleSets(events, rulesA, rulesB, options = {}) {
+    const classifyWith = (event, rules) =>
+      this.calculateClassification(this.getSignals(event, { ...options, rules }), rules);
+    const summarize = c => ({
+      verdict: c.verdict,
+      confidence: c.confidence,
+      reactiveScore: c.reactiveScore,
+      weightRule: c.weightRule
+    });
+    const emptyCounts = () => ({ reactive: 0, 'pre-planned': 0, mixed: 0 });
+    const verdictCounts = { a: emptyCounts(), b: emptyCounts() };
+    
+    const rows = events.map(event => {
+      const a = summarize(classifyWith(event, rulesA));
+      const b = summarize(classifyWith(event, rulesB));
+      verdictCounts.a[a.verdict]++;
+      verdictCounts.b[b.verdict]++;
+      return { event, a, b, changed: a.verdict !== b.verdict };
+    });
+    
+    const changed = rows.filter(r => r.changed);
+    return {
+      total: rows.length,
+      changedCount: changed.length,
+      agreement: rows.length > 0 ? (rows.length - changed.length) / rows.length : null,
+      verdictCounts,
+      rows,
+      changed,
+      ruleDiff: ClassifierRules.diff(rulesA, rulesB)
+    };
+  },
+  
+  /**
+   * Fire the first matching rule of a signal section
+   * @returns {object} {rule, reactiveScore, explanation}
+   */
+  applyRules(section, facts) {
+    const rule = ClassifierRules.matchRule(section.rules, facts);
+    return {
+      rule: rule.id,
+      reactiveScore: rule.reactiveScore,
+      explanation: ClassifierRules.explain(rule.explanation, facts)
+    };
+  },
+  
+  /**
+   * Signal 1: Temporal Proximity (from flowchart)
+   * How quickly did response occur?
+   */
+  analyzeTemporalProximity(windowData, rules = this.rules) {
+    const timeToPeak = Utils.getTimeToPeak(windowData);
+    const days = timeToPeak ? timeToPeak.days : null;
+    
+    const result = this.applyRules(rules.temporal, { peakFound: timeToPeak !== null, days });
     
     return {
       responseTime: days,
-      category,
-      reactiveScore,
-      explanation
+      category: result.rule,
+      ...result
     };
   },
   
@@ -103,54 +254,35 @@ const PreplannedReactive = {
    * Signal 2: Pre-Event Buildup
    * Was ADIZ rising before the event?
    */
-  analyzePreEventBuildup(windowData, baselineStats) {
-    // Look at days -14 to -1
+  analyzePreEventBuildup(windowData, baselineStats, rules = this.rules) {
+    const section = rules.buildup;
+    
+    // Look at the lookback days before the event (reported days only)
     const preEventData = windowData
-      .filter(d => d.days_from_event < 0 && d.days_from_event >= -14)
+      .filter(d => d.days_from_event < 0 && d.days_from_event >= -section.lookbackDays && Utils.isReported(d.adiz_count))
       .sort((a, b) => a.days_from_event - b.days_from_event);
     
-    if (preEventData.length < 5) {
-      return {
-        trend: 'insufficient_data',
-        reactiveScore: 0.5,
-        explanation: 'Insufficient pre-event data to determine buildup'
-      };
-    }
-    
-    // Calculate linear regression slope
-    const values = preEventData.map(d => d.adiz_count);
-    const mean = Utils.mean(values);
-    const slope = this.calculateTrendSlope(preEventData);
-    
-    // Compare to baseline
-    const avgPreEvent = mean;
+    // Linear regression slope and level relative to the 30-day baseline
+    const avgPreEvent = preEventData.length > 0 ? Utils.mean(preEventData.map(d => d.adiz_count)) : null;
+    const slope = preEventData.length >= 2 ? this.calculateTrendSlope(preEventData) : null;
     const baseline = baselineStats.mean;
-    const isRising = slope > 2; // ADIZ increasing by 2+ per day
-    const isElevated = avgPreEvent > baseline * 1.2; // 20% above baseline
-    
-    let reactiveScore, explanation, trend;
-    
-    if (isRising && isElevated) {
-      trend = 'rising';
-      reactiveScore = 0.2; // Strong pre-planning signal
-      explanation = `ADIZ was rising before event (slope: +${slope.toFixed(1)}/day), suggests pre-planning`;
-    } else if (isElevated) {
-      trend = 'elevated';
-      reactiveScore = 0.4; // Moderate pre-planning signal
-      explanation = `ADIZ elevated before event but not rising - possible pre-positioning`;
-    } else {
-      trend = 'normal';
-      reactiveScore = 0.8; // Strong reactive signal
-      explanation = `ADIZ normal before event - no evidence of pre-planning`;
-    }
+    const elevationRatio = avgPreEvent !== null && baseline !== null ? avgPreEvent / baseline : null;
+    
+    const result = this.applyRules(section, {
+      reportedDays: preEventData.length,
+      slope,
+      avgPreEvent,
+      baseline,
+      elevationRatio
+    });
     
     return {
-      trend,
+      trend: result.rule,
       slope,
       avgPreEvent,
       baseline,
-      reactiveScore,
-      explanation
+      elevationRatio,
+      ...result
     };
   },
   
@@ -158,64 +290,41 @@ const PreplannedReactive = {
    * Signal 3: Magnitude Analysis
    * Is response unusually large for this event type?
    */
-  analyzeMagnitude(event, windowData, baselineStats, temporalDays = null) {
+  analyzeMagnitude(event, windowData, baselineStats, temporalDays = null, missingPolicy = Utils.DEFAULT_MISSING_POLICY, rules = this.rules) {
+    const section = rules.magnitude;
+    
     // Get similar events from same category
     const similarEvents = DataConnector.getEvents({ category: event.category });
     
-    if (similarEvents.length < 3) {
-      return {
-        comparison: 'insufficient_data',
-        reactiveScore: 0.5,
-        explanation: 'Not enough similar events to compare magnitude'
-      };
-    }
-    
     // Calculate this event's peak
     const thisPeak = Utils.max(windowData.map(d => d.adiz_count));
     
     // Calculate average peak for similar events
-    const baselineMap = DataConnector.baselineMap;
-    const similarPeaks = similarEvents.slice(0, 20).map(e => {
-      const data = Utils.getWindowData(e.date, 14, baselineMap);
+    const series = DataConnector.series;
+    const similarPeaks = similarEvents.slice(0, section.sampleSize).map(e => {
+      const data = Utils.getWindowData(e.date, section.peakWindow, series, missingPolicy);
       return Utils.max(data.map(d => d.adiz_count));
     }).filter(p => p > 0);
     
     const avgSimilarPeak = Utils.mean(similarPeaks);
-    const ratio = thisPeak / avgSimilarPeak;
-    
-    let reactiveScore, explanation, comparison;
-    
-    // COMPOUND SCORING: Large spike + close temporal proximity = VERY reactive
-    if (ratio > 2.5 && temporalDays !== null && temporalDays <= 3) {
-      comparison = 'much_larger_immediate';
-      reactiveScore = 0.95; // VERY strong reactive signal
-      explanation = `STRONG REACTION: ${ratio.toFixed(1)}x spike within ${temporalDays} days - massive spike in close temporal proximity indicates direct response`;
-    } else if (ratio > 2.0 && temporalDays !== null && temporalDays <= 5) {
-      comparison = 'large_near_immediate';
-      reactiveScore = 0.85; // Strong reactive signal
-      explanation = `Strong spike (${ratio.toFixed(1)}x) within ${temporalDays} days - large quantity in close proximity suggests reactive response`;
-    } else if (ratio > 2.5) {
-      comparison = 'much_larger';
-      reactiveScore = 0.7; // Large but timing unclear
-      explanation = `Response ${ratio.toFixed(1)}x larger than typical ${event.category} events - unusually strong but timing less clear`;
-    } else if (ratio > 1.5) {
-      comparison = 'larger';
-      reactiveScore = 0.6;
-      explanation = `Response ${ratio.toFixed(1)}x larger than typical - moderately strong reaction`;
-    } else {
-      comparison = 'typical';
-      reactiveScore: 0.5;
-      explanation = `Response size (${thisPeak}) typical for ${event.category} events (avg: ${avgSimilarPeak.toFixed(1)})`;
-    }
+    const ratio = avgSimilarPeak > 0 ? thisPeak / avgSimilarPeak : null;
+    
+    const result = this.applyRules(section, {
+      similarEvents: similarEvents.length,
+      thisPeak,
+      avgSimilarPeak,
+      ratio,
+      temporalDays,
+      category: event.category
+    });
     
     return {
       thisPeak,
       avgSimilarPeak,
       ratio,
       temporalDays,
-      comparison,
-      reactiveScore,
-      explanation
+      comparison: result.rule,
+      ...result
     };
   },
   
@@ -223,128 +332,69 @@ const PreplannedReactive = {
    * Signal 4: Symbolic Timing
    * Check proximity to political events from data (not just hardcoded dates)
    */
-  analyzeSymbolicTiming(eventDate) {
-    const date = new Date(eventDate);
+  analyzeSymbolicTiming(eventDate, rules = this.rules) {
+    const section = rules.symbolic;
     
     // Get political events from data
     const politicalEvents = DataConnector.getEvents({ category: 'political' }) || [];
     
     if (politicalEvents.length === 0) {
       // Fallback to hardcoded symbolic dates if no political data
-      return this.checkHardcodedSymbolicDates(eventDate);
+      return this.checkHardcodedSymbolicDates(eventDate, rules);
     }
     
-    // Check proximity to political events (within 15 days)
-    let nearbyEvents = [];
-    politicalEvents.forEach(pe => {
-      const eventDateObj = new Date(eventDate);
-      const politicalDateObj = new Date(pe.date);
-      const daysDiff = Math.abs((eventDateObj - politicalDateObj) / (1000*60*60*24));
-      
-      if (daysDiff <= 15) {
-        nearbyEvents.push({
-          ...pe,
-          daysDiff: Math.round(daysDiff)
-        });
-      }
+    // Check proximity to political events
+    const nearbyEvents = politicalEvents
+      .map(pe => ({ ...pe, daysDiff: Math.abs(Utils.daysDiff(eventDate, pe.date)) }))
+      .filter(pe => pe.daysDiff <= section.proximityDays)
+      .sort((a, b) => a.daysDiff - b.daysDiff);
+    
+    // Keyword rules classify the closest event by its type and name
+    const closest = nearbyEvents[0] || null;
+    const fields = closest ? closest.fields || {} : {};
+    const name = closest ? fields.event_name || fields.short_label || closest.label : null;
+    
+    const result = this.applyRules(section, {
+      nearbyCount: nearbyEvents.length,
+      proximityDays: section.proximityDays,
+      days: closest ? closest.daysDiff : null,
+      name,
+      text: closest ? `${fields.event_type || ''} ${name || ''}` : ''
     });
     
-    if (nearbyEvents.length === 0) {
-      return {
-        isSymbolic: false,
-        reactiveScore: 0.5,
-        explanation: 'No significant political events within 15 days'
-      };
-    }
-    
-    // Sort by closest
-    nearbyEvents.sort((a, b) => a.daysDiff - b.daysDiff);
-    const closest = nearbyEvents[0];
-    
-    // Categorize event type to determine if pre-planned or reactive
-    const eventType = (closest.event_type || '').toLowerCase();
-    const eventName = (closest.event_name || closest.short_label || '').toLowerCase();
-    const combinedText = eventType + ' ' + eventName;
-    
-    let reactiveScore, explanation, classification;
-    
-    // MILITARY EXERCISES are usually REACTIVE (result of event, not cause)
-    if (combinedText.includes('exercise') || combinedText.includes('drill') || 
-        combinedText.includes('maneuver')) {
-      reactiveScore = 0.7; // Suggests reactive
-      classification = 'reactive_to_exercise';
-      explanation = `Within ${closest.daysDiff} days of military exercise "${closest.event_name}" - exercises often follow provocations, suggesting reactive`;
-    }
-    // ELECTIONS suggest PRE-PLANNED (PRC times actions around Taiwan elections)
-    else if (combinedText.includes('election') || combinedText.includes('vote')) {
-      reactiveScore = 0.2; // Strongly suggests pre-planned
-      classification = 'preplanned_election';
-      explanation = `Within ${closest.daysDiff} days of Taiwan election - PRC often pre-plans demonstrations around elections`;
-    }
-    // PEOPLE'S CONGRESS / CCP MEETINGS suggest PRE-PLANNED
-    else if (combinedText.includes('congress') || combinedText.includes('ccp') || 
-             combinedText.includes('party')) {
-      reactiveScore = 0.25; // Suggests pre-planned
-      classification = 'preplanned_congress';
-      explanation = `Within ${closest.daysDiff} days of ${closest.event_name} - timing suggests pre-planned messaging`;
-    }
-    // INAUGURATION / SYMBOLIC DATES suggest PRE-PLANNED
-    else if (combinedText.includes('inauguration') || combinedText.includes('10-10') ||
-             combinedText.includes('double ten') || combinedText.includes('national day')) {
-      reactiveScore = 0.2; // Strongly suggests pre-planned
-      classification = 'preplanned_symbolic';
-      explanation = `Within ${closest.daysDiff} days of ${closest.event_name} - symbolic date suggests pre-planned`;
-    }
-    // LUNAR NEW YEAR suggests PRE-PLANNED
-    else if (combinedText.includes('lunar') || combinedText.includes('new year') ||
-             combinedText.includes('spring festival')) {
-      reactiveScore = 0.3; // Suggests pre-planned
-      classification = 'preplanned_holiday';
-      explanation = `Within ${closest.daysDiff} days of Lunar New Year period - holiday timing suggests pre-planned`;
-    }
-    // OTHER POLITICAL EVENTS - ambiguous
-    else {
-      reactiveScore = 0.4;
-      classification = 'ambiguous_political';
-      explanation = `Within ${closest.daysDiff} days of "${closest.event_name}" - timing relationship unclear`;
-    }
-    
     return {
-      isSymbolic: true,
+      isSymbolic: nearbyEvents.length > 0,
       nearbyEvents,
       closestEvent: closest,
-      classification,
-      reactiveScore,
-      explanation
+      classification: result.rule,
+      ...result
     };
   },
   
   /**
    * Fallback: Check hardcoded symbolic dates if no political data available
+   * Distance is measured in days, across year boundaries
    */
-  checkHardcodedSymbolicDates(eventDate) {
-    const date = new Date(eventDate);
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    
-    const matchingSymbolic = this.SYMBOLIC_DATES.find(sd => {
-      const daysDiff = Math.abs((month * 100 + day) - (sd.month * 100 + sd.day));
-      return daysDiff <= 2 || daysDiff >= 98;
+  checkHardcodedSymbolicDates(eventDate, rules = this.rules) {
+    const section = rules.symbolicDates;
+    const eventDay = CalendarDate.parse(eventDate);
+    const year = CalendarDate.fromDayNumber(eventDay).year;
+    
+    const matchingSymbolic = section.dates.find(sd => [-1, 0, 1].some(offset =>
+      Math.abs(eventDay - CalendarDate.toDayNumber(year + offset, sd.month, sd.day)) <= section.proximityDays
+    ));
+    
+    const result = this.applyRules(section, {
+      matched: Boolean(matchingSymbolic),
+      name: matchingSymbolic ? matchingSymbolic.name : null,
+      proximityDays: section.proximityDays
     });
     
-    if (matchingSymbolic) {
-      return {
-        isSymbolic: true,
-        symbolicDate: matchingSymbolic.name,
-        reactiveScore: 0.3,
-        explanation: `Within 2 days of ${matchingSymbolic.name} - likely pre-planned`
-      };
-    }
-    
     return {
-      isSymbolic: false,
-      reactiveScore: 0.5,
-      explanation: 'No symbolic timing detected'
+      isSymbolic: Boolean(matchingSymbolic),
+      symbolicDate: matchingSymbolic ? matchingSymbolic.name : null,
+      classification: result.rule,
+      ...result
     };
   },
   
@@ -352,7 +402,9 @@ const PreplannedReactive = {
    * Signal 5: Pattern Matching
    * Does response curve match known patterns?
    */
-  analyzePattern(windowData) {
+  analyzePattern(windowData, rules = this.rules) {
+    const section = rules.pattern;
+    
     // Analyze shape of response curve
     const values = windowData.map(d => d.adiz_count);
     const peak = Utils.max(values);
@@ -362,97 +414,37 @@ const PreplannedReactive = {
     // Pre-planned pattern: gradual build, sustained plateau, gradual decay
     
     const preEventMean = Utils.mean(values.slice(0, Math.floor(values.length / 2)));
-    const postEventMean = Utils.mean(values.slice(Math.floor(values.length / 2)));
-    
-    const sharpness = peak / preEventMean;
+    const sharpness = preEventMean > 0 ? peak / preEventMean : null;
     
     // Calculate decay rate (how fast it drops after peak)
     // This is KEY indicator of reactive vs planned
-    const postPeakValues = values.slice(peakIndex + 1, Math.min(peakIndex + 8, values.length)); // Next 7 days
-    const decayRate = postPeakValues.length > 0 
+    const postPeakValues = values.slice(peakIndex + 1, Math.min(peakIndex + 1 + section.decayDays, values.length));
+    const decayRate = postPeakValues.length > 0 && peak > 0
       ? (peak - Utils.mean(postPeakValues)) / peak 
       : 0;
     
-    const sustained = this.isSustained(windowData);
-    
-    let pattern, reactiveScore, explanation;
-    
-    // SHARP SPIKE + RAPID DECAY = VERY REACTIVE (THE STRONGEST SIGNAL!)
-    if (sharpness > 2.5 && decayRate > 0.6 && !sustained) {
-      pattern = 'sharp_spike_rapid_decay';
-      reactiveScore = 0.95; // VERY strong reactive signal
-      explanation = `Sharp spike (${sharpness.toFixed(1)}x) with rapid ${(decayRate*100).toFixed(0)}% decay within 7 days - CLASSIC reactive response pattern`;
-    } 
-    // SHARP SPIKE + MODERATE DECAY = REACTIVE
-    else if (sharpness > 2.5 && decayRate > 0.4 && !sustained) {
-      pattern = 'sharp_spike_moderate_decay';
-      reactiveScore = 0.85;
-      explanation = `Sharp spike (${sharpness.toFixed(1)}x) with ${(decayRate*100).toFixed(0)}% decay - reactive pattern`;
-    }
-    // SHARP SPIKE + SLOW DECAY = AMBIGUOUS
-    else if (sharpness > 2.5 && !sustained) {
-      pattern = 'sharp_spike';
-      reactiveScore = 0.70;
-      explanation = `Sharp spike (${sharpness.toFixed(1)}x) but slower decay (${(decayRate*100).toFixed(0)}%) - ambiguous pattern`;
-    } 
-    // SUSTAINED ELEVATION = PRE-PLANNED
-    else if (sustained) {
-      pattern = 'sustained';
-      reactiveScore = 0.25;
-      explanation = 'Sustained elevated ADIZ activity - suggests planned exercise/operation';
-    } 
-    // GRADUAL = AMBIGUOUS
-    else {
-      pattern = 'gradual';
-      reactiveScore = 0.5;
-      explanation = 'Gradual buildup pattern - ambiguous signal';
-    }
+    const sustained = this.isSustained(windowData, section);
+    
+    const result = this.applyRules(section, { sharpness, decayRate, sustained, decayDays: section.decayDays });
     
     return {
-      pattern,
+      pattern: result.rule,
       sharpness,
       decayRate,
       sustained,
-      reactiveScore,
-      explanation
+      ...result
     };
   },
   
   /**
    * Calculate overall classification from signals
    */
-  calculateClassification(signals) {
-    // Start with base weights
-    let weights = {
-      temporal: 0.35,    // Timing is critical
-      buildup: 0.25,     // Pre-event trend matters
-      magnitude: 0.20,   // Size matters
-      symbolic: 0.10,    // Context helps
-      pattern: 0.10      // Shape provides clues
-    };
-    
-    // DYNAMIC ADJUSTMENT: If sharp spike + rapid decay detected, 
-    // increase pattern and magnitude weights (these are KEY reactive indicators)
-    if (signals.pattern.pattern === 'sharp_spike_rapid_decay') {
-      weights = {
-        temporal: 0.30,
-        buildup: 0.20,
-        magnitude: 0.25,  // Increased - large spike matters more
-        symbolic: 0.05,   // Decreased - less relevant with clear pattern
-        pattern: 0.20     // DOUBLED - sharp decay is critical indicator
-      };
-    }
-    // If compound magnitude-temporal detected (large spike + close proximity)
-    else if (signals.magnitude.comparison === 'much_larger_immediate' || 
-             signals.magnitude.comparison === 'large_near_immediate') {
-      weights = {
-        temporal: 0.30,
-        buildup: 0.20,
-        magnitude: 0.30,  // INCREASED - compound signal is very strong
-        symbolic: 0.10,
-        pattern: 0.10
-      };
-    }
+  calculateClassification(signals, rules = this.rules) {
+    // Dynamic adjustment: the first adjustment matching the fired rules replaces the base weights
+    const firedRules = {};
+    ClassifierRules.SIGNALS.forEach(key => { firedRules[key] = signals[key].rule; });
+    const adjustment = rules.weightAdjustments.find(a => ClassifierRules.matches(a.when, firedRules));
+    const weights = { ...(adjustment ? adjustment.weights : rules.weights) };
     
     // Calculate weighted reactive score
     let totalScore = 0;
@@ -465,20 +457,24 @@ const PreplannedReactive = {
       }
     });
     
-    const reactiveScore = totalScore / totalWeight;
+    const reactiveScore = totalWeight > 0 ? totalScore / totalWeight : 0.5;
     
-    // Classify with tighter thresholds
-    let verdict, confidence;
+    // Classify against the verdict thresholds
+    const thresholds = rules.verdict;
+    let verdict, confidence, verdictRule;
     
-    if (reactiveScore >= 0.65) { // Lowered from 0.7
+    if (reactiveScore >= thresholds.reactive) {
       verdict = 'reactive';
-      confidence = reactiveScore >= 0.8 ? 'high' : 'medium';
-    } else if (reactiveScore <= 0.35) { // Raised from 0.3
+      confidence = reactiveScore >= thresholds.reactiveHigh ? 'high' : 'medium';
+      verdictRule = `reactive >= ${thresholds.reactive}`;
+    } else if (reactiveScore <= thresholds.preplanned) {
       verdict = 'pre-planned';
-      confidence = reactiveScore <= 0.2 ? 'high' : 'medium';
+      confidence = reactiveScore <= thresholds.preplannedHigh ? 'high' : 'medium';
+      verdictRule = `pre-planned <= ${thresholds.preplanned}`;
     } else {
       verdict = 'mixed';
       confidence = 'low';
+      verdictRule = `mixed (${thresholds.preplanned} - ${thresholds.reactive})`;
     }
     
     return {
@@ -487,6 +483,10 @@ const PreplannedReactive = {
       reactiveScore,
       prePlannedScore: 1 - reactiveScore,
       weights,  // Include weights so users can see dynamic adjustment
+      weightRule: adjustment ? adjustment.id : 'base',
+      verdictRule,
+      firedRules,
+      rulesName: rules.name,
       summary: this.generateSummary(verdict, confidence, reactiveScore, signals, weights)
     };
   },
@@ -539,11 +539,13 @@ const PreplannedReactive = {
   
   /**
    * Helper: Calculate trend slope
+   * x is the day offset, so gaps in the data keep their true spacing
    */
   calculateTrendSlope(data) {
-    const n = data.length;
-    const x = data.map((_, i) => i);
-    const y = data.map(d => d.adiz_count);
+    const points = data.filter(d => Utils.isReported(d.adiz_count));
+    const n = points.length;
+    const x = points.map(d => d.days_from_event);
+    const y = points.map(d => d.adiz_count);
     
     const sumX = x.reduce((a, b) => a + b, 0);
     const sumY = y.reduce((a, b) => a + b, 0);
@@ -557,26 +559,26 @@ const PreplannedReactive = {
   /**
    * Helper: Check if ADIZ is sustained
    */
-  isSustained(windowData) {
+  isSustained(windowData, section = this.rules.pattern) {
     const postEvent = windowData.filter(d => d.days_from_event > 0 && d.days_from_event <= 7);
     if (postEvent.length < 5) return false;
     
-    const values = postEvent.map(d => d.adiz_count);
-    const mean = Utils.mean(values);
+    const values = Utils.reportedValues(postEvent.map(d => d.adiz_count));
+    if (values.length < 5) return false;
     const peak = Utils.max(values);
     
-    // Sustained if most days are within 80% of peak
-    const highDays = values.filter(v => v >= peak * 0.8).length;
-    return highDays >= values.length * 0.6;
+    // Sustained if most days are close to the peak
+    const highDays = values.filter(v => v >= peak * section.sustainedPeakRatio).length;
+    return highDays >= values.length * section.sustainedShare;
   },
   
   /**
    * Get data for signal breakdown chart
    */
-  getSignalBreakdown() {
-    if (!this.currentAnalysis) return null;
+  getSignalBreakdown(analysis = this.currentAnalysis) {
+    if (!analysis) return null;
     
-    const { signals } = this.currentAnalysis;
+    const { signals } = analysis;
     
     return {
       labels: ['Timing', 'Pre-Event\nBuildup', 'Magnitude', 'Symbolic\nDate', 'Pattern'],
@@ -593,10 +595,10 @@ const PreplannedReactive = {
   /**
    * Get pre-event trend data for chart
    */
-  getPreEventTrendData() {
-    if (!this.currentAnalysis) return null;
+  getPreEventTrendData(analysis = this.currentAnalysis) {
+    if (!analysis) return null;
     
-    const { windowData } = this.currentAnalysis;
+    const { windowData } = analysis;
     
     // Pre-event data (days -21 to 0)
     const preEvent = windowData.filter(d => d.days_from_event <= 0);
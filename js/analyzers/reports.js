@@ -0,0 +1,1063 @@
+// reports.js - What each analyzer exports
+// One entry per analysis (where the command-line runner has the same analysis, the key
+// is its command name): the tidy tables of its result, plus the title, parameters,
+// summary and charts of its HTML brief. A result can come straight from the analyzer or back from the analysis worker;
+// everything here reads the result object, never the analyzer's current state.
+//   Reports.download('category', analysis, 'csv', { table: 'events' })
+
+import Utils from '../core/utils.js';
+import CalendarDate from '../core/calendarDate.js';
+import DataConnector from '../core/dataConnector.js';
+import Exporter from '../core/exporter.js';
+import SingleEventAnalyzer from './singleEvent.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+import ResponseShapes from './responseShapes.js';
+import FacetAnalyzer from './facetAnalyzer.js';
+import ABCompare from './abCompare.js';
+import HeatmapAnalyzer from './heatmap.js';
+import PreplannedReactive from './preplannedReactive.js';
+
+const FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv' },
+  json: { extension: 'json', type: 'application/json' },
+  html: { extension: 'html', type: 'text/html' }
+};
+
+// Per-event response rows shared by the category and comparison tables
+const eventRow = a => ({
+  date: a.event.date,
+  dataset: a.event.dataset,
+  category: a.event.category,
+  label: a.event.label,
+  reference: a.reference,
+  peak: a.peak,
+  time_to_peak: a.timeToPeak,
+  avg_7day: a.avg7DaySpike,
+  delta: a.delta,
+  car: a.car,
+  coverage: a.coverage.ratio,
+  confounders: a.confounders.length,
+  weight: a.weight
+});
+
+// Columns of a Stats.compareSamples result
+const testColumns = test => ({
+  diff: test.diff,
+  p_value: test.pValue,
+  significant: test.significant,
+  ci_lower: test.ci ? test.ci.lower : null,
+  ci_upper: test.ci ? test.ci.upper : null,
+  cohens_d: test.cohensD,
+  cliffs_delta: test.cliffsDelta,
+  effect_size: test.effectSize
+});
+
+const curveRow = point => ({
+  offset: point.offset,
+  mean: point.mean,
+  std_dev: point.stdDev,
+  lower: point.lowerBound,
+  upper: point.upperBound,
+  events: point.count
+});
+
+// Average response curve(s) with their confidence bands
+const curveChart = (title, curves) => ({
+  type: 'line',
+  title,
+  xLabel: 'Days from event',
+  yLabel: 'ADIZ aircraft',
+  series: curves.map(curve => ({
+    name: curve.name,
+    x: curve.offsets,
+    y: curve.mean,
+    lower: curve.lowerBound,
+    upper: curve.upperBound
+  })),
+  markers: [{ x: 0, label: 'Event' }]
+});
+
+// Reactive / pre-planned / mixed counts of classifyBatch's byCategory or byYear rows
+const verdictChart = (title, rows) => ({
+  type: 'bar',
+  title,
+  labels: rows.map(row => row.group),
+  series: [
+    { name: 'Reactive', values: rows.map(row => row.reactive), color: '#dc3545' },
+    { name: 'Pre-planned', values: rows.map(row => row['pre-planned']), color: '#28a745' },
+    { name: 'Mixed', values: rows.map(row => row.mixed), color: '#ffc107' }
+  ]
+});
+
+// Field name of a drill-down facet ('dataset' for the across-dataset facet)
+const facetName = facet => (facet.dataset ? `${facet.dataset}.${facet.field}` : 'dataset');
+
+// Mean of the reported values at each position of equal-length rows
+const columnMeans = (rows, length) => Array.from({ length }, (_, i) => {
+  const values = Utils.reportedValues(rows.map(row => row[i]));
+  return values.length > 0 ? Utils.mean(values) : null;
+});
+
+const Reports = {
+  FORMATS: Object.keys(FORMATS),
+  
+  /**
+   * Module 1: one event's window (SingleEventAnalyzer.analyze)
+   */
+  single: {
+    title: result => `Event impact: ${result.event.label}`,
+    subtitle: result => `${result.eventDate} · ${result.event.category} (${result.event.dataset})`,
+    parameters: result => ({
+      event: result.event.label,
+      date: result.eventDate,
+      dataset: result.event.dataset,
+      windowSize: result.window.size,
+      baselineDays: result.baseline.days,
+      missingPolicy: result.missingPolicy,
+      model: result.model
+    }),
+    summary: result => {
+      const card = SingleEventAnalyzer.getSummaryCard(result);
+      return [
+        { label: `Baseline mean (${result.baseline.days} days)`, value: card.metrics.baselineMean },
+        { label: 'Window mean', value: card.metrics.windowMean },
+        { label: 'Mean change', value: card.metrics.deltaPercent !== null && card.metrics.deltaPercent !== undefined
+          ? `${card.metrics.delta} (${Exporter.formatValue(card.metrics.deltaPercent)}%)`
+          : card.metrics.delta },
+        { label: 'Maximum', value: card.metrics.maxSpike },
+        { label: 'Time to peak', value: card.metrics.timeToPeak },
+        { label: 'Persistence', value: card.metrics.persistence },
+        { label: 'Surge threshold', value: card.metrics.threshold },
+        { label: 'CAR', value: card.metrics.car },
+        { label: 'Coverage', value: card.metrics.coverage },
+        { label: 'Other events in window', value: card.confounders },
+        ...(card.attributedShare ? [{ label: 'Response credited to this event', value: card.attributedShare }] : [])
+      ];
+    },
+    notes: result => [
+      ...(result.event.description ? [result.event.description] : []),
+      ...(result.coverage.overall.thin ? ['Few days in this window have reported ADIZ counts; treat the figures as indicative.'] : [])
+    ],
+    charts: result => {
+      const data = result.window.data;
+      const days = data.map(d => d.days_from_event);
+      return [{
+        type: 'line',
+        title: 'ADIZ response timeline',
+        xLabel: 'Days from event',
+        yLabel: 'ADIZ aircraft',
+        series: [
+          { name: 'ADIZ count', x: days, y: data.map(d => d.adiz_count) },
+          ...(result.eventStudy ? [{ name: 'Expected', x: days, y: data.map(d => d.expected), dashed: true }] : [])
+        ],
+        markers: [{ x: 0, label: 'Event' }],
+        lines: result.impact.threshold !== null ? [{ y: result.impact.threshold, label: 'Surge threshold' }] : []
+      }];
+    },
+    tables: {
+      window: result => result.window.data.map(d => ({
+        date: d.date,
+        days_from_event: d.days_from_event,
+        adiz_count: d.adiz_count,
+        status: d.status,
+        expected: d.expected,
+        abnormal: d.abnormal
+      })),
+      summary: result => Object.entries({
+        baseline_mean: result.baseline.stats.mean,
+        window_mean: result.windowStats.mean,
+        window_max: result.windowStats.max,
+        mean_delta: result.impact.meanDelta,
+        time_to_peak: result.impact.timeToPeak ? result.impact.timeToPeak.days : null,
+        persistence: result.impact.persistence,
+        threshold: result.impact.threshold,
+        coverage: result.coverage.overall.ratio,
+        car: result.eventStudy ? result.eventStudy.car : null,
+        car_t: result.eventStudy ? result.eventStudy.carT : null,
+        confounders: result.confounders.length
+      }).map(([metric, value]) => ({ metric, value })),
+      confounders: result => result.confounders.map(e => ({
+        date: e.date,
+        dataset: e.dataset,
+        category: e.category,
+        label: e.label
+      }))
+    }
+  },
+  
+  /**
+   * Module 2: average response across a category (CategoryAnalyzer.analyze)
+   */
+  category: {
+    title: () => 'Category response pattern',
+    subtitle: result => `${result.eventCount} events`,
+    parameters: result => ({
+      filters: result.filters,
+      windowSize: result.windowSize,
+      missingPolicy: result.missingPolicy,
+      model: result.model,
+      confounderMode: result.confounderPolicy.mode,
+      confounderDays: result.confounderPolicy.days
+    }),
+    summary: result => {
+      const summary = CategoryAnalyzer.getSummary(result);
+      return [
+        { label: 'Events analyzed', value: summary.eventCount },
+        { label: 'Avg baseline', value: summary.avgBaseline },
+        { label: 'Avg increase', value: summary.avgIncrease },
+        { label: 'Avg 7-day spike', value: summary.avg7DaySpike },
+        { label: 'Avg peak', value: `${summary.avgPeak} ± ${summary.avgPeakStdDev}` },
+        { label: 'Median peak', value: summary.medianPeak },
+        { label: 'Avg time to peak (days)', value: summary.avgTimeToPeak },
+        { label: 'Strongest day', value: `Day ${summary.maxSpikeDay} (${summary.maxSpikeValue})` },
+        { label: 'Avg CAR', value: summary.carT !== 'N/A' ? `${summary.avgCAR} (t = ${summary.carT})` : summary.avgCAR },
+        { label: 'Coverage', value: summary.coverage },
+        { label: 'Confounded events excluded', value: summary.excludedEvents }
+      ];
+    },
+    notes: result => result.coverage.thin
+      ? ['Few days in these windows have reported ADIZ counts; treat the figures as indicative.']
+      : [],
+    charts: result => [
+      curveChart('Average ADIZ response', [{
+        name: 'Mean',
+        offsets: result.avgCurve.map(d => d.offset),
+        mean: result.avgCurve.map(d => d.mean),
+        lowerBound: result.avgCurve.map(d => d.lowerBound),
+        upperBound: result.avgCurve.map(d => d.upperBound)
+      }])
+    ],
+    tables: {
+      events: result => result.eventAnalyses.map(eventRow),
+      curve: result => result.avgCurve.map(curveRow)
+    }
+  },
+  
+  /**
+   * Module 2: response-shape clusters of a category run (ResponseShapes.cluster)
+   */
+  shapes: {
+    title: () => 'Response shape clusters',
+    subtitle: result => `${result.eventCount} events · ${result.clusters.length} clusters`,
+    parameters: result => ({
+      filters: result.filters,
+      windowSize: result.windowSize,
+      model: result.model,
+      method: ResponseShapes.METHODS[result.options.method] || result.options.method,
+      normalization: ResponseShapes.NORMALIZATIONS[result.options.normalization] || result.options.normalization,
+      clusters: result.options.k
+    }),
+    summary: result => [
+      { label: 'Events clustered', value: result.eventCount },
+      { label: 'Left out (too few reported days)', value: result.skipped.length },
+      { label: 'Mean silhouette', value: result.silhouette },
+      ...result.clusters.map(cluster => ({
+        label: `#${cluster.id} ${cluster.shape}`,
+        value: `${cluster.size} events, peak ${Exporter.formatValue(cluster.peakDeviation)} on day ${cluster.peakOffset}`
+      }))
+    ],
+    notes: result => result.clusters
+      .filter(cluster => cluster.definingValues.length > 0)
+      .map(cluster => `#${cluster.id} over-represents ${cluster.definingValues.slice(0, 3).map(d => `${d.field} = ${d.value}`).join(', ')}`),
+    charts: result => [{
+      type: 'line',
+      title: 'Mean deviation by cluster',
+      xLabel: 'Days from event',
+      yLabel: 'Aircraft vs baseline',
+      series: result.clusters.map(cluster => ({
+        name: `#${cluster.id} ${cluster.shape} (${cluster.size})`,
+        x: result.offsets,
+        y: cluster.meanDeviation
+      })),
+      markers: [{ x: 0, label: 'Event' }]
+    }],
+    tables: {
+      clusters: result => result.clusters.map(cluster => ({
+        cluster: cluster.id,
+        shape: cluster.shape,
+        events: cluster.size,
+        share: cluster.share,
+        peak_offset: cluster.peakOffset,
+        peak_deviation: cluster.peakDeviation,
+        silhouette: cluster.silhouette
+      })),
+      members: result => result.clusters.flatMap(cluster => cluster.members.map(m => ({
+        cluster: cluster.id,
+        date: m.event.date,
+        dataset: m.event.dataset,
+        category: m.event.category,
+        label: m.event.label,
+        distance: m.distance,
+        silhouette: m.silhouette
+      }))),
+      curves: result => result.clusters.flatMap(cluster => result.offsets.map((offset, i) => ({
+        cluster: cluster.id,
+        offset,
+        mean_deviation: cluster.meanDeviation[i],
+        centroid: cluster.centroid[i]
+      }))),
+      values: result => result.clusters.flatMap(cluster => cluster.definingValues.map(d => ({
+        cluster: cluster.id,
+        dataset: d.dataset,
+        field: d.field,
+        value: d.value,
+        count: d.count,
+        share: d.share,
+        base_share: d.baseShare,
+        lift: d.lift,
+        p_value: d.p
+      })))
+    }
+  },
+  
+  /**
+   * Module 2: response of a category run broken down by event field (FacetAnalyzer.breakdown)
+   */
+  facets: {
+    title: () => 'Attribute drill-down',
+    subtitle: result => `${result.eventCount} events · ${FacetAnalyzer.METRICS[result.metric] || result.metric}`,
+    parameters: result => ({
+      filters: result.filters,
+      windowSize: result.windowSize,
+      model: result.model,
+      metric: FacetAnalyzer.METRICS[result.metric] || result.metric,
+      permutations: result.options.iterations
+    }),
+    summary: result => {
+      const best = result.facets.find(facet => facet.explained !== null);
+      return [
+        { label: 'Events', value: result.eventCount },
+        { label: 'Fields analyzed', value: result.facets.length },
+        { label: 'Fields with q < 0.1', value: result.facets.filter(facet => facet.q !== null && facet.q < 0.1).length },
+        { label: 'Explains the most', value: best ? `${facetName(best)} (${Exporter.formatValue(best.explained)})` : null }
+      ];
+    },
+    notes: () => [],
+    charts: result => {
+      const ranked = result.facets.filter(facet => facet.explained !== null);
+      return [{
+        type: 'bar',
+        title: 'Share of event-to-event variation explained',
+        yLabel: 'Explained (adjusted)',
+        labels: ranked.map(facetName),
+        series: [{ name: 'Explained', values: ranked.map(facet => facet.explained) }]
+      }];
+    },
+    tables: {
+      fields: result => result.facets.map(facet => ({
+        field: facetName(facet),
+        kind: facet.kind,
+        events: facet.n,
+        explained: facet.explained,
+        p_value: facet.p,
+        q_value: facet.q,
+        dose_scale: facet.doseResponse ? facet.doseResponse.scale : null,
+        dose_rho: facet.doseResponse ? facet.doseResponse.rho : null,
+        dose_p: facet.doseResponse ? facet.doseResponse.p : null,
+        dose_slope: facet.doseResponse ? facet.doseResponse.slope : null,
+        dose_slope_se: facet.doseResponse ? facet.doseResponse.slopeSE : null
+      })),
+      values: result => result.facets.flatMap(facet => facet.groups.map(group => ({
+        field: facetName(facet),
+        value: group.value,
+        events: group.n,
+        mean: group.mean,
+        se: group.se,
+        median: group.median,
+        vs_others: group.diff,
+        p_value: group.p,
+        too_few_to_test: group.small
+      })))
+    }
+  },
+  
+  /**
+   * Module 2: every category fitted at once (MultiEventRegression.analyze)
+   */
+  contributions: {
+    title: () => 'Joint category contributions',
+    subtitle: result => `${result.dayCount} reported days, ${result.startDate} to ${result.endDate}`,
+    parameters: result => ({
+      responseDays: result.responseDays,
+      missingPolicy: result.missingPolicy,
+      startDate: result.startDate,
+      endDate: result.endDate
+    }),
+    summary: result => [
+      { label: 'Days fitted', value: result.dayCount },
+      { label: 'R²', value: result.rSquared },
+      { label: 'Residual std dev (aircraft)', value: result.sigma },
+      { label: 'Categories significant at p < 0.05', value: result.contributions.filter(c => c.pValue !== null && c.pValue < 0.05).length }
+    ],
+    notes: result => [`Per event = extra aircraft per day while an event is live × ${result.responseDays + 1} days; year and weekday effects are fitted alongside.`],
+    charts: result => [{
+      type: 'bar',
+      title: 'Aircraft attributed per event',
+      labels: result.contributions.map(c => c.category),
+      series: [{ name: 'Per event', values: result.contributions.map(c => c.perEvent) }]
+    }],
+    tables: {
+      contributions: result => result.contributions.map(c => ({
+        category: c.category,
+        events: c.eventCount,
+        exposed_days: c.exposedDays,
+        per_day: c.coefficient,
+        per_day_se: c.se,
+        t: c.t,
+        p_value: c.pValue,
+        per_event: c.perEvent,
+        per_event_se: c.perEventSE
+      }))
+    }
+  },
+  
+  /**
+   * Module 3: A/B comparison (ABCompare.compare) or N-way comparison (compareGroups)
+   */
+  compare: {
+    title: result => result.ranking
+      ? `Comparison of ${result.groups.length} event groups`
+      : `Comparison: ${result.groupA.groupName} vs ${result.groupB.groupName}`,
+    subtitle: result => (result.groups || [result.groupA, result.groupB])
+      .map(group => `${group.groupName}: ${group.eventCount} events`).join(' · '),
+    parameters: result => ({
+      windowSize: result.windowSize,
+      missingPolicy: result.missingPolicy,
+      model: result.model,
+      ...(result.ranking ? {
+        metric: ABCompare.GROUP_METRICS[result.metric] || result.metric,
+        correction: result.correction,
+        alpha: result.alpha,
+        groups: Object.fromEntries(result.groups.filter(group => group.filters)
+          .map(group => [group.groupName, group.filters.expression || group.filters]))
+      } : {})
+    }),
+    summary: result => {
+      if (result.ranking) {
+        const { kruskalWallis, anova } = result.omnibus;
+        return [
+          { label: 'Groups', value: result.groups.length },
+          { label: 'Kruskal-Wallis p', value: kruskalWallis ? kruskalWallis.pValue : null },
+          { label: 'ANOVA p', value: anova ? anova.pValue : null },
+          { label: 'Highest response', value: result.ranking.length > 0 ? result.ranking[0].name : null },
+          { label: 'Significant pairs', value: result.pairwise.filter(pair => pair.significant).length },
+          ...(result.skipped.length > 0 ? [{ label: 'Groups skipped', value: result.skipped.map(group => `${group.name} (${group.reason})`).join('; ') }] : [])
+        ];
+      }
+      const { groupA, groupB, comparison } = result;
+      return [
+        { label: `${groupA.groupName}: avg increase`, value: groupA.stats.avgIncrease },
+        { label: `${groupB.groupName}: avg increase`, value: groupB.stats.avgIncrease },
+        { label: `${groupA.groupName}: avg peak`, value: groupA.stats.avgPeak },
+        { label: `${groupB.groupName}: avg peak`, value: groupB.stats.avgPeak },
+        { label: 'More inflammatory', value: comparison.recommendation.winner },
+        ...ABCompare.getSignificanceTable(result).map(row => ({ label: `${row.metric} p-value`, value: row.pValue }))
+      ];
+    },
+    notes: result => result.ranking
+      ? result.ranking.filter(row => row.above.length > 0).map(row => `${row.name} is significantly above ${row.above.join(', ')}`)
+      : [result.comparison.recommendation.summary, ...result.comparison.recommendation.details],
+    charts: result => {
+      if (result.ranking) {
+        return [
+          curveChart('Average ADIZ response by group', ABCompare.getMultiCurvesData(result)),
+          {
+            type: 'bar',
+            title: 'Group means',
+            labels: result.ranking.map(row => row.name),
+            series: [{ name: 'Mean', values: result.ranking.map(row => row.mean) }]
+          }
+        ];
+      }
+      const curves = ABCompare.getOverlaidCurvesData(result);
+      const bars = ABCompare.getComparisonBarData(result);
+      return [
+        curveChart('Average ADIZ response', [
+          { name: result.groupA.groupName, ...curves.groupA },
+          { name: result.groupB.groupName, ...curves.groupB }
+        ]),
+        {
+          type: 'bar',
+          title: 'Group averages',
+          labels: bars.metrics,
+          series: [
+            { name: result.groupA.groupName, values: bars.groupA },
+            { name: result.groupB.groupName, values: bars.groupB }
+          ]
+        }
+      ];
+    },
+    tables: {
+      groups: result => result.ranking
+        ? result.ranking.map(row => ({
+          rank: row.rank,
+          group: row.name,
+          events: row.eventCount,
+          measured: row.n,
+          mean: row.mean,
+          se: row.se,
+          median: row.median,
+          above: row.above.join('; '),
+          below: row.below.join('; ')
+        }))
+        : [result.groupA, result.groupB].map(group => ({ group: group.groupName, events: group.eventCount, ...group.stats })),
+      tests: result => result.pairwise
+        ? result.pairwise.map(pair => ({ a: pair.a, b: pair.b, ...testColumns(pair), adjusted_p: pair.adjustedP }))
+        : Object.entries(result.comparison.significance)
+          .filter(([, test]) => test && typeof test === 'object')
+          .map(([metric, test]) => ({ metric, ...testColumns(test) })),
+      events: result => (result.groups || [result.groupA, result.groupB])
+        .flatMap(group => group.eventAnalyses.map(a => ({ group: group.groupName, ...eventRow(a) }))),
+      curves: result => (result.groups || [result.groupA, result.groupB])
+        .flatMap(group => group.avgCurve.map(point => ({ group: group.groupName, ...curveRow(point) })))
+    }
+  },
+  
+  /**
+   * Module 4: per-event deviation rows of the response heatmap (HeatmapAnalyzer.responseMatrix)
+   */
+  heatmap: {
+    title: () => 'Event response heatmap',
+    subtitle: result => `${result.eventCount} events · rows by ${(HeatmapAnalyzer.SORT_MODES[result.sort] || result.sort).toLowerCase()}`,
+    parameters: result => ({
+      filters: result.filters,
+      windowSize: result.windowSize,
+      model: result.model,
+      missingPolicy: result.missingPolicy,
+      sort: HeatmapAnalyzer.SORT_MODES[result.sort] || result.sort
+    }),
+    summary: result => {
+      const peaks = Utils.reportedValues(result.rows.map(row => row.peak));
+      return [
+        { label: 'Events', value: result.eventCount },
+        { label: 'Mean post-event peak deviation', value: peaks.length > 0 ? Utils.mean(peaks) : null },
+        { label: 'Events with a post-event rise', value: peaks.filter(peak => peak > 0).length }
+      ];
+    },
+    notes: result => [result.model === 'event-study'
+      ? 'Deviation is from the fitted counterfactual.'
+      : 'Deviation is from the 30-day pre-event mean.'],
+    charts: result => [{
+      type: 'line',
+      title: 'Mean deviation across events',
+      xLabel: 'Days from event',
+      yLabel: 'Aircraft vs baseline',
+      series: [{ name: 'Mean deviation', x: result.offsets, y: columnMeans(result.rows.map(row => row.values), result.offsets.length) }],
+      markers: [{ x: 0, label: 'Event' }]
+    }],
+    tables: {
+      // In the order drawn, top to bottom
+      events: result => result.rows.map((row, i) => ({
+        row: i + 1,
+        date: row.event.date,
+        dataset: row.event.dataset,
+        category: row.event.category,
+        label: row.event.label,
+        peak: row.peak,
+        delta: row.delta,
+        time_to_peak: row.timeToPeak
+      })),
+      matrix: result => result.rows.flatMap((row, i) => result.offsets.map((offset, o) => ({
+        row: i + 1,
+        date: row.event.date,
+        dataset: row.event.dataset,
+        label: row.event.label,
+        offset,
+        deviation: row.values[o]
+      })))
+    }
+  },
+  
+  /**
+   * Module 7: forecast with and without hypothetical events (Predictor.whatIf)
+   */
+  forecast: {
+    title: result => result.scenario.events.length > 0
+      ? `ADIZ forecast with ${result.scenario.events.length} hypothetical event(s)`
+      : 'ADIZ forecast',
+    subtitle: result => `${result.baseline.horizon} days after the last reported day, ${result.baseline.origin}`,
+    parameters: result => ({
+      origin: result.baseline.origin,
+      horizon: result.baseline.horizon,
+      level: result.baseline.level,
+      trainedFrom: result.baseline.fit.fromDate,
+      trainedTo: result.baseline.fit.toDate
+    }),
+    summary: result => {
+      const { baseline, scenario, delta } = result;
+      return [
+        { label: `Expected aircraft, next ${baseline.horizon} days`, value: baseline.total.expected },
+        { label: `${Math.round(baseline.level * 100)}% interval`, value: `${Exporter.formatValue(baseline.total.lower)} to ${Exporter.formatValue(baseline.total.upper)}` },
+        { label: 'Expected per day', value: baseline.total.expected / baseline.horizon },
+        { label: 'Training days', value: baseline.fit.n },
+        { label: 'R²', value: baseline.fit.rSquared },
+        ...(scenario.events.length > 0 ? [
+          { label: 'What-if delta', value: delta.total.expected },
+          { label: 'What-if delta interval', value: `${Exporter.formatValue(delta.total.lower)} to ${Exporter.formatValue(delta.total.upper)}` }
+        ] : [])
+      ];
+    },
+    notes: result => result.scenario.events.map(e => {
+      const detail = Object.values(e.fields || {}).filter(Boolean).join(', ');
+      return `What-if: ${e.dataset}${detail ? ` (${detail})` : ''} on ${e.date}`;
+    }),
+    charts: result => {
+      const { baseline, scenario } = result;
+      const days = baseline.days.map((_, h) => h + 1);
+      return [{
+        type: 'line',
+        title: 'Forecast',
+        xLabel: `Days after ${baseline.origin}`,
+        yLabel: 'ADIZ aircraft',
+        series: [
+          {
+            name: 'Forecast',
+            x: days,
+            y: baseline.days.map(d => d.expected),
+            lower: baseline.days.map(d => d.lower),
+            upper: baseline.days.map(d => d.upper)
+          },
+          ...(scenario.events.length > 0 ? [{ name: 'What-if', x: days, y: scenario.days.map(d => d.expected), dashed: true }] : [])
+        ]
+      }];
+    },
+    tables: {
+      days: result => result.baseline.days.map((d, h) => ({
+        date: d.date,
+        expected: d.expected,
+        lower: d.lower,
+        upper: d.upper,
+        ...(result.scenario.events.length > 0 ? {
+          whatif_expected: result.scenario.days[h].expected,
+          whatif_lower: result.scenario.days[h].lower,
+          whatif_upper: result.scenario.days[h].upper,
+          delta: result.delta.days[h].expected
+        } : {})
+      })),
+      terms: result => result.baseline.fit.terms.map(term => ({
+        term: term.label,
+        coefficient: term.coefficient,
+        se: term.se,
+        t: term.se > 0 ? term.coefficient / term.se : null
+      })),
+      events: result => (result.scenario.events.length > 0
+        ? result.scenario.events.map(e => ({ dataset: e.dataset, date: e.date, fields: e.fields || {} }))
+        : null)
+    }
+  },
+  
+  /**
+   * Module 7: rolling-origin backtest of the forecast (Predictor.backtest)
+   */
+  forecastBacktest: {
+    title: () => 'Forecast backtest',
+    subtitle: result => `${result.origins} forecast origins, ${result.from} to ${result.to}`,
+    parameters: result => ({ from: result.from, to: result.to, origins: result.origins, level: result.level }),
+    summary: result => result.horizons.flatMap(h => [
+      { label: `${h.horizon}-day MAE (naive)`, value: `${Exporter.formatValue(h.mae)} (${Exporter.formatValue(h.naiveMae)})` },
+      { label: `${h.horizon}-day skill / coverage`, value: `${Exporter.formatValue(h.skill)} / ${Exporter.formatValue(h.coverage)}` }
+    ]),
+    notes: result => [
+      'Naive = mean of the 7 reported days before the origin, held flat. Skill = share of the naive error the model removes.',
+      `Coverage should be close to ${Math.round(result.level * 100)}%.`
+    ],
+    charts: result => [{
+      type: 'bar',
+      title: 'Mean absolute error by horizon',
+      yLabel: 'Aircraft',
+      labels: result.horizons.map(h => `${h.horizon} days`),
+      series: [
+        { name: 'Model', values: result.horizons.map(h => h.mae) },
+        { name: 'Naive', values: result.horizons.map(h => h.naiveMae) }
+      ]
+    }],
+    tables: {
+      horizons: result => result.horizons.map(h => ({
+        horizon: h.horizon,
+        mae: h.mae,
+        naive_mae: h.naiveMae,
+        skill: h.skill,
+        coverage: h.coverage,
+        forecasts: h.n
+      }))
+    }
+  },
+  
+  /**
+   * Module 8: one event's verdict (PreplannedReactive.classify) or a batch (classifyBatch)
+   */
+  classify: {
+    title: result => result.rows
+      ? `Reactive vs pre-planned: ${result.total} events`
+      : `Reactive vs pre-planned: ${result.event.label}`,
+    subtitle: result => result.rows
+      ? `Rule set: ${result.rulesName}`
+      : `${result.event.date} · ${result.event.category} (${result.event.dataset}) · rule set: ${result.rulesName}`,
+    parameters: result => result.rows
+      ? { rules: result.rulesName }
+      : {
+        event: result.event.label,
+        date: result.event.date,
+        dataset: result.event.dataset,
+        windowSize: result.windowSize,
+        missingPolicy: result.missingPolicy,
+        rules: result.rulesName
+      },
+    summary: result => {
+      if (result.rows) {
+        const count = verdict => result.rows.filter(row => row.verdict === verdict).length;
+        return [
+          { label: 'Events', value: result.total },
+          { label: 'Reactive', value: count('reactive') },
+          { label: 'Pre-planned', value: count('pre-planned') },
+          { label: 'Mixed', value: count('mixed') }
+        ];
+      }
+      const c = result.classification;
+      return [
+        { label: 'Verdict', value: c.verdict.toUpperCase() },
+        { label: 'Confidence', value: c.confidence },
+        { label: 'Reactive probability', value: `${(c.reactiveScore * 100).toFixed(0)}%` },
+        { label: 'Pre-planned probability', value: `${(c.prePlannedScore * 100).toFixed(0)}%` },
+        { label: 'Weights', value: c.weightRule },
+        { label: 'Verdict rule', value: c.verdictRule }
+      ];
+    },
+    notes: result => result.rows
+      ? []
+      : Object.values(result.signals).map(signal => signal.explanation).filter(Boolean),
+    charts: result => {
+      if (result.rows) {
+        return [
+          verdictChart('Verdicts by category', result.byCategory),
+          verdictChart('Verdicts by year', result.byYear)
+        ];
+      }
+      const breakdown = PreplannedReactive.getSignalBreakdown(result);
+      const trend = PreplannedReactive.getPreEventTrendData(result);
+      return [
+        {
+          type: 'bar',
+          title: 'Reactive score by signal (0 = pre-planned, 1 = reactive)',
+          labels: breakdown.labels,
+          series: [{ name: 'Reactive score', values: breakdown.reactiveScores }]
+        },
+        {
+          type: 'line',
+          title: 'ADIZ activity before the event',
+          xLabel: 'Days from event',
+          yLabel: 'ADIZ aircraft',
+          series: [{ name: 'ADIZ count', x: trend.days, y: trend.adiz }],
+          markers: [{ x: 0, label: 'Event' }]
+        }
+      ];
+    },
+    tables: {
+      events: result => (result.rows || [{ event: result.event, ...result.classification, dominantSignal: null }]).map(row => ({
+        date: row.event.date,
+        dataset: row.event.dataset,
+        category: row.event.category,
+        label: row.event.label,
+        verdict: row.verdict,
+        confidence: row.confidence,
+        reactive_score: row.reactiveScore,
+        weight_rule: row.weightRule,
+        dominant_signal: row.dominantSignal ? row.dominantSignal.key : null
+      })),
+      // Tables that do not apply to a result (signals of a batch) are null
+      signals: result => result.signals
+        ? Object.entries(result.signals).map(([signal, s]) => ({
+          signal,
+          rule: s.rule,
+          reactive_score: s.reactiveScore,
+          weight: result.classification.weights[signal],
+          explanation: s.explanation
+        }))
+        : null,
+      categories: result => result.byCategory || null,
+      years: result => result.byYear || null
+    }
+  },
+  
+  /**
+   * Module 8: the active rules scored against labeled cases (ClassifierBacktest.evaluate)
+   */
+  classifierBacktest: {
+    title: result => `Classifier backtest: ${result.name}`,
+    subtitle: result => `Rule set: ${result.rulesName} · ${result.resolved} of ${result.total} cases found`,
+    parameters: result => ({ cases: result.name, rules: result.rulesName }),
+    summary: result => [
+      { label: 'Accuracy', value: result.accuracy },
+      { label: 'Correct', value: `${result.correct} of ${result.resolved}` },
+      { label: 'Brier score', value: result.brier },
+      { label: 'Cases in the Brier score', value: result.brierCount },
+      { label: 'Cases with no matching event', value: result.unresolved.length }
+    ],
+    notes: result => [
+      'Brier score: 0 is perfect, 0.25 is a coin flip; mixed labels are left out of it and of the calibration.',
+      ...(result.unresolved.length > 0
+        ? [`No event found for: ${result.unresolved.map(c => `${c.id} (${c.date}, "${c.match}")`).join('; ')}`]
+        : [])
+    ],
+    charts: result => {
+      const bins = result.calibration.filter(bin => bin.count > 0);
+      return [{
+        type: 'line',
+        title: 'Reliability of the reactive score',
+        xLabel: 'Mean predicted reactive score',
+        yLabel: 'Share labeled reactive',
+        series: [
+          { name: 'Observed', x: bins.map(bin => bin.meanPredicted), y: bins.map(bin => bin.observedReactive) },
+          { name: 'Perfect calibration', x: [0, 1], y: [0, 1], dashed: true }
+        ]
+      }];
+    },
+    tables: {
+      cases: result => result.rows.map(row => ({
+        id: row.id,
+        label: row.label,
+        verdict: row.verdict,
+        correct: row.correct,
+        confidence: row.confidence,
+        reactive_score: row.reactiveScore,
+        date: row.event.date,
+        dataset: row.event.dataset,
+        event: row.event.label,
+        matches: row.candidates,
+        note: row.note
+      })),
+      confusion: result => Object.entries(result.confusion).map(([actual, predicted]) => ({ actual, ...predicted })),
+      calibration: result => result.calibration.map(bin => ({
+        lower: bin.lower,
+        upper: bin.upper,
+        cases: bin.count,
+        mean_predicted: bin.meanPredicted,
+        observed_reactive: bin.observedReactive
+      }))
+    }
+  },
+  
+  /**
+   * Module 9: top surges and their triggers (SpikeAnalyzer.analyze)
+   */
+  spikes: {
+    title: () => 'Top ADIZ surges and likely triggers',
+    subtitle: result => `${result.stats.totalSpikes} surges · ${result.stats.explained} with a likely trigger`,
+    parameters: result => ({ ...result.options }),
+    summary: result => [
+      { label: 'Surges', value: result.stats.totalSpikes },
+      { label: 'With a likely trigger', value: result.stats.explained },
+      { label: 'Unexplained', value: result.stats.unexplained },
+      { label: 'Avg triggers per surge', value: result.stats.avgTriggers },
+      { label: 'Category with the highest impact', value: result.rankings.length > 0 ? result.rankings[0].category : null },
+      { label: 'Regime changes', value: result.regimes && result.regimes.changePoints ? result.regimes.changePoints.length : null }
+    ],
+    notes: () => [],
+    charts: result => {
+      const spikes = [...result.explained, ...result.unexplained].sort((a, b) => a.date.localeCompare(b.date));
+      return [
+        {
+          type: 'bar',
+          title: 'Surge peaks',
+          labels: spikes.map(spike => spike.date),
+          series: [{ name: 'Aircraft', values: spikes.map(spike => spike.aircraft) }]
+        },
+        {
+          type: 'bar',
+          title: 'Average impact by event category',
+          labels: result.rankings.map(row => row.category),
+          series: [{ name: 'Avg impact', values: result.rankings.map(row => row.avgImpact) }]
+        }
+      ];
+    },
+    tables: {
+      spikes: result => [...result.explained, ...result.unexplained]
+        .sort((a, b) => b.score - a.score)
+        .map(spike => ({
+          date: spike.date,
+          aircraft: spike.aircraft,
+          score: spike.score,
+          baseline: spike.baseline,
+          surge_start: spike.episode.start,
+          surge_end: spike.episode.end,
+          triggers: spike.triggers.length,
+          top_trigger: spike.triggers.length > 0 ? spike.triggers[0].event : null,
+          top_confidence: spike.triggers.length > 0 ? spike.triggers[0].confidence : null
+        })),
+      triggers: result => result.explained.flatMap(spike => spike.triggers.map((trigger, i) => ({
+        spike_date: spike.date,
+        rank: i + 1,
+        category: trigger.category,
+        event: trigger.event,
+        date: trigger.date,
+        days_before: trigger.daysBefore,
+        confidence: trigger.confidence,
+        share: trigger.share,
+        preplanned: trigger.preplanned
+      }))),
+      rankings: result => result.rankings.map(row => ({
+        rank: row.rank,
+        category: row.category,
+        avg_impact: row.avgImpact,
+        se: row.se,
+        events: row.eventCount,
+        measured: row.measuredCount,
+        above: row.above.join('; '),
+        below: row.below.join('; ')
+      }))
+    }
+  },
+  
+  /**
+   * Module 10: lead/lag between each event dataset and ADIZ (LeadLag.analyze)
+   */
+  leadLag: {
+    title: () => 'Lead/lag between events and ADIZ activity',
+    subtitle: result => `${result.days} days, ${result.start} to ${result.end}`,
+    parameters: result => ({ ...result.options }),
+    summary: result => result.categories.map(c => ({ label: c.name, value: c.direction })),
+    notes: result => result.categories
+      .filter(c => c.peak.p < result.options.alpha)
+      .map(c => `${c.name}: strongest correlation r = ${Exporter.formatValue(c.peak.r)} at lag ${c.peak.lag} days (p = ${Exporter.formatValue(c.peak.p)})`),
+    charts: result => result.categories.map(c => ({
+      type: 'line',
+      title: `${c.name}: cross-correlation (band: surrogate range)`,
+      xLabel: 'Lag (days; positive = ADIZ after events)',
+      yLabel: 'Correlation',
+      series: [{
+        name: 'r',
+        x: c.ccf.map(l => l.lag),
+        y: c.ccf.map(l => l.r),
+        lower: c.ccf.map(l => l.lower),
+        upper: c.ccf.map(l => l.upper)
+      }],
+      markers: [{ x: 0, label: 'Same day' }]
+    })),
+    tables: {
+      categories: result => result.categories.map(c => ({
+        dataset: c.dataset,
+        category: c.name,
+        events: c.events,
+        peak_lag: c.peak.lag,
+        peak_r: c.peak.r,
+        peak_p: c.peak.p,
+        granger_lags: c.granger.lags,
+        granger_f: c.granger.F,
+        granger_p: c.granger.p,
+        reverse_f: c.granger.reverseF,
+        reverse_p: c.granger.reverseP,
+        direction: c.direction
+      })),
+      ccf: result => result.categories.flatMap(c => c.ccf.map(l => ({
+        dataset: c.dataset,
+        lag: l.lag,
+        r: l.r,
+        lower: l.lower,
+        upper: l.upper
+      })))
+    }
+  },
+  
+  /**
+   * Names of the tables that apply to a result
+   */
+  tableNames(kind, result) {
+    return Object.keys(this.get(kind).tables).filter(name => this.get(kind).tables[name](result) !== null);
+  },
+  
+  /**
+   * Rows of one table
+   */
+  table(kind, result, name) {
+    const tables = this.get(kind).tables;
+    if (!tables[name]) {
+      throw new Error(`Unknown table '${name}' (${Object.keys(tables).join(', ')})`);
+    }
+    const rows = tables[name](result);
+    if (rows === null) {
+      throw new Error(`The ${name} table does not apply to this result (${this.tableNames(kind, result).join(', ')})`);
+    }
+    return rows;
+  },
+  
+  /**
+   * Everything exported about a result
+   * @param {string} kind - Report key (single, category, shapes, facets, contributions,
+   *   compare, heatmap, forecast, forecastBacktest, classify, classifierBacktest, spikes, leadLag)
+   * @param {object} result - The analyzer's result
+   * @param {object} options - {parameters} added to those read from the result (filters,
+   *   group definitions, ...); {data, version} for the fingerprint (default: the loaded data)
+   * @returns {object} {kind, title, subtitle, generatedAt, parameters, fingerprint, summary,
+   *   notes, charts, tables}
+   */
+  build(kind, result, options = {}) {
+    const report = this.get(kind);
+    const tables = {};
+    Object.entries(report.tables).forEach(([name, table]) => {
+      const rows = table(result);
+      if (rows !== null) tables[name] = rows;
+    });
+    
+    return {
+      kind,
+      title: report.title(result),
+      subtitle: report.subtitle(result),
+      generatedAt: new Date().toISOString(),  // An instant; the HTML brief shows it in local time
+      parameters: { ...report.parameters(result), ...options.parameters },
+      fingerprint: Exporter.fingerprint(
+        options.data || DataConnector.currentData,
+        options.data ? options.version || null : DataConnector.activeVersion
+      ),
+      summary: report.summary(result),
+      notes: report.notes(result),
+      charts: report.charts(result),
+      tables
+    };
+  },
+  
+  /**
+   * A result as file contents
+   * @param {string} format - csv (one table), json (every table) or html (the brief)
+   * @param {object} options - build() options, plus {table} for CSV (default: the first)
+   * @returns {object} {filename, text, type}
+   */
+  export(kind, result, format, options = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format '${format}' (${this.FORMATS.join(', ')})`);
+    }
+    const { extension, type } = FORMATS[format];
+    const date = CalendarDate.today();
+    
+    if (format === 'csv') {
+      const table = options.table || this.tableNames(kind, result)[0];
+      return {
+        filename: Exporter.filename(kind, table, date, extension),
+        text: Exporter.toCSV(this.table(kind, result, table)),
+        type
+      };
+    }
+    
+    const report = this.build(kind, result, options);
+    return {
+      filename: Exporter.filename(kind, format === 'html' ? 'brief' : null, date, extension),
+      text: format === 'html' ? Exporter.brief(report) : Exporter.toJSON(report),
+      type
+    };
+  },
+  
+  /**
+   * Export a result and save it from the browser
+   */
+  download(kind, result, format, options = {}) {
+    const file = this.export(kind, result, format, options);
+    Exporter.download(file.filename, file.text, file.type);
+  },
+  
+  get(kind) {
+    const report = this[kind];
+    if (!report || !report.tables) throw new Error(`Unknown report: ${kind}`);
+    return report;
+  }
+};
+
+export default Reports;
@@ -0,0 +1,263 @@
+// responseShapes.js - Response-curve shape clustering
+// The average response curve hides that some events get an immediate spike, others a
+// delayed build-up and many nothing at all. This analyzer normalizes each event's window,
+// clusters the curves, and reports for every cluster its centroid, its members and the
+// field values (value_tier, lethality_type, US_Official_Level, ...) over-represented in it.
+
+import Utils from '../core/utils.js';
+import Stats from '../core/stats.js';
+import DataSchema from '../core/schema.js';
+import Clustering from '../core/clustering.js';
+import Progress from '../core/progress.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+
+const ResponseShapes = {
+  currentResult: null,
+  
+  DEFAULT_OPTIONS: {
+    method: 'kmeans',           // One of METHODS
+    k: 4,                       // Number of clusters
+    normalization: 'baseline',  // One of NORMALIZATIONS
+    dtwBand: 3,                 // Days a DTW match may shift
+    minCoverage: 0.5,           // Events with fewer reported window days than this share are left out
+    minScale: 1,                // Floor on the pre-event standard deviation used by 'baseline'
+    restarts: 10,               // k-means runs from different seeded starts
+    maxLevels: 12,              // Fields with more distinct values than this are treated as free text
+    alpha: 0.1,                 // Over-representation p-value at which a field value defines a cluster
+    seed: Stats.DEFAULT_SEED
+  },
+  
+  METHODS: {
+    kmeans: 'k-means (Euclidean)',
+    hierarchical: 'Hierarchical (average linkage, Euclidean)',
+    dtw: 'Hierarchical on DTW distance (tolerates shifted peaks)'
+  },
+  
+  NORMALIZATIONS: {
+    baseline: 'Deviation ÷ pre-event std dev',
+    shape: 'Shape only (z-normalized, size removed)',
+    none: 'Raw deviation (aircraft)'
+  },
+  
+  // Mean post-event deviation, in pre-event standard deviations, below which a cluster shows no response
+  RESPONSE_THRESHOLD: 0.5,
+  
+  /**
+   * Run a category analysis and cluster its events
+   * @param {object} categoryFilters - DataConnector.getEvents filters
+   * @param {object} options - CategoryAnalyzer options plus DEFAULT_OPTIONS
+   */
+  analyze(categoryFilters, options = {}) {
+    return this.cluster(CategoryAnalyzer.analyze(categoryFilters, options), options);
+  },
+  
+  /**
+   * Cluster the events of a CategoryAnalyzer result by response shape
+   * @returns {object} {options, windowSize, model, offsets, eventCount, skipped, silhouette,
+   *   clusters: [{id, shape, size, share, centroid, meanDeviation, peakOffset, peakDeviation,
+   *               silhouette, members: [{event, distance, silhouette}], definingValues}],
+   *   membership: [{event, cluster}]}
+   */
+  cluster(analysis, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    if (!this.METHODS[config.method]) {
+      throw new Error(`Unknown clustering method: ${config.method}`);
+    }
+    
+    const windowSize = analysis.windowSize;
+    const offsets = Array.from({ length: 2 * windowSize + 1 }, (_, i) => i - windowSize);
+    
+    const items = [];
+    const skipped = [];
+    analysis.eventAnalyses.forEach(a => {
+      const raw = CategoryAnalyzer.deviationCurve(a, offsets);
+      const reported = raw.filter(v => v !== null).length;
+      if (reported / offsets.length < config.minCoverage) {
+        skipped.push(a.event);
+        return;
+      }
+      const scale = Math.max(a.baseline.stdDev ?? 0, config.minScale);
+      items.push({ event: a.event, raw, scale, curve: this.normalize(raw, scale, config.normalization) });
+    });
+    
+    if (items.length === 0) {
+      throw new Error('No events with enough reported days to cluster');
+    }
+    
+    const k = Math.min(config.k, items.length);
+    const curves = items.map(item => item.curve);
+    Progress.report('Clustering response curves', 0, 1);
+    const distance = config.method === 'dtw'
+      ? Clustering.distanceMatrix(curves, (a, b) => Clustering.dtw(a, b, config.dtwBand))
+      : Clustering.distanceMatrix(curves, (a, b) => Clustering.euclidean(a, b));
+    const labels = config.method === 'kmeans'
+      ? Clustering.kmeans(curves, k, { seed: config.seed, restarts: config.restarts }).labels
+      : Clustering.hierarchical(distance, k).labels;
+    const silhouettes = Clustering.silhouette(distance, labels);
+    
+    // Largest cluster first
+    const groups = [...new Set(labels)]
+      .map(label => labels.map((l, i) => (l === label ? i : null)).filter(i => i !== null))
+      .sort((a, b) => b.length - a.length);
+    
+    const events = items.map(item => item.event);
+    const attributes = this.collectAttributes(events, config.maxLevels);
+    const clusters = groups.map((indices, c) => {
+      Progress.report('Describing clusters', c, groups.length);
+      const centroid = Clustering.meanCurve(indices.map(i => curves[i]));
+      const meanDeviation = offsets.map((_, o) => {
+        const values = Utils.reportedValues(indices.map(i => items[i].raw[o]));
+        return values.length > 0 ? Utils.mean(values) : null;
+      });
+      const scale = Utils.mean(indices.map(i => items[i].scale));
+      const peak = this.findPeak(offsets, meanDeviation);
+      
+      return {
+        id: c + 1,
+        shape: this.describeShape(offsets, meanDeviation, scale),
+        size: indices.length,
+        share: indices.length / items.length,
+        centroid,
+        meanDeviation,
+        peakOffset: peak.offset,
+        peakDeviation: peak.value,
+        silhouette: Utils.mean(indices.map(i => silhouettes[i])),
+        members: indices
+          .map(i => ({
+            event: items[i].event,
+            distance: Clustering.euclidean(curves[i], centroid),
+            silhouette: silhouettes[i]
+          }))
+          .sort((a, b) => a.distance - b.distance),
+        definingValues: this.definingValues(indices.map(i => events[i]), events, attributes, config.alpha)
+      };
+    });
+    
+    Progress.report('Describing clusters', groups.length, groups.length);
+    
+    const clusterOf = new Map();
+    clusters.forEach(cluster => cluster.members.forEach(m => clusterOf.set(m.event, cluster.id)));
+    
+    this.currentResult = {
+      options: config,
+      filters: analysis.filters,
+      windowSize,
+      model: analysis.model,
+      offsets,
+      eventCount: items.length,
+      skipped,
+      silhouette: Utils.mean(silhouettes),
+      clusters,
+      membership: events.map(event => ({ event, cluster: clusterOf.get(event) }))
+    };
+    return this.currentResult;
+  },
+  
+  /**
+   * Put curves on a common scale; gaps count as no deviation
+   */
+  normalize(raw, scale, normalization) {
+    const filled = raw.map(v => v ?? 0);
+    if (normalization === 'baseline') return filled.map(v => v / scale);
+    if (normalization === 'shape') return Clustering.zNormalize(filled) || filled.map(() => 0);
+    return filled;
+  },
+  
+  findPeak(offsets, curve) {
+    let peak = { offset: null, value: null };
+    offsets.forEach((offset, i) => {
+      if (offset < 0 || curve[i] === null) return;
+      if (peak.value === null || curve[i] > peak.value) peak = { offset, value: curve[i] };
+    });
+    return peak;
+  },
+  
+  /**
+   * Name a cluster from its mean deviation over days 0-7 (early) and day 8 onward (late), in
+   * units of the members' pre-event standard deviation: no response, decline, immediate
+   * response (early is larger) or delayed build-up (late is larger)
+   */
+  describeShape(offsets, meanDeviation, scale) {
+    const level = (from, to) => {
+      const values = meanDeviation.filter((v, i) => offsets[i] >= from && offsets[i] <= to && v !== null);
+      return values.length > 0 ? Utils.mean(values) / scale : null;
+    };
+    const early = level(0, 7);
+    const late = level(8, Infinity);
+    if (early === null) return 'no data';
+    
+    const strongest = late === null || Math.abs(early) >= Math.abs(late) ? early : late;
+    if (Math.abs(strongest) < this.RESPONSE_THRESHOLD) return 'no response';
+    if (strongest < 0) return 'decline';
+    return strongest === early ? 'immediate response' : 'delayed build-up';
+  },
+  
+  /**
+   * Categorical fields of the clustered events (DataSchema.profileFields with 2..maxLevels
+   * distinct values). When several datasets are clustered together the dataset itself is
+   * an attribute too.
+   * @returns {object[]} [{dataset, field, valueOf(event)}]
+   */
+  collectAttributes(events, maxLevels) {
+    const attributes = [];
+    const datasets = [...new Set(events.map(e => e.dataset))];
+    if (datasets.length > 1) {
+      attributes.push({ dataset: null, field: 'dataset', valueOf: event => event.dataset });
+    }
+    
+    datasets.forEach(dataset => {
+      const inDataset = events.filter(e => e.dataset === dataset);
+      DataSchema.profileFields(dataset, inDataset, maxLevels)
+        .filter(profile => profile.categorical)
+        .forEach(({ field }) => {
+          attributes.push({
+            dataset,
+            field,
+            valueOf: event => (event.dataset === dataset ? DataSchema.fieldValue(event.fields, field) : null)
+          });
+        });
+    });
+    
+    return attributes;
+  },
+  
+  /**
+   * Field values over-represented in a cluster, by a one-sided hypergeometric (Fisher) test
+   * against all clustered events that have the field
+   * @returns {object[]} [{dataset, field, value, count, share, baseShare, lift, p}], strongest first
+   */
+  definingValues(members, allEvents, attributes, alpha) {
+    const found = [];
+    
+    attributes.forEach(attribute => {
+      const memberValues = members.map(attribute.valueOf).filter(v => v !== null);
+      const allValues = allEvents.map(attribute.valueOf).filter(v => v !== null);
+      if (memberValues.length === 0) return;
+      
+      new Set(memberValues).forEach(value => {
+        const count = memberValues.filter(v => v === value).length;
+        const total = allValues.filter(v => v === value).length;
+        const share = count / memberValues.length;
+        const baseShare = total / allValues.length;
+        const p = Stats.hypergeometricTail(count, memberValues.length, total, allValues.length);
+        
+        if (count >= 2 && share > baseShare && p < alpha) {
+          found.push({
+            dataset: attribute.dataset,
+            field: attribute.field,
+            value,
+            count,
+            share,
+            baseShare,
+            lift: share / baseShare,
+            p
+          });
+        }
+      });
+    });
+    
+    return found.sort((a, b) => a.p - b.p || b.lift - a.lift);
+  }
+};
+
+export default ResponseShapes;
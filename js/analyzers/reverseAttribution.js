@@ -0,0 +1,218 @@
+// reverseAttribution.js - From a surge back to its candidate triggers
+// Ranks the events in the days before a spike date or surge episode. Every score is the
+// sum of three inspectable parts:
+//   lag        - how typical this event's lag is for its category (learned time-to-peak)
+//   strength   - how much more often the category is followed by a surge than a random day
+//   historical - a proven trigger -> response pair (CausalLogic.historicalPairs)
+// Exercises are excluded (responses, not triggers) and pre-planned events are down-weighted.
+
+import Utils from '../core/utils.js';
+import DataConnector from '../core/dataConnector.js';
+import TimeSeries from '../core/timeSeries.js';
+import CategoryAnalyzer from './categoryAnalyzer.js';
+import CausalLogic from './causalLogic.js';
+import InflammationRanker from './inflammationRanker.js';
+
+const ReverseAttribution = {
+  profileCache: null,
+  profileCacheKey: null,
+  profileCacheData: null,
+  
+  DEFAULT_OPTIONS: {
+    lookbackDays: 14,    // Events up to this many days before the spike are candidates
+    lagBandwidth: 1.5,   // Smoothing (days) of the learned time-to-peak distribution
+    priorEvents: 5,      // Pseudo-events pulling a small category's surge rate toward the base rate
+    minScore: 50         // Candidates below this are dropped; a spike with none left is unexplained
+  },
+  
+  // Points each component contributes at full strength (they sum to 100)
+  WEIGHTS: { lag: 45, strength: 35, historical: 20 },
+  
+  // Multiplier for structural/calendrical events, which cannot be reactive triggers
+  PREPLANNED_FACTOR: 0.3,
+  
+  /**
+   * Per-category lag and strength profiles learned from the whole dataset
+   * Cached per loaded dataset and options
+   * @returns {object} dataset -> {lagDensity[0..lookbackDays], typicalLag, responses,
+   *                    events, hits, hitRate, baseRate, lift, strength}
+   */
+  getCategoryProfiles(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const key = JSON.stringify([config.lookbackDays, config.lagBandwidth, config.priorEvents, config.missingPolicy, config.anomaly]);
+    if (this.profileCache && this.profileCacheKey === key && this.profileCacheData === DataConnector.currentData) {
+      return this.profileCache;
+    }
+    
+    // Surge peaks as ascending series indices; a day is followed by a surge when the first
+    // peak on or after it is within the lookback
+    const series = DataConnector.series;
+    const peaks = DataConnector.getSurgeEpisodes({}, config.anomaly)
+      .map(e => TimeSeries.indexOf(series, e.peakDate))
+      .sort((a, b) => a - b);
+    const isFollowedBySurge = index => {
+      let lo = 0;
+      let hi = peaks.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (peaks[mid] < index) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo < peaks.length && peaks[lo] - index <= config.lookbackDays;
+    };
+    
+    // Base rate: share of all reported days followed by a surge peak within the lookback
+    const { status } = TimeSeries.layer(series, 'skip');
+    let reportedDays = 0;
+    let followedDays = 0;
+    for (let i = 0; i < series.length; i++) {
+      if (status[i] !== TimeSeries.REPORTED) continue;
+      reportedDays++;
+      if (isFollowedBySurge(i)) followedDays++;
+    }
+    const baseRate = reportedDays > 0 ? followedDays / reportedDays : 0;
+    
+    const profiles = {};
+    Object.keys(InflammationRanker.CATEGORIES).forEach(dataset => {
+      const events = DataConnector.getEvents({ dataset })
+        .filter(event => !CausalLogic.isExercise(CausalLogic.getEventText(event)));
+      
+      // Time-to-peak of the events that were followed by a rise
+      const lags = [];
+      events.forEach(event => {
+        const analysis = CategoryAnalyzer.analyzeEvent(event, config.lookbackDays, DataConnector.series, {
+          missingPolicy: config.missingPolicy
+        });
+        if (analysis.delta !== null && analysis.delta > 0 && analysis.timeToPeak !== null) {
+          lags.push(analysis.timeToPeak);
+        }
+      });
+      
+      const hits = events.filter(event => isFollowedBySurge(TimeSeries.indexOf(series, event.date))).length;
+      const hitRate = (hits + baseRate * config.priorEvents) / (events.length + config.priorEvents);
+      const lift = baseRate > 0 ? hitRate / baseRate : 1;
+      
+      profiles[dataset] = {
+        lagDensity: this.lagDensity(lags, config.lookbackDays, config.lagBandwidth),
+        typicalLag: lags.length > 0 ? CategoryAnalyzer.median(lags) : null,
+        responses: lags.length,
+        events: events.length,
+        hits,
+        hitRate,
+        baseRate,
+        lift,
+        // lift 1 (no better than chance) maps to 0.5
+        strength: lift / (1 + lift)
+      };
+    });
+    
+    this.profileCache = profiles;
+    this.profileCacheKey = key;
+    this.profileCacheData = DataConnector.currentData;
+    return profiles;
+  },
+  
+  /**
+   * Kernel-smoothed time-to-peak distribution over lags 0..maxLag, scaled so the most
+   * typical lag scores 1 (flat 0.5 when the category has no measured responses)
+   */
+  lagDensity(lags, maxLag, bandwidth) {
+    const density = [];
+    for (let d = 0; d <= maxLag; d++) {
+      density.push(lags.reduce((sum, lag) => sum + Math.exp(-((d - lag) ** 2) / (2 * bandwidth * bandwidth)), 0));
+    }
+    const peak = Math.max(...density);
+    return peak > 0 ? density.map(v => v / peak) : density.map(() => 0.5);
+  },
+  
+  /**
+   * Rank candidate triggers for a spike
+   * @param {string|object} target - a date ('YYYY-MM-DD') or a surge episode; episodes are
+   *   explained from their peak day
+   * @param {object} options - {lookbackDays, lagBandwidth, priorEvents, minScore, missingPolicy, anomaly}
+   * @returns {object} {date, episode, lookbackDays, candidates, excluded, explained}
+   *   candidates: [{event, dataset, category, icon, daysBefore, score, share, preplanned,
+   *                 historical, breakdown: [{component, value, weight, points, note}]}]
+   */
+  rank(target, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const date = typeof target === 'string' ? target : target.peakDate;
+    const episode = typeof target === 'string'
+      ? DataConnector.getSurgeEpisodes({ startDate: date, endDate: date }, config.anomaly)[0] || null
+      : target;
+    
+    const profiles = this.getCategoryProfiles(config);
+    const startDate = Utils.addDays(date, -config.lookbackDays);
+    
+    const candidates = [];
+    const excluded = [];
+    DataConnector.getEvents({ startDate, endDate: date }).forEach(event => {
+      const category = InflammationRanker.CATEGORIES[event.dataset];
+      const profile = profiles[event.dataset];
+      if (!category || !profile) return;
+      
+      const eventText = CausalLogic.getEventText(event);
+      if (CausalLogic.isExercise(eventText)) {
+        excluded.push({ event, reason: 'Exercise (a response, not a trigger)' });
+        return;
+      }
+      
+      const daysBefore = Utils.daysDiff(event.date, date);
+      const historicalMatch = CausalLogic.matchesHistoricalTrigger(event, date);
+      const preplanned = CausalLogic.getPreplannedType(eventText);
+      
+      const lagNote = profile.typicalLag !== null
+        ? `T-${daysBefore}; ${category.label} responses typically peak on day ${profile.typicalLag} (${profile.responses} measured)`
+        : `T-${daysBefore}; no measured ${category.label} responses, lag treated as neutral`;
+      const breakdown = [
+        this.component('lag', profile.lagDensity[daysBefore], lagNote),
+        this.component('strength', profile.strength,
+          `${(profile.hitRate * 100).toFixed(0)}% of ${category.label} events precede a surge vs ${(profile.baseRate * 100).toFixed(0)}% of days (lift ${profile.lift.toFixed(2)})`),
+        this.component('historical', historicalMatch.matched ? historicalMatch.confidence / 100 : 0,
+          historicalMatch.matched ? `Matches the proven pattern "${historicalMatch.historical.trigger}"` : 'No proven pattern')
+      ];
+      
+      const factor = preplanned ? this.PREPLANNED_FACTOR : 1;
+      if (preplanned) {
+        breakdown.push({ component: 'preplanned', value: factor, weight: null, points: null, note: `Pre-planned (${preplanned}), score × ${factor}` });
+      }
+      
+      candidates.push({
+        event,
+        dataset: event.dataset,
+        category: category.label,
+        icon: category.icon,
+        daysBefore,
+        score: breakdown.reduce((sum, b) => sum + (b.points || 0), 0) * factor,
+        preplanned: preplanned || false,
+        historical: historicalMatch.matched,
+        breakdown
+      });
+    });
+    
+    candidates.sort((a, b) => b.score - a.score || a.daysBefore - b.daysBefore);
+    const total = candidates.reduce((sum, c) => sum + c.score, 0);
+    candidates.forEach(c => {
+      c.share = total > 0 ? c.score / total : 0;
+    });
+    
+    return {
+      date,
+      episode,
+      lookbackDays: config.lookbackDays,
+      candidates,
+      excluded,
+      explained: candidates.some(c => c.score >= config.minScore)
+    };
+  },
+  
+  component(name, value, note) {
+    return { component: name, value, weight: this.WEIGHTS[name], points: value * this.WEIGHTS[name], note };
+  }
+};
+
+export default ReverseAttribution;
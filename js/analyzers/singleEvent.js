@@ -2,13 +2,17 @@
 // Analyzes ADIZ response around one specific event
 
 import Utils from '../core/utils.js';
+import EventStudy from '../core/eventStudy.js';
 import DataConnector from '../core/dataConnector.js';
+import MultiEventRegression from './multiEventRegression.js';
 
 const SingleEventAnalyzer = {
   // Current analysis state
   currentEvent: null,
   currentWindow: 7,
   currentBaseline: 30,
+  currentPolicy: Utils.DEFAULT_MISSING_POLICY,
+  currentModel: EventStudy.DEFAULT_MODEL,
   currentAnalysis: null,
   
   // Initialize with an event
@@ -20,49 +24,88 @@ const SingleEventAnalyzer = {
     this.currentEvent = event;
     this.currentWindow = options.windowSize || 7;
     this.currentBaseline = options.baselineDays || 30;
+    this.currentPolicy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    this.currentModel = options.model || EventStudy.DEFAULT_MODEL;
     
     const eventDate = event.date;
-    const baselineMap = DataConnector.baselineMap;
+    const series = DataConnector.series;
+    
+    // Event-study model: counterfactual fitted on an estimation window before the event
+    const study = this.currentModel === 'event-study'
+      ? EventStudy.analyzeEvent(eventDate, this.currentWindow, series, {
+          ...options.eventStudy,
+          missingPolicy: this.currentPolicy
+        })
+      : null;
     
     // Get window data
-    const windowData = Utils.getWindowData(eventDate, this.currentWindow, baselineMap);
+    const windowData = study
+      ? study.windowData
+      : Utils.getWindowData(eventDate, this.currentWindow, series, this.currentPolicy);
     
     // Get baseline statistics
-    const baselineStats = Utils.getBaselineStats(eventDate, this.currentBaseline, baselineMap);
+    const baselineStats = Utils.getBaselineStats(eventDate, this.currentBaseline, series, this.currentPolicy);
     
-    // Calculate window statistics
-    const windowValues = windowData
-      .filter(d => d.days_from_event >= 0)
-      .map(d => d.adiz_count);
+    // Calculate window statistics (gaps are excluded, not counted as zero)
+    const postEventData = windowData.filter(d => d.days_from_event >= 0);
+    const windowValues = Utils.reportedValues(postEventData.map(d => d.adiz_count));
+    const hasWindowData = windowValues.length > 0;
     
     const windowStats = {
-      mean: Utils.mean(windowValues),
-      max: Utils.max(windowValues),
-      min: Utils.min(windowValues),
-      stdDev: Utils.stdDev(windowValues)
+      mean: hasWindowData ? Utils.mean(windowValues) : null,
+      max: hasWindowData ? Utils.max(windowValues) : null,
+      min: hasWindowData ? Utils.min(windowValues) : null,
+      stdDev: hasWindowData ? Utils.stdDev(windowValues) : null
     };
     
-    // Calculate impact metrics
-    const meanDelta = windowStats.mean - baselineStats.mean;
-    const meanDeltaPercent = baselineStats.mean > 0 
-      ? ((meanDelta / baselineStats.mean) * 100).toFixed(1)
+    // Calculate impact metrics against the naive baseline or the fitted counterfactual
+    const reference = study
+      ? EventStudy.meanAbnormal(study, 0, this.currentWindow).expected
+      : baselineStats.mean;
+    const canCompare = hasWindowData && reference !== null;
+    const meanDelta = canCompare ? windowStats.mean - reference : null;
+    const meanDeltaPercent = canCompare && reference > 0 
+      ? ((meanDelta / reference) * 100).toFixed(1)
       : 'N/A';
     
     // Time to peak
     const timeToPeak = Utils.getTimeToPeak(windowData);
     
     // Persistence (days above baseline + 1 sigma)
-    const threshold = baselineStats.mean + baselineStats.stdDev;
+    const threshold = baselineStats.mean !== null ? baselineStats.mean + baselineStats.stdDev : null;
     const persistence = Utils.getPersistence(windowData, threshold);
     
+    // Data coverage for the window and the baseline period
+    const coverage = {
+      window: Utils.getCoverage(windowData),
+      baseline: baselineStats.coverage
+    };
+    coverage.overall = Utils.mergeCoverage([coverage.window, coverage.baseline]);
+    
+    // Surge episodes (shared spike definition) that overlap the post-event window
+    const surges = DataConnector.getSurgeEpisodes({
+      startDate: eventDate,
+      endDate: Utils.addDays(eventDate, this.currentWindow)
+    }, options.anomaly);
+    
     // Get other events in window (confounders)
-    const confounders = DataConnector.getEventsInWindow(eventDate, this.currentWindow)
-      .filter(e => e.date !== event.date || e.label !== event.label);
+    const confounders = DataConnector.getConfounders(event, this.currentWindow);
+    
+    // Split the post-event response between this event and its confounders using the
+    // joint category regression (skipped when there is nothing to split)
+    const attribution = confounders.length > 0 && options.attribution !== false
+      ? MultiEventRegression.attribute(event, confounders, this.currentWindow, {
+          responseDays: options.responseDays,
+          missingPolicy: this.currentPolicy
+        })
+      : null;
     
     // Store analysis
     this.currentAnalysis = {
       event,
       eventDate,
+      missingPolicy: this.currentPolicy,
+      model: this.currentModel,
       window: {
         size: this.currentWindow,
         data: windowData
@@ -73,13 +116,29 @@ const SingleEventAnalyzer = {
       },
       windowStats,
       impact: {
+        reference,
         meanDelta,
         meanDeltaPercent,
         timeToPeak,
         persistence,
-        threshold
+        threshold,
+        surges
       },
-      confounders
+      coverage,
+      eventStudy: study ? {
+        fitted: study.fitted,
+        reason: study.reason || null,
+        terms: study.terms || null,
+        rSquared: study.rSquared ?? null,
+        sigma: study.sigma ?? null,
+        estimationDays: study.estimationDays,
+        carWindow: study.carWindow || null,
+        car: study.car,
+        carSE: study.carSE,
+        carT: study.carT
+      } : null,
+      confounders,
+      attribution
     };
     
     return this.currentAnalysis;
@@ -98,15 +157,17 @@ const SingleEventAnalyzer = {
       y: windowData.map(d => d.adiz_count),
       event_date: eventDate,
       event_index: windowData.findIndex(d => d.date === eventDate),
-      threshold
+      threshold,
+      // Counterfactual expectation per day (event-study model only)
+      expected: this.currentAnalysis.eventStudy ? windowData.map(d => d.expected) : null
     };
   },
   
-  // Generate summary card data
-  getSummaryCard() {
-    if (!this.currentAnalysis) return null;
+  // Generate summary card data (of the current analysis, or a given one)
+  getSummaryCard(a = this.currentAnalysis) {
+    if (!a) return null;
     
-    const a = this.currentAnalysis;
+    const fmt = value => value !== null ? value.toFixed(1) : 'N/A';
     
     return {
       event: {
@@ -116,16 +177,28 @@ const SingleEventAnalyzer = {
         description: a.event.description
       },
       metrics: {
-        baselineMean: a.baseline.stats.mean.toFixed(1),
-        windowMean: a.windowStats.mean.toFixed(1),
-        delta: a.impact.meanDelta > 0 ? '+' + a.impact.meanDelta.toFixed(1) : a.impact.meanDelta.toFixed(1),
+        baselineMean: fmt(a.baseline.stats.mean),
+        windowMean: fmt(a.windowStats.mean),
+        delta: a.impact.meanDelta > 0 ? '+' + a.impact.meanDelta.toFixed(1) : fmt(a.impact.meanDelta),
         deltaPercent: a.impact.meanDeltaPercent,
-        maxSpike: a.windowStats.max,
+        maxSpike: a.windowStats.max !== null ? a.windowStats.max : 'N/A',
         timeToPeak: a.impact.timeToPeak ? `${a.impact.timeToPeak.days} days (${a.impact.timeToPeak.value})` : 'N/A',
-        persistence: `${a.impact.persistence} days`,
-        threshold: a.impact.threshold.toFixed(1)
+        persistence: a.impact.persistence !== null ? `${a.impact.persistence} days` : 'N/A',
+        threshold: fmt(a.impact.threshold),
+        coverage: `${(a.coverage.overall.ratio * 100).toFixed(0)}% of days reported`,
+        surges: a.impact.surges.length > 0
+          ? a.impact.surges.map(e => `${e.peakDate} (${e.peakValue}, score ${e.peakScore.toFixed(1)})`).join(', ')
+          : 'None',
+        car: a.eventStudy && a.eventStudy.car !== null
+          ? `${a.eventStudy.car > 0 ? '+' : ''}${a.eventStudy.car.toFixed(1)} (t = ${a.eventStudy.carT !== null ? a.eventStudy.carT.toFixed(2) : 'n/a'})`
+          : 'N/A'
       },
-      confounders: a.confounders.length
+      thinData: a.coverage.overall.thin,
+      confounders: a.confounders.length,
+      // Share of the post-event response credited to this event rather than its confounders
+      attributedShare: a.attribution && a.attribution.selectedShare !== null
+        ? `${(a.attribution.selectedShare * 100).toFixed(0)}%`
+        : null
     };
   },
   
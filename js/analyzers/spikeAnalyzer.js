@@ -0,0 +1,131 @@
+// spikeAnalyzer.js - Module 9: Actions Roundup
+// Finds the top ADIZ surge episodes (core/anomaly.js) and ranks the events before each
+// peak as likely triggers (ReverseAttribution)
+
+import Utils from '../core/utils.js';
+import DataConnector from '../core/dataConnector.js';
+import Progress from '../core/progress.js';
+import InflammationRanker from './inflammationRanker.js';
+import ReverseAttribution from './reverseAttribution.js';
+
+const SpikeAnalyzer = {
+  currentAnalysis: null,
+  
+  // Triggers scored below this are dropped; a spike with none left is an intelligence gap
+  MIN_CONFIDENCE: ReverseAttribution.DEFAULT_OPTIONS.minScore,
+  
+  /**
+   * Find top spikes and their likely triggers
+   * @param {object} options - {topN, minThreshold, dateRange ('all' | 'recent' | 'YYYY'), windowSize, missingPolicy,
+   *                            anomaly (options for DataConnector.getAnomalies)}
+   */
+  analyze(options = {}) {
+    if (!DataConnector.isLoaded()) {
+      throw new Error('Data not loaded');
+    }
+    
+    const windowSize = options.windowSize || 14;
+    const rankings = InflammationRanker.rankCategories({ missingPolicy: options.missingPolicy });
+    const spikes = this.getTopSpikes(options);
+    
+    const analyzed = spikes.map((spike, i) => {
+      Progress.report('Attributing spikes', i, spikes.length);
+      return { ...spike, triggers: this.findTriggersForSpike(spike.episode, windowSize, options) };
+    });
+    Progress.report('Attributing spikes', spikes.length, spikes.length);
+    
+    const explained = analyzed.filter(s => s.triggers.length > 0);
+    const unexplained = analyzed.filter(s => s.triggers.length === 0);
+    
+    this.currentAnalysis = {
+      options: { ...options, windowSize },
+      rankings,
+      regimes: DataConnector.getChangePoints(options.anomaly),
+      explained,
+      unexplained,
+      stats: {
+        totalSpikes: spikes.length,
+        explained: explained.length,
+        unexplained: unexplained.length,
+        avgTriggers: explained.length > 0
+          ? explained.reduce((sum, s) => sum + s.triggers.length, 0) / explained.length
+          : 0
+      }
+    };
+    
+    return this.currentAnalysis;
+  },
+  
+  /**
+   * Peak days of the strongest surge episodes whose peak is at or above minThreshold aircraft
+   * Episodes are ranked by anomaly score against the rolling baseline, so a 20-aircraft surge
+   * in a quiet month outranks a 30-aircraft day in a busy one
+   * 'recent' means the last 12 months of data (not of the calendar)
+   */
+  getTopSpikes(options = {}) {
+    const { topN = 20, minThreshold = 15, dateRange = 'all' } = options;
+    
+    const { days } = DataConnector.getAnomalies(options.anomaly);
+    let episodes = DataConnector.getSurgeEpisodes({}, options.anomaly);
+    
+    if (dateRange === 'recent' && days.length > 0) {
+      const lastDate = days[days.length - 1].date;
+      const cutoff = Utils.addDays(lastDate, -365);
+      episodes = episodes.filter(e => e.peakDate > cutoff);
+    } else if (dateRange !== 'all') {
+      episodes = episodes.filter(e => e.peakDate.startsWith(dateRange));
+    }
+    
+    return episodes
+      .filter(e => e.peakValue >= minThreshold)
+      .sort((a, b) => b.peakScore - a.peakScore || a.peakDate.localeCompare(b.peakDate))
+      .slice(0, topN)
+      .map(episode => ({
+        date: episode.peakDate,
+        aircraft: episode.peakValue,
+        score: episode.peakScore,
+        baseline: episode.peakBaseline,
+        episode
+      }));
+  },
+  
+  /**
+   * Candidate triggers in the windowDays before a spike date or surge episode, as ranked by
+   * ReverseAttribution (exercises excluded, pre-planned events down-weighted)
+   */
+  findTriggersForSpike(target, windowDays = 14, options = {}) {
+    const attribution = ReverseAttribution.rank(target, {
+      lookbackDays: windowDays,
+      missingPolicy: options.missingPolicy,
+      anomaly: options.anomaly
+    });
+    
+    return attribution.candidates
+      .filter(c => c.score >= this.MIN_CONFIDENCE)
+      .map(c => this.toTrigger(c));
+  },
+  
+  /**
+   * Display shape of a ReverseAttribution candidate
+   */
+  toTrigger(candidate) {
+    const { event, daysBefore } = candidate;
+    return {
+      category: candidate.category,
+      icon: candidate.icon,
+      event: event.description || event.label,
+      date: event.date,
+      daysBefore,
+      timing: daysBefore === 0 ? 'immediate' : daysBefore <= 4 ? 'recent' : 'delayed',
+      confidence: candidate.score,
+      share: candidate.share,
+      breakdown: candidate.breakdown,
+      rawEvent: event.fields,
+      categoryKey: candidate.dataset,
+      preplanned: candidate.preplanned,
+      historical: candidate.historical
+    };
+  }
+};
+
+export default SpikeAnalyzer;
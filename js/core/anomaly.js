@@ -0,0 +1,278 @@
+// anomaly.js - Shared definition of ADIZ spikes, surges and regime changes
+// Each reported day is scored against a robust rolling baseline (trailing median and
+// MAD), anomalous days are merged into multi-day surge episodes, and level shifts in
+// the series are found by binary segmentation. Because the baseline rolls, a count
+// that was a spike in 2021 can be an ordinary day in 2025.
+// Days are read from the dense TimeSeries (reported days only, whatever the missing-data
+// policy), and the trailing window is kept sorted as it slides instead of re-sorted per day.
+
+import Utils from './utils.js';
+import TimeSeries from './timeSeries.js';
+
+const Anomaly = {
+  DEFAULT_OPTIONS: {
+    windowDays: 60,      // Trailing days the rolling median/MAD is taken over
+    minWindowDays: 20,   // Fewer reported days than this and the day is not scored
+    threshold: 3.5,      // Robust z-score at or above which a day is anomalous
+    minExcess: 5,        // ...and it must also exceed the baseline by this many aircraft
+    minScale: 1,         // Floor on the robust spread, so quiet periods (MAD 0) do not explode
+    maxGap: 1,           // Non-anomalous days allowed inside one surge episode
+    minSegmentWeeks: 8,  // Shortest regime the change-point search may create
+    maxChangePoints: 8
+  },
+  
+  // Scale factor that makes the MAD a consistent estimator of the standard deviation
+  MAD_SCALE: 1.4826,
+  
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  
+  mad(values, center = this.median(values)) {
+    if (values.length === 0) return null;
+    return this.median(values.map(v => Math.abs(v - center)));
+  },
+  
+  /**
+   * Median of an ascending array, without copying it
+   */
+  sortedMedian(sorted) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  
+  /**
+   * MAD of an ascending array about its median: the deviations below and above the center
+   * are each already in order, so their median is found by merging the two runs outward
+   */
+  sortedMad(sorted, center) {
+    const n = sorted.length;
+    let below = n - 1;
+    while (below >= 0 && sorted[below] > center) below--;
+    let above = below + 1;
+    
+    const next = () => {
+      if (above >= n || (below >= 0 && center - sorted[below] <= sorted[above] - center)) {
+        return center - sorted[below--];
+      }
+      return sorted[above++] - center;
+    };
+    
+    const mid = Math.floor(n / 2);
+    let previous = 0;
+    for (let k = 0; k < mid; k++) previous = next();
+    const current = next();
+    return n % 2 ? current : (previous + current) / 2;
+  },
+  
+  /**
+   * Insert into / remove from an ascending array, keeping it sorted
+   */
+  insertSorted(sorted, value) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    sorted.splice(lo, 0, value);
+  },
+  
+  removeSorted(sorted, value) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    sorted.splice(lo, 1);
+  },
+  
+  /**
+   * Score every reported day against the trailing window before it
+   * @param {object} source - DataConnector.series (a baseline Map also works)
+   * @returns {object[]} [{date, value, baseline, spread, score, excess, anomalous}]
+   *   baseline/spread/score are null when the window has too few reported days
+   */
+  scoreDays(source, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const series = TimeSeries.of(source);
+    const { values, status } = TimeSeries.layer(series, 'skip');
+    const reported = i => i >= 0 && status[i] === TimeSeries.REPORTED;
+    
+    // Window: reported days in [i - windowDays, i - 1], ascending
+    const window = [];
+    const scored = [];
+    for (let i = 0; i < series.length; i++) {
+      if (reported(i - 1)) this.insertSorted(window, values[i - 1]);
+      if (reported(i - config.windowDays - 1)) this.removeSorted(window, values[i - config.windowDays - 1]);
+      if (!reported(i)) continue;
+      
+      const date = TimeSeries.dateAt(series, i);
+      const value = values[i];
+      if (window.length < config.minWindowDays) {
+        scored.push({ date, value, baseline: null, spread: null, score: null, excess: null, anomalous: false });
+        continue;
+      }
+      
+      const baseline = this.sortedMedian(window);
+      const spread = Math.max(this.MAD_SCALE * this.sortedMad(window, baseline), config.minScale);
+      const excess = value - baseline;
+      const score = excess / spread;
+      
+      scored.push({
+        date,
+        value,
+        baseline,
+        spread,
+        score,
+        excess,
+        anomalous: score >= config.threshold && excess >= config.minExcess
+      });
+    }
+    
+    return scored;
+  },
+  
+  /**
+   * Merge anomalous days into surge episodes
+   * Days closer than maxGap + 1 calendar days apart belong to the same episode
+   * @returns {object[]} [{start, end, length, anomalousDays, peakDate, peakValue, peakScore,
+   *                       peakBaseline, excess}], in date order
+   */
+  findEpisodes(scoredDays, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const episodes = [];
+    let current = null;
+    
+    scoredDays.filter(d => d.anomalous).forEach(day => {
+      if (current && Utils.daysDiff(current.end, day.date) <= config.maxGap + 1) {
+        current.end = day.date;
+        current.days.push(day);
+      } else {
+        current = { start: day.date, end: day.date, days: [day] };
+        episodes.push(current);
+      }
+    });
+    
+    return episodes.map(e => {
+      const peak = e.days.reduce((best, d) => (d.score > best.score ? d : best));
+      return {
+        start: e.start,
+        end: e.end,
+        length: Utils.daysDiff(e.start, e.end) + 1,
+        anomalousDays: e.days.length,
+        peakDate: peak.date,
+        peakValue: peak.value,
+        peakScore: peak.score,
+        peakBaseline: peak.baseline,
+        excess: e.days.reduce((sum, d) => sum + d.excess, 0)
+      };
+    });
+  },
+  
+  /**
+   * Regime change-points: level shifts in the weekly mean of log(1 + count), found by
+   * binary segmentation with a BIC-style penalty (log scale keeps a few huge surges from
+   * looking like a new regime)
+   * @param {object} source - DataConnector.series (a baseline Map also works)
+   * @returns {object} {changePoints: [{date, before, after, shift}], segments: [{start, end, mean, median, days}]}
+   */
+  findChangePoints(source, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const daily = TimeSeries.of(source);
+    const { values, status } = TimeSeries.layer(daily, 'skip');
+    
+    // Weekly buckets of reported days (weeks start on the first reported date)
+    const first = status.indexOf(TimeSeries.REPORTED);
+    if (first < 0) return { changePoints: [], segments: [] };
+    
+    const weeks = [];
+    for (let i = first; i < daily.length; i++) {
+      if (status[i] !== TimeSeries.REPORTED) continue;
+      const index = Math.floor((i - first) / 7);
+      if (!weeks[index]) weeks[index] = { start: TimeSeries.dateAt(daily, first + index * 7), values: [] };
+      weeks[index].values.push(values[i]);
+    }
+    const series = weeks.filter(Boolean).map(w => ({ ...w, level: Utils.mean(w.values.map(v => Math.log1p(v))) }));
+    
+    // Noise variance from week-to-week differences (robust to the shifts themselves)
+    const diffs = series.slice(1).map((w, i) => w.level - series[i].level);
+    const sigma = diffs.length > 0 ? (this.MAD_SCALE * this.mad(diffs)) / Math.SQRT2 : 0;
+    const penalty = 2 * Math.max(sigma * sigma, 1e-6) * Math.log(Math.max(series.length, 2));
+    
+    // Prefix sums for O(1) segment cost
+    const prefix = [0];
+    const prefixSq = [0];
+    series.forEach((w, i) => {
+      prefix.push(prefix[i] + w.level);
+      prefixSq.push(prefixSq[i] + w.level * w.level);
+    });
+    const cost = (a, b) => {
+      const n = b - a;
+      const sum = prefix[b] - prefix[a];
+      return prefixSq[b] - prefixSq[a] - (sum * sum) / n;
+    };
+    
+    // Repeatedly split the segment whose best split saves the most, while it beats the penalty
+    const minLength = config.minSegmentWeeks;
+    const bounds = [0, series.length];
+    while (bounds.length - 2 < config.maxChangePoints) {
+      let best = null;
+      for (let s = 0; s < bounds.length - 1; s++) {
+        const a = bounds[s];
+        const b = bounds[s + 1];
+        for (let k = a + minLength; k <= b - minLength; k++) {
+          const gain = cost(a, b) - cost(a, k) - cost(k, b);
+          if (!best || gain > best.gain) best = { gain, k };
+        }
+      }
+      if (!best || best.gain <= penalty) break;
+      bounds.push(best.k);
+      bounds.sort((x, y) => x - y);
+    }
+    
+    const segments = [];
+    for (let s = 0; s < bounds.length - 1; s++) {
+      const weeksIn = series.slice(bounds[s], bounds[s + 1]);
+      const values = weeksIn.flatMap(w => w.values);
+      const last = weeksIn[weeksIn.length - 1];
+      segments.push({
+        start: weeksIn[0].start,
+        end: Utils.addDays(last.start, 6),
+        mean: Utils.mean(values),
+        median: this.median(values),
+        days: values.length
+      });
+    }
+    
+    const changePoints = segments.slice(1).map((segment, i) => ({
+      date: segment.start,
+      before: segments[i].mean,
+      after: segment.mean,
+      shift: segment.mean - segments[i].mean
+    }));
+    
+    return { changePoints, segments };
+  },
+  
+  /**
+   * Scores, surge episodes and change-points for a series (or baseline map) in one call
+   */
+  analyze(source, options = {}) {
+    const days = this.scoreDays(source, options);
+    return {
+      options: { ...this.DEFAULT_OPTIONS, ...options },
+      days,
+      episodes: this.findEpisodes(days, options),
+      ...this.findChangePoints(source, options)
+    };
+  }
+};
+
+export default Anomaly;
@@ -0,0 +1,158 @@
+// calendarDate.js - Calendar-date arithmetic that never touches wall-clock time
+// Dates are 'YYYY-MM-DD' strings or day numbers (days since 1970-01-01). Conversions are
+// pure integer arithmetic on the proleptic Gregorian calendar, so a window, a weekday or
+// an ISO week comes out the same in Taipei, Washington or UTC, across DST changes.
+
+const CalendarDate = {
+  PATTERN: /^(\d{4})-(\d{2})-(\d{2})$/,
+  
+  // Day number of 1970-01-01 is 0; that day was a Thursday
+  EPOCH_WEEKDAY: 4,
+  
+  isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  },
+  
+  daysInMonth(year, month) {
+    return [31, this.isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  },
+  
+  /**
+   * True for a 'YYYY-MM-DD' string naming a real calendar date (rejects 2023-02-30)
+   */
+  isValid(value) {
+    if (typeof value !== 'string') return false;
+    const match = value.match(this.PATTERN);
+    if (!match) return false;
+    const month = Number(match[2]);
+    const day = Number(match[3]);
+    return month >= 1 && month <= 12 && day >= 1 && day <= this.daysInMonth(Number(match[1]), month);
+  },
+  
+  /**
+   * Day number of a 'YYYY-MM-DD' string; a day number passes through unchanged
+   */
+  parse(value) {
+    if (Number.isInteger(value)) return value;
+    if (!this.isValid(value)) {
+      throw new Error(`Invalid calendar date: ${value} (expected YYYY-MM-DD)`);
+    }
+    return this.toDayNumber(Number(value.substring(0, 4)), Number(value.substring(5, 7)), Number(value.substring(8, 10)));
+  },
+  
+  /**
+   * 'YYYY-MM-DD' of a day number (or of a date string, normalized)
+   */
+  format(value) {
+    const { year, month, day } = this.fromDayNumber(this.parse(value));
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  },
+  
+  /**
+   * Calendar date of an instant on the local clock (default: now), e.g. for dating an export;
+   * the UTC date from toISOString() is a day behind in Taipei until 08:00
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  today(now = new Date()) {
+    return this.format(this.toDayNumber(now.getFullYear(), now.getMonth() + 1, now.getDate()));
+  },
+  
+  /**
+   * Days since 1970-01-01 (civil-to-days, counting years from March so leap days fall last)
+   */
+  toDayNumber(year, month, day) {
+    const y = month <= 2 ? year - 1 : year;
+    const era = Math.floor(y / 400);
+    const yearOfEra = y - era * 400;
+    const dayOfYear = Math.floor((153 * ((month + 9) % 12) + 2) / 5) + day - 1;
+    const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+    return era * 146097 + dayOfEra - 719468;
+  },
+  
+  /**
+   * {year, month, day} of a day number (inverse of toDayNumber)
+   */
+  fromDayNumber(dayNumber) {
+    const z = dayNumber + 719468;
+    const era = Math.floor(z / 146097);
+    const dayOfEra = z - era * 146097;
+    const yearOfEra = Math.floor((dayOfEra - Math.floor(dayOfEra / 1460) + Math.floor(dayOfEra / 36524) - Math.floor(dayOfEra / 146096)) / 365);
+    const dayOfYear = dayOfEra - (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+    const shiftedMonth = Math.floor((5 * dayOfYear + 2) / 153);
+    const day = dayOfYear - Math.floor((153 * shiftedMonth + 2) / 5) + 1;
+    const month = shiftedMonth < 10 ? shiftedMonth + 3 : shiftedMonth - 9;
+    return { year: yearOfEra + era * 400 + (month <= 2 ? 1 : 0), month, day };
+  },
+  
+  /**
+   * Date `days` after (negative: before) a date
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  add(date, days) {
+    return this.format(this.parse(date) + days);
+  },
+  
+  /**
+   * Whole days from `from` to `to` (positive when `to` is later)
+   */
+  diff(from, to) {
+    return this.parse(to) - this.parse(from);
+  },
+  
+  /**
+   * Every date from start to end inclusive (empty when end is before start)
+   * @returns {string[]}
+   */
+  range(start, end) {
+    const first = this.parse(start);
+    const last = this.parse(end);
+    const dates = [];
+    for (let d = first; d <= last; d++) dates.push(this.format(d));
+    return dates;
+  },
+  
+  /**
+   * Day of the week, 0 = Sunday ... 6 = Saturday (as Date.getUTCDay)
+   */
+  weekday(date) {
+    return (((this.parse(date) + this.EPOCH_WEEKDAY) % 7) + 7) % 7;
+  },
+  
+  /**
+   * ISO day of the week, 1 = Monday ... 7 = Sunday
+   */
+  isoWeekday(date) {
+    return this.weekday(date) || 7;
+  },
+  
+  /**
+   * Day of the year, 1 = January 1
+   */
+  dayOfYear(date) {
+    const dayNumber = this.parse(date);
+    return dayNumber - this.toDayNumber(this.fromDayNumber(dayNumber).year, 1, 1) + 1;
+  },
+  
+  /**
+   * ISO 8601 week: weeks start on Monday and week 1 holds the year's first Thursday, so
+   * the first days of January can belong to the previous year's last week
+   * @returns {object} {year, week}
+   */
+  isoWeek(date) {
+    const dayNumber = this.parse(date);
+    const thursday = dayNumber - this.isoWeekday(dayNumber) + 4;
+    const year = this.fromDayNumber(thursday).year;
+    return { year, week: Math.floor((thursday - this.toDayNumber(year, 1, 1)) / 7) + 1 };
+  },
+  
+  /**
+   * Monday on or before a date
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  startOfWeek(date) {
+    const dayNumber = this.parse(date);
+    return this.format(dayNumber - this.isoWeekday(dayNumber) + 1);
+  }
+};
+
+export default CalendarDate;
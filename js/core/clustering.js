@@ -0,0 +1,211 @@
+// clustering.js - Distances and clustering for equal-length curves
+// Used to group event response curves by shape (Module 2) and to order heatmap rows (Module 4).
+// Everything is deterministic: k-means draws its starts from a seeded generator.
+
+import Utils from './utils.js';
+import Stats from './stats.js';
+
+const Clustering = {
+  /**
+   * Subtract the mean and divide by the standard deviation
+   * @returns {number[]|null} null for a flat curve, which has no shape
+   */
+  zNormalize(values) {
+    const mean = Utils.mean(values);
+    const sd = Utils.stdDev(values);
+    return sd > 0 ? values.map(v => (v - mean) / sd) : null;
+  },
+  
+  euclidean(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+    return Math.sqrt(sum);
+  },
+  
+  /**
+   * 1 - Pearson r (0 = same shape, 2 = mirror image); flat curves are 1 from everything
+   */
+  correlationDistance(a, b) {
+    const x = this.zNormalize(a);
+    const y = this.zNormalize(b);
+    if (!x || !y) return 1;
+    return 1 - x.reduce((sum, v, i) => sum + v * y[i], 0) / x.length;
+  },
+  
+  /**
+   * Dynamic time warping distance with a Sakoe-Chiba band of `band` steps, so a response
+   * that peaks a day or two later still matches
+   */
+  dtw(a, b, band = 3) {
+    const n = a.length;
+    const m = b.length;
+    const w = Math.max(band, Math.abs(n - m));
+    let previous = new Array(m + 1).fill(Infinity);
+    previous[0] = 0;
+    
+    for (let i = 1; i <= n; i++) {
+      const current = new Array(m + 1).fill(Infinity);
+      for (let j = Math.max(1, i - w); j <= Math.min(m, i + w); j++) {
+        const cost = (a[i - 1] - b[j - 1]) * (a[i - 1] - b[j - 1]);
+        current[j] = cost + Math.min(previous[j], current[j - 1], previous[j - 1]);
+      }
+      previous = current;
+    }
+    
+    return Math.sqrt(previous[m]);
+  },
+  
+  /**
+   * Symmetric matrix of pairwise distances
+   */
+  distanceMatrix(curves, distance) {
+    const n = curves.length;
+    const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const d = distance(curves[i], curves[j]);
+        matrix[i][j] = d;
+        matrix[j][i] = d;
+      }
+    }
+    return matrix;
+  },
+  
+  /**
+   * Average-linkage agglomerative clustering on a distance matrix
+   * Clusters are merged closest first (Lance-Williams update) until one remains
+   * @param {number} k - optional number of clusters to cut the tree into
+   * @returns {object} {order: leaf order with similar items adjacent, labels: cluster per item (when k is given)}
+   */
+  hierarchical(distance, k = null) {
+    const n = distance.length;
+    if (n === 0) return { order: [], labels: [] };
+    
+    const d = distance.map(row => [...row]);
+    const members = distance.map((_, i) => [i]);
+    const active = new Set(members.keys());
+    let labels = k !== null && k >= n ? members.map((_, i) => i) : null;
+    
+    while (active.size > 1) {
+      let best = null;
+      active.forEach(a => {
+        active.forEach(b => {
+          if (b > a && (!best || d[a][b] < best.d)) best = { a, b, d: d[a][b] };
+        });
+      });
+      
+      const { a, b } = best;
+      const sizeA = members[a].length;
+      const sizeB = members[b].length;
+      active.delete(b);
+      active.forEach(c => {
+        if (c === a) return;
+        const merged = (sizeA * d[a][c] + sizeB * d[b][c]) / (sizeA + sizeB);
+        d[a][c] = merged;
+        d[c][a] = merged;
+      });
+      members[a] = [...members[a], ...members[b]];
+      
+      if (k !== null && active.size === k) {
+        labels = new Array(n);
+        [...active].forEach((c, cluster) => members[c].forEach(i => { labels[i] = cluster; }));
+      }
+    }
+    
+    return { order: members[[...active][0]], labels: labels || new Array(n).fill(0) };
+  },
+  
+  /**
+   * k-means (Euclidean) with k-means++ starts; the best of `restarts` runs by inertia wins
+   * @returns {object} {labels, centroids, inertia}
+   */
+  kmeans(curves, k, options = {}) {
+    const rng = Stats.createRng(options.seed ?? Stats.DEFAULT_SEED);
+    const restarts = options.restarts || 10;
+    const maxIterations = options.maxIterations || 100;
+    const n = curves.length;
+    k = Math.min(k, n);
+    
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+      let centroids = this.kmeansPlusPlus(curves, k, rng);
+      let labels = new Array(n).fill(-1);
+      
+      for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+        curves.forEach((curve, i) => {
+          let nearest = 0;
+          let nearestDistance = Infinity;
+          centroids.forEach((centroid, c) => {
+            const distance = this.euclidean(curve, centroid);
+            if (distance < nearestDistance) {
+              nearest = c;
+              nearestDistance = distance;
+            }
+          });
+          if (labels[i] !== nearest) {
+            labels[i] = nearest;
+            changed = true;
+          }
+        });
+        if (!changed) break;
+        
+        // Empty clusters keep their previous centroid
+        centroids = centroids.map((centroid, c) => {
+          const assigned = curves.filter((_, i) => labels[i] === c);
+          return assigned.length > 0 ? this.meanCurve(assigned) : centroid;
+        });
+      }
+      
+      const inertia = curves.reduce((sum, curve, i) => sum + this.euclidean(curve, centroids[labels[i]]) ** 2, 0);
+      if (!best || inertia < best.inertia) best = { labels, centroids, inertia };
+    }
+    
+    return best;
+  },
+  
+  /**
+   * k-means++ seeding: each new centroid is drawn with probability proportional to its
+   * squared distance from the nearest centroid so far
+   */
+  kmeansPlusPlus(curves, k, rng) {
+    const centroids = [curves[Math.floor(rng() * curves.length)]];
+    while (centroids.length < k) {
+      const weights = curves.map(curve => Math.min(...centroids.map(c => this.euclidean(curve, c) ** 2)));
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      if (total === 0) {
+        centroids.push(curves[Math.floor(rng() * curves.length)]);
+        continue;
+      }
+      let target = rng() * total;
+      const index = weights.findIndex(w => (target -= w) <= 0);
+      centroids.push(curves[index === -1 ? curves.length - 1 : index]);
+    }
+    return centroids.map(c => [...c]);
+  },
+  
+  meanCurve(curves) {
+    return curves[0].map((_, i) => Utils.mean(curves.map(c => c[i])));
+  },
+  
+  /**
+   * Silhouette width of every item (-1..1; near 1 = well inside its cluster)
+   * Items in singleton clusters score 0
+   */
+  silhouette(distance, labels) {
+    const clusters = [...new Set(labels)];
+    return labels.map((label, i) => {
+      const meanTo = cluster => {
+        const others = labels.map((l, j) => (l === cluster && j !== i ? distance[i][j] : null)).filter(v => v !== null);
+        return others.length > 0 ? Utils.mean(others) : null;
+      };
+      const own = meanTo(label);
+      if (own === null) return 0;
+      const nearest = Math.min(...clusters.filter(c => c !== label).map(meanTo).filter(v => v !== null));
+      if (!Number.isFinite(nearest)) return 0;
+      return Math.max(own, nearest) > 0 ? (nearest - own) / Math.max(own, nearest) : 0;
+    });
+  }
+};
+
+export default Clustering;
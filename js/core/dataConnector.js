@@ -1,60 +1,164 @@
-// dataConnector.js - Load and parse DATA from HTML files or direct object
+// dataConnector.js - Load and parse DATA from data files, HTML exports or direct object
 
 import DataSchema from './schema.js';
+import FileLoader from './fileLoader.js';
+import Workspace from './workspace.js';
 import Utils from './utils.js';
+import CalendarDate from './calendarDate.js';
+import TimeSeries from './timeSeries.js';
+import Anomaly from './anomaly.js';
+import FilterLanguage from './filterLanguage.js';
 
 const DataConnector = {
   // Currently loaded DATA
   currentData: null,
   baselineMap: null,
+  series: null,  // Dense day-indexed TimeSeries of the baseline (windows, baseline stats, curves)
   eventIndex: null,
+  validation: null,
+  activeVersion: null,  // Workspace version metadata for currentData (null when not stored)
+  anomalyCache: new Map(),  // Anomaly options key -> analysis of the current baseline
   
-  // Load DATA from an HTML file (contains const DATA = {...})
+  EMBEDDED_URL: './visualizer.html',
+  EMBEDDED_VERSION_NAME: 'Embedded visualizer data',
+  
+  // Open the workspace's active dataset version (IndexedDB, no fetch or parse)
+  // On first run, or where IndexedDB is unavailable, the embedded visualizer data is
+  // loaded instead and stored as the first version
+  async loadWorkspace() {
+    let active = null;
+    try {
+      active = Workspace.isAvailable() ? await Workspace.getActive() : null;
+    } catch (error) {
+      console.warn('Workspace unavailable, loading embedded data:', error);
+    }
+    
+    if (active) {
+      const loaded = this.loadFromObject(active.data);
+      this.activeVersion = Workspace.withoutData(active);
+      return { ...loaded, version: this.activeVersion };
+    }
+    
+    return this.importEmbedded();
+  },
+  
+  // Fetch visualizer.html and store its DATA as the embedded version (replacing any earlier import)
+  async importEmbedded(url = this.EMBEDDED_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const loaded = this.loadFromHTML(await response.text());
+    this.activeVersion = null;
+    
+    if (Workspace.isAvailable()) {
+      try {
+        const previous = (await Workspace.listVersions()).find(v => v.source === url);
+        await this.saveToWorkspace(this.EMBEDDED_VERSION_NAME, { id: previous ? previous.id : undefined, source: url });
+      } catch (error) {
+        console.warn('Could not store the embedded data in the workspace:', error);
+      }
+    }
+    
+    return { ...loaded, version: this.activeVersion };
+  },
+  
+  // Store the loaded DATA as a named workspace version and make it active
+  async saveToWorkspace(name, options = {}) {
+    if (!this.currentData) {
+      throw new Error('Data not loaded');
+    }
+    const version = await Workspace.saveVersion(name, this.currentData, options);
+    await Workspace.setActive(version.id);
+    this.activeVersion = version;
+    return version;
+  },
+  
+  // Load a stored version and make it the active one for every module
+  async switchVersion(id) {
+    const version = await Workspace.getVersion(id);
+    if (!version) {
+      throw new Error(`Dataset version ${id} not found`);
+    }
+    const loaded = this.loadFromObject(version.data);
+    await Workspace.setActive(id);
+    this.activeVersion = Workspace.withoutData(version);
+    return { ...loaded, version: this.activeVersion };
+  },
+  
+  // Load DATA from a single file (CSV, JSON, zip, or an HTML export with const DATA = {...})
   async loadFromFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          const htmlContent = e.target.result;
-          
-          // Extract DATA object from HTML
-          const dataMatch = htmlContent.match(/const DATA\s*=\s*(\{[\s\S]*?\});/);
-          if (!dataMatch) {
-            reject(new Error('Could not find DATA object in file'));
-            return;
-          }
-          
-          // Parse the DATA object
-          const dataStr = dataMatch[1];
-          const DATA = new Function('return ' + dataStr)();
-          
-          // Validate and load
-          this.loadFromObject(DATA);
-          resolve(DATA);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
+    return this.loadFromFiles([file]);
+  },
+  
+  // Load DATA from per-dataset CSV/JSON files or a zip of them
+  // Rows that fail to parse are skipped and returned as errors with their row numbers;
+  // validation issues point back at the file and row each bad value came from
+  async loadFromFiles(files, options = {}) {
+    const parsed = await FileLoader.parseFiles(files);
+    
+    if (!parsed.data.adiz_baseline) {
+      const error = new Error(parsed.errors.map(e => this.formatIssue(e)).join('\n'));
+      error.issues = parsed.errors;
+      throw error;
+    }
+    
+    const validation = DataSchema.validate(parsed.data);
+    [...validation.errors, ...validation.warnings].forEach(issue => {
+      const source = issue.row !== null && parsed.sources[issue.dataset]
+        ? parsed.sources[issue.dataset][issue.row - 1]
+        : null;
+      if (source) {
+        issue.file = source.file;
+        issue.row = source.row;
+      }
     });
+    
+    const loaded = this.loadFromObject(parsed.data, { ...options, validation });
+    
+    return {
+      ...loaded,
+      files: parsed.files,
+      errors: parsed.errors,
+      warnings: parsed.warnings
+    };
+  },
+  
+  // Load DATA embedded in an HTML page such as visualizer.html (parsed as JSON, never evaluated)
+  loadFromHTML(htmlContent, options = {}) {
+    return this.loadFromObject(FileLoader.extractEmbeddedData(htmlContent), options);
+  },
+  
+  // One-line description of a loader or validation error/warning
+  formatIssue(issue) {
+    const where = [
+      issue.file || issue.dataset,
+      issue.row !== null && issue.row !== undefined ? `row ${issue.row}` : null,
+      issue.field
+    ].filter(Boolean).join(', ');
+    return where ? `${where}: ${issue.message}` : issue.message;
   },
   
   // Load DATA from a direct JavaScript object
-  loadFromObject(DATA) {
+  // Structural problems always throw; row-level errors only throw with options.strict,
+  // otherwise they are kept in this.validation for the UI to show
+  loadFromObject(DATA, options = {}) {
     // Validate schema
-    const validation = DataSchema.validate(DATA);
-    if (!validation.ok) {
-      throw new Error('Invalid DATA structure: ' + validation.errors.join(', '));
+    const validation = options.validation || DataSchema.validate(DATA);
+    if (validation.fatal || (options.strict && !validation.ok)) {
+      const shown = validation.errors.slice(0, 5).map(e => this.formatIssue(e));
+      const more = validation.errors.length > shown.length ? ` (and ${validation.errors.length - shown.length} more)` : '';
+      throw new Error('Invalid DATA structure: ' + shown.join(', ') + more);
     }
     
     // Store DATA
     this.currentData = DATA;
+    this.validation = validation;
     
     // Build baseline map for fast lookups
     this.baselineMap = Utils.createBaselineMap(DATA.adiz_baseline);
+    this.series = TimeSeries.of(this.baselineMap);
+    this.anomalyCache = new Map();
     
     // Build normalized event index
     this.eventIndex = this.buildEventIndex(DATA);
@@ -62,7 +166,8 @@ const DataConnector = {
     return {
       ok: true,
       data: DATA,
-      eventCount: this.eventIndex.length
+      eventCount: this.eventIndex.length,
+      validation
     };
   },
   
@@ -76,8 +181,9 @@ const DataConnector = {
       if (!dataset || !Array.isArray(dataset)) return;
       
       dataset.forEach(raw_event => {
+        // Rows without a valid calendar date are reported by validation and left out here
         const normalized = DataSchema.normalizeEvent(dataset_name, raw_event);
-        if (normalized && normalized.date) {
+        if (normalized && CalendarDate.isValid(normalized.date)) {
           events.push({
             ...normalized,
             dataset: dataset_name
@@ -87,7 +193,7 @@ const DataConnector = {
     });
     
     // Sort by date
-    events.sort((a, b) => new Date(a.date) - new Date(b.date));
+    events.sort((a, b) => CalendarDate.diff(b.date, a.date));
     
     return events;
   },
@@ -121,6 +227,11 @@ const DataConnector = {
       filtered = filtered.filter(e => e.dataset === filters.dataset);
     }
     
+    // Filter expression (see FilterLanguage), e.g. "fields.value_usd > 1e9 and not has_confounder(7)"
+    if (filters.expression) {
+      filtered = filtered.filter(FilterLanguage.compile(filters.expression, this));
+    }
+    
     // Custom filter function
     if (filters.customFilter && typeof filters.customFilter === 'function') {
       filtered = filtered.filter(filters.customFilter);
@@ -138,39 +249,71 @@ const DataConnector = {
     return this.getEvents({ startDate, endDate });
   },
   
+  // Get the other events within ±days of an event (potential confounders)
+  getConfounders(event, days) {
+    return this.getEventsInWindow(event.date, days)
+      .filter(e => e.date !== event.date || e.label !== event.label);
+  },
+  
   // Get available categories
   getCategories() {
     if (!this.eventIndex) return [];
     return [...new Set(this.eventIndex.map(e => e.category))];
   },
   
-  // Get available years in baseline data
+  // Get available years in baseline data (rows with an invalid date are skipped)
   getAvailableYears() {
     if (!this.currentData) return [];
     const years = new Set();
     this.currentData.adiz_baseline.forEach(entry => {
+      if (!CalendarDate.isValid(entry.Date)) return;
       years.add(entry.Date.substring(0, 4));
     });
     return ['ALL', ...Array.from(years).sort()];
   },
   
-  // Get baseline data for a date range
-  getBaselineData(startDate, endDate) {
-    if (!this.baselineMap) return [];
+  // Get baseline data for a date range (unreported days follow the missing-data policy)
+  getBaselineData(startDate, endDate, policy = Utils.DEFAULT_MISSING_POLICY) {
+    if (!this.series) return [];
     
-    const data = [];
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    return TimeSeries.points(this.series, startDate, endDate, policy);
+  },
+  
+  // Get the anomaly analysis (day scores, surge episodes, change-points) of the baseline
+  // This is the shared definition of a spike; see core/anomaly.js for the options
+  getAnomalies(options = {}) {
+    if (!this.series) return null;
     
-    for (let d = new Date(start); d <= end; d = Utils.addDays(d, 1)) {
-      const dateStr = Utils.formatDate(d);
-      data.push({
-        date: dateStr,
-        adiz_count: Utils.getADIZCount(d, this.baselineMap)
-      });
+    const key = JSON.stringify({ ...Anomaly.DEFAULT_OPTIONS, ...options });
+    if (!this.anomalyCache.has(key)) {
+      this.anomalyCache.set(key, Anomaly.analyze(this.series, options));
     }
+    return this.anomalyCache.get(key);
+  },
+  
+  // Get surge episodes overlapping a date range
+  getSurgeEpisodes(filters = {}, options = {}) {
+    const analysis = this.getAnomalies(options);
+    if (!analysis) return [];
     
-    return data;
+    let episodes = analysis.episodes;
+    if (filters.startDate) {
+      episodes = episodes.filter(e => e.end >= filters.startDate);
+    }
+    if (filters.endDate) {
+      episodes = episodes.filter(e => e.start <= filters.endDate);
+    }
+    if (filters.year && filters.year !== 'ALL') {
+      episodes = episodes.filter(e => e.start.startsWith(filters.year) || e.end.startsWith(filters.year));
+    }
+    
+    return episodes;
+  },
+  
+  // Get regime change-points of the baseline
+  getChangePoints(options = {}) {
+    const analysis = this.getAnomalies(options);
+    return analysis ? { changePoints: analysis.changePoints, segments: analysis.segments } : { changePoints: [], segments: [] };
   },
   
   // Get Taiwan Actions filtered by DIME category
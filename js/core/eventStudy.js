@@ -0,0 +1,205 @@
+// eventStudy.js - Event-study abnormal-response model
+// Fits a counterfactual expectation (trend + day-of-week + seasonal terms) on an
+// estimation window before each event, then measures abnormal and cumulative
+// abnormal ADIZ counts (AR / CAR) inside the event window
+
+import Utils from './utils.js';
+import CalendarDate from './calendarDate.js';
+import TimeSeries from './timeSeries.js';
+import Stats from './stats.js';
+
+const EventStudy = {
+  // Impact models the analyzers can switch between
+  MODELS: ['naive', 'event-study'],
+  DEFAULT_MODEL: 'naive',
+  
+  DEFAULT_OPTIONS: {
+    estimationDays: 365,   // Length of the estimation window
+    minEstimationDays: 60, // Fewer reported days than this and no model is fitted
+    minSeasonalDays: 300,  // Annual harmonic only when the window spans most of a year
+    carStart: 0,           // CAR window, in days from event
+    carEnd: 7
+  },
+  
+  /**
+   * Run the event study for one event
+   * Returns window points annotated with expected/abnormal values plus CAR statistics,
+   * or a result with fitted: false when the estimation window has too little data
+   * @param {object} source - ADIZ TimeSeries or baseline Map (see Utils.resolveADIZ)
+   */
+  analyzeEvent(eventDate, windowSize, source, options = {}) {
+    const config = { ...this.DEFAULT_OPTIONS, ...options };
+    const policy = options.missingPolicy || Utils.DEFAULT_MISSING_POLICY;
+    
+    // Estimation window ends the day before the event window starts,
+    // so pre-event buildup cannot leak into the counterfactual
+    const series = TimeSeries.of(source);
+    const estimation = TimeSeries.window(series, eventDate, -windowSize - config.estimationDays, -windowSize - 1, policy)
+      .filter(d => Utils.isReported(d.adiz_count))
+      .map(d => ({ date: d.date, t: d.days_from_event, value: d.adiz_count }));
+    
+    const windowData = Utils.getWindowData(eventDate, windowSize, series, policy);
+    
+    if (estimation.length < config.minEstimationDays) {
+      return {
+        fitted: false,
+        reason: `Only ${estimation.length} reported days in the estimation window (need ${config.minEstimationDays})`,
+        estimationDays: estimation.length,
+        windowData: windowData.map(d => ({ ...d, expected: null, abnormal: null })),
+        car: null,
+        carSE: null,
+        carT: null
+      };
+    }
+    
+    const terms = {
+      trend: true,
+      dayOfWeek: true,
+      seasonal: estimation.length >= config.minSeasonalDays
+    };
+    
+    const eventDay = CalendarDate.parse(eventDate);
+    const X = estimation.map(p => this.designRow(eventDay + p.t, p.t, terms));
+    const y = estimation.map(p => p.value);
+    const fit = Stats.ols(X, y);
+    
+    const annotated = windowData.map(d => {
+      const expected = this.predict(fit.coefficients, this.designRow(eventDay + d.days_from_event, d.days_from_event, terms));
+      return {
+        ...d,
+        expected,
+        abnormal: Utils.isReported(d.adiz_count) ? d.adiz_count - expected : null
+      };
+    });
+    
+    // Cumulative abnormal response over the CAR window (gaps contribute nothing)
+    const carPoints = annotated.filter(d =>
+      d.days_from_event >= config.carStart &&
+      d.days_from_event <= config.carEnd &&
+      d.abnormal !== null
+    );
+    const car = carPoints.reduce((sum, d) => sum + d.abnormal, 0);
+    const carSE = carPoints.length > 0 ? fit.sigma * Math.sqrt(carPoints.length) : null;
+    
+    let running = 0;
+    annotated.forEach(d => {
+      if (d.days_from_event >= config.carStart && d.abnormal !== null) running += d.abnormal;
+      d.cumulativeAbnormal = d.days_from_event >= config.carStart ? running : null;
+    });
+    
+    return {
+      fitted: true,
+      terms,
+      coefficients: fit.coefficients,
+      sigma: fit.sigma,
+      rSquared: fit.rSquared,
+      estimationDays: estimation.length,
+      carWindow: [config.carStart, config.carEnd],
+      carDays: carPoints.length,
+      windowData: annotated,
+      car: carPoints.length > 0 ? car : null,
+      carSE,
+      carT: carSE ? car / carSE : null
+    };
+  },
+  
+  /**
+   * Mean abnormal and expected values over a range of event-window offsets
+   * Only days with a reported count are used, so the two means cover the same days
+   */
+  meanAbnormal(study, fromOffset, toOffset) {
+    if (!study.fitted) return { abnormal: null, expected: null };
+    
+    const points = study.windowData.filter(d =>
+      d.days_from_event >= fromOffset && d.days_from_event <= toOffset && d.abnormal !== null
+    );
+    if (points.length === 0) return { abnormal: null, expected: null };
+    
+    return {
+      abnormal: Utils.mean(points.map(d => d.abnormal)),
+      expected: Utils.mean(points.map(d => d.expected))
+    };
+  },
+  
+  /**
+   * Aggregate event studies across a set of events
+   * Returns average abnormal response (AAR) per offset, its cumulative curve (CAAR),
+   * and the mean CAR with a cross-sectional standard error
+   */
+  aggregate(studies, windowSize) {
+    const fitted = studies.filter(s => s.fitted);
+    
+    const aarCurve = [];
+    let cumulative = 0;
+    let cumulativeVar = 0;
+    for (let offset = -windowSize; offset <= windowSize; offset++) {
+      // Every window holds one point per day from -windowSize
+      const values = fitted
+        .map(s => s.windowData[offset + windowSize])
+        .filter(d => d && d.abnormal !== null)
+        .map(d => d.abnormal);
+      
+      if (values.length === 0) continue;
+      
+      const mean = Utils.mean(values);
+      const se = values.length > 1 ? Stats.sampleStdDev(values) / Math.sqrt(values.length) : null;
+      const carStart = fitted[0].carWindow[0];
+      if (offset >= carStart) {
+        cumulative += mean;
+        cumulativeVar += se !== null ? se * se : 0;
+      }
+      
+      aarCurve.push({
+        offset,
+        mean,
+        se,
+        upperBound: se !== null ? mean + 1.96 * se : mean,
+        lowerBound: se !== null ? mean - 1.96 * se : mean,
+        caar: offset >= carStart ? cumulative : null,
+        caarSE: offset >= carStart ? Math.sqrt(cumulativeVar) : null,
+        count: values.length
+      });
+    }
+    
+    const cars = fitted.map(s => s.car).filter(v => v !== null);
+    const meanCAR = cars.length > 0 ? Utils.mean(cars) : null;
+    const carSE = cars.length > 1 ? Stats.sampleStdDev(cars) / Math.sqrt(cars.length) : null;
+    
+    return {
+      eventCount: studies.length,
+      fittedCount: fitted.length,
+      aarCurve,
+      meanCAR,
+      carSE,
+      carT: carSE ? meanCAR / carSE : null,
+      // Share of events whose own CAR is individually significant at ~5%
+      significantShare: fitted.length > 0
+        ? fitted.filter(s => s.carT !== null && Math.abs(s.carT) >= 1.96).length / fitted.length
+        : null
+    };
+  },
+  
+  /**
+   * Regressors for one day: intercept, trend, day-of-week dummies, annual harmonic
+   * @param {number|string} day - Day number (CalendarDate) or date string
+   */
+  designRow(day, t, terms) {
+    const row = [1];
+    if (terms.trend) row.push(t);
+    if (terms.dayOfWeek) {
+      const weekday = CalendarDate.weekday(day);
+      for (let dow = 1; dow <= 6; dow++) row.push(weekday === dow ? 1 : 0);
+    }
+    if (terms.seasonal) {
+      const angle = 2 * Math.PI * CalendarDate.dayOfYear(day) / 365.25;
+      row.push(Math.sin(angle), Math.cos(angle));
+    }
+    return row;
+  },
+  
+  predict(coefficients, row) {
+    return row.reduce((sum, x, i) => sum + x * coefficients[i], 0);
+  }
+};
+
+export default EventStudy;
@@ -0,0 +1,440 @@
+// exporter.js - Export of analysis results
+// Tidy tables as CSV or JSON, and a self-contained HTML brief (parameters, dataset
+// fingerprint, summary, inline SVG charts and tables; no scripts or external files) that
+// can be emailed to readers who don't run the dashboard. What goes into a report is
+// decided per analyzer in js/analyzers/reports.js; this module only renders it, so it
+// runs the same in the page, the analysis worker and the command-line runner.
+
+import Workspace from './workspace.js';
+import CalendarDate from './calendarDate.js';
+
+const Exporter = {
+  BRIEF_ROWS: 25,  // Rows of each table shown in a brief (the CSV/JSON export has them all)
+  CHART_WIDTH: 640,
+  CHART_HEIGHT: 260,
+  COLORS: ['#667eea', '#e4572e', '#17a398', '#f3a712', '#764ba2', '#29335c', '#a8c256', '#db2763'],
+  REVOKE_DELAY: 1000,  // ms a download's object URL is kept after the click
+  
+  fingerprintCache: null,  // {data, fingerprint} of the last DATA fingerprinted
+  
+  /**
+   * CSV of table rows; columns are every key in order of first appearance
+   * Missing and non-finite numbers are empty cells, objects are written as JSON. Text that
+   * a spreadsheet would run as a formula (=, +, -, @, or a leading tab / carriage return;
+   * event labels come from loaded files) is prefixed with ' so it opens as text.
+   */
+  toCSV(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = value => {
+      if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return '';
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(values => values.map(cell).join(','))
+      .join('\n') + '\n';
+  },
+  
+  /**
+   * A report as JSON: parameters, fingerprint, summary and every table (charts are left
+   * out; they are drawn from the tables)
+   */
+  toJSON(report) {
+    const { charts, ...rest } = report;
+    return JSON.stringify(rest, null, 2) + '\n';
+  },
+  
+  /**
+   * Identify the dataset a result came from: a hash of the DATA object, the rows of each
+   * dataset and the dates the ADIZ baseline covers
+   * @param {object} DATA - Loaded DATA (DataConnector.currentData)
+   * @param {object} version - Workspace version metadata, when the data is a stored version
+   */
+  fingerprint(DATA, version = null) {
+    if (!DATA) return null;
+    if (!this.fingerprintCache || this.fingerprintCache.data !== DATA) {
+      const dates = (DATA.adiz_baseline || []).map(entry => entry.Date).filter(date => CalendarDate.isValid(date)).sort();
+      this.fingerprintCache = {
+        data: DATA,
+        fingerprint: {
+          hash: this.hash(JSON.stringify(DATA)),
+          rows: Workspace.summarize(DATA),
+          baselineStart: dates.length > 0 ? dates[0] : null,
+          baselineEnd: dates.length > 0 ? dates[dates.length - 1] : null
+        }
+      };
+    }
+    
+    const { fingerprint } = this.fingerprintCache;
+    return version
+      ? { ...fingerprint, version: version.name, versionUpdated: version.updatedAt }
+      : { ...fingerprint };
+  },
+  
+  /**
+   * Two 32-bit FNV-1a hashes of a string's UTF-16 code units (standard and alternate
+   * offset basis) as 16 hex digits; not cryptographic, it only tells datasets apart
+   */
+  hash(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x050c5d1f;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 0x01000193);
+      h2 = Math.imul(h2 ^ code, 0x01000193);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+  },
+  
+  /**
+   * Self-contained HTML brief of a report
+   * @param {object} report - {title, subtitle, generatedAt, parameters, fingerprint,
+   *   summary: [{label, value}], notes: [text], charts: [chart spec], tables: {name: rows}}
+   * @returns {string} A complete HTML document
+   */
+  brief(report) {
+    const esc = text => this.escapeHTML(text);
+    const fingerprint = report.fingerprint;
+    const parameters = Object.entries(report.parameters || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    
+    const sections = [];
+    if (report.summary && report.summary.length > 0) {
+      sections.push(`<h2>Summary</h2>
+<div class="summary">${report.summary.map(item => `<div class="metric"><span>${esc(item.label)}</span><strong>${esc(this.formatValue(item.value))}</strong></div>`).join('')}</div>`);
+    }
+    if (report.notes && report.notes.length > 0) {
+      sections.push(`<ul class="notes">${report.notes.map(note => `<li>${esc(note)}</li>`).join('')}</ul>`);
+    }
+    (report.charts || []).forEach(chart => {
+      sections.push(`<figure>${this.chart(chart)}</figure>`);
+    });
+    Object.entries(report.tables || {}).forEach(([name, rows]) => {
+      sections.push(this.tableHTML(name, rows));
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(report.title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 900px; margin: 0 auto; padding: 30px 20px; }
+header { border-bottom: 3px solid #667eea; margin-bottom: 20px; padding-bottom: 10px; }
+h1 { color: #667eea; margin: 0 0 5px; font-size: 1.6rem; }
+h2 { color: #555; font-size: 1.1rem; margin: 25px 0 10px; }
+.meta { color: #777; font-size: 0.85rem; }
+.columns { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0; font-size: 0.85rem; }
+dt { color: #777; }
+dd { margin: 0; word-break: break-word; }
+.summary { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 10px; }
+.metric { background: #f8f9fa; border-left: 4px solid #667eea; padding: 8px 10px; }
+.metric span { display: block; color: #777; font-size: 0.8rem; }
+.metric strong { font-size: 1.1rem; }
+.notes { font-size: 0.9rem; color: #555; }
+figure { margin: 20px 0; }
+svg { max-width: 100%; height: auto; }
+table { border-collapse: collapse; width: 100%; font-size: 0.8rem; margin-bottom: 5px; }
+th, td { border-bottom: 1px solid #e0e0e0; padding: 4px 6px; text-align: left; vertical-align: top; }
+th { background: #f8f9fa; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.more { color: #777; font-size: 0.8rem; }
+</style>
+</head>
+<body>
+<header>
+<h1>${esc(report.title)}</h1>
+${report.subtitle ? `<div>${esc(report.subtitle)}</div>` : ''}
+<div class="meta">Generated ${esc(new Date(report.generatedAt).toLocaleString())}</div>
+</header>
+<div class="columns">
+<section>
+<h2>Parameters</h2>
+<dl>${parameters.map(([name, value]) => `<dt>${esc(name)}</dt><dd>${esc(this.formatValue(value))}</dd>`).join('') || '<dt>None</dt><dd></dd>'}</dl>
+</section>
+<section>
+<h2>Dataset</h2>
+${fingerprint ? `<dl>
+${fingerprint.version ? `<dt>Version</dt><dd>${esc(fingerprint.version)}${fingerprint.versionUpdated ? ` (${esc(fingerprint.versionUpdated)})` : ''}</dd>` : ''}
+<dt>Fingerprint</dt><dd><code>${esc(fingerprint.hash)}</code></dd>
+<dt>ADIZ days</dt><dd>${esc(fingerprint.baselineStart || '-')} to ${esc(fingerprint.baselineEnd || '-')}</dd>
+${Object.entries(fingerprint.rows).map(([name, count]) => `<dt>${esc(name)}</dt><dd>${count} rows</dd>`).join('')}
+</dl>` : '<p class="meta">No dataset recorded</p>'}
+</section>
+</div>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  },
+  
+  tableHTML(name, rows) {
+    const esc = text => this.escapeHTML(text);
+    if (rows.length === 0) {
+      return `<h2>${esc(this.titleCase(name))}</h2>\n<p class="more">No rows</p>`;
+    }
+    
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const shown = rows.slice(0, this.BRIEF_ROWS);
+    const cell = value => typeof value === 'number'
+      ? `<td class="number">${esc(this.formatValue(value))}</td>`
+      : `<td>${esc(this.formatValue(value))}</td>`;
+    
+    return `<h2>${esc(this.titleCase(name))}</h2>
+<table>
+<thead><tr>${columns.map(column => `<th>${esc(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${shown.map(row => `<tr>${columns.map(column => cell(row[column])).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+${rows.length > shown.length ? `<p class="more">First ${shown.length} of ${rows.length} rows; the CSV export has them all.</p>` : ''}`;
+  },
+  
+  /**
+   * Display text of a parameter, summary or table value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) return '';
+      return Number.isInteger(value) ? String(value) : String(Number(Math.abs(value) < 1 ? value.toPrecision(3) : value.toFixed(2)));
+    }
+    if (Array.isArray(value)) return value.map(v => this.formatValue(v)).join(', ');
+    if (typeof value === 'object') {
+      return Object.entries(value).map(([key, v]) => `${key}: ${this.formatValue(v)}`).join('; ');
+    }
+    return String(value);
+  },
+  
+  escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+  
+  titleCase(name) {
+    return name.charAt(0).toUpperCase() + name.substring(1).replace(/_/g, ' ');
+  },
+  
+  chart(spec) {
+    return spec.type === 'bar' ? this.barChart(spec) : this.lineChart(spec);
+  },
+  
+  /**
+   * Static SVG line chart
+   * @param {object} spec - {title, xLabel, yLabel, series: [{name, x, y, lower, upper,
+   *   dashed}], markers: [{x, label}], lines: [{y, label}]}; lower/upper draw a band
+   */
+  lineChart(spec) {
+    const esc = text => this.escapeHTML(text);
+    const series = spec.series.filter(s => s.x.length > 0);
+    const markers = spec.markers || [];
+    const lines = spec.lines || [];
+    
+    const xs = series.flatMap(s => s.x).concat(markers.map(m => m.x));
+    const ys = series.flatMap(s => [...s.y, ...(s.lower || []), ...(s.upper || [])])
+      .concat(lines.map(l => l.y))
+      .filter(v => v !== null && v !== undefined && Number.isFinite(v));
+    if (xs.length === 0 || ys.length === 0) return this.emptyChart(spec.title);
+    
+    const frame = this.frame(spec, Math.min(...xs), Math.max(...xs), Math.min(0, ...ys), Math.max(...ys));
+    const { x, y } = frame;
+    const path = (xValues, yValues) => {
+      let d = '';
+      let drawing = false;
+      xValues.forEach((xv, i) => {
+        const yv = yValues[i];
+        if (yv === null || yv === undefined || !Number.isFinite(yv)) {
+          drawing = false;
+          return;
+        }
+        d += `${drawing ? 'L' : 'M'}${x(xv).toFixed(1)},${y(yv).toFixed(1)}`;
+        drawing = true;
+      });
+      return d;
+    };
+    
+    const body = [];
+    series.forEach((s, i) => {
+      const color = s.color || this.COLORS[i % this.COLORS.length];
+      if (s.lower && s.upper) {
+        const points = s.x.map((xv, j) => [xv, s.lower[j], s.upper[j]])
+          .filter(([, lower, upper]) => Number.isFinite(lower) && Number.isFinite(upper));
+        if (points.length > 1) {
+          const outline = [
+            ...points.map(([xv, , upper]) => `${x(xv).toFixed(1)},${y(upper).toFixed(1)}`),
+            ...points.reverse().map(([xv, lower]) => `${x(xv).toFixed(1)},${y(lower).toFixed(1)}`)
+          ];
+          body.push(`<polygon points="${outline.join(' ')}" fill="${color}" fill-opacity="0.15" stroke="none"/>`);
+        }
+      }
+      body.push(`<path d="${path(s.x, s.y)}" fill="none" stroke="${color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+    });
+    lines.forEach(line => {
+      body.push(`<line x1="${frame.left}" x2="${frame.right}" y1="${y(line.y).toFixed(1)}" y2="${y(line.y).toFixed(1)}" stroke="#999" stroke-dasharray="3 3"/>`);
+      if (line.label) body.push(`<text x="${frame.right - 4}" y="${(y(line.y) - 4).toFixed(1)}" text-anchor="end" font-size="10" fill="#777">${esc(line.label)}</text>`);
+    });
+    markers.forEach(marker => {
+      body.push(`<line x1="${x(marker.x).toFixed(1)}" x2="${x(marker.x).toFixed(1)}" y1="${frame.top}" y2="${frame.bottom}" stroke="#dc3545" stroke-dasharray="4 3"/>`);
+      if (marker.label) body.push(`<text x="${(x(marker.x) + 4).toFixed(1)}" y="${frame.top + 10}" font-size="10" fill="#dc3545">${esc(marker.label)}</text>`);
+    });
+    
+    return this.svg(spec, frame, body, series.map((s, i) => ({ name: s.name, color: s.color || this.COLORS[i % this.COLORS.length] })));
+  },
+  
+  /**
+   * Static SVG bar chart (grouped when there are several series)
+   * @param {object} spec - {title, yLabel, labels: [text], series: [{name, values}]}
+   */
+  barChart(spec) {
+    const esc = text => this.escapeHTML(text);
+    const labels = spec.labels.map(label => String(label).replace(/\s+/g, ' '));
+    const values = spec.series.flatMap(s => s.values).filter(v => v !== null && v !== undefined && Number.isFinite(v));
+    if (labels.length === 0 || values.length === 0) return this.emptyChart(spec.title);
+    
+    const rotate = labels.length > 8 || labels.some(label => label.length > 12);
+    const frame = this.frame({ ...spec, xLabel: null, bottomMargin: rotate ? 80 : 40 }, 0, labels.length, Math.min(0, ...values), Math.max(0, ...values), false);
+    const { x, y } = frame;
+    const slot = (frame.right - frame.left) / labels.length;
+    const barWidth = slot * 0.8 / spec.series.length;
+    
+    const body = [];
+    spec.series.forEach((s, i) => {
+      const color = s.color || this.COLORS[i % this.COLORS.length];
+      s.values.forEach((value, j) => {
+        if (value === null || value === undefined || !Number.isFinite(value)) return;
+        const top = y(Math.max(0, value));
+        const height = Math.abs(y(value) - y(0));
+        body.push(`<rect x="${(x(j) + slot * 0.1 + i * barWidth).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.max(height, 0.5).toFixed(1)}" fill="${color}"><title>${esc(labels[j])}: ${esc(this.formatValue(value))}</title></rect>`);
+      });
+    });
+    labels.forEach((label, j) => {
+      const text = label.length > 24 ? label.substring(0, 23) + '…' : label;
+      const cx = (x(j) + slot / 2).toFixed(1);
+      body.push(rotate
+        ? `<text x="${cx}" y="${frame.bottom + 12}" font-size="10" fill="#555" text-anchor="end" transform="rotate(-40 ${cx} ${frame.bottom + 12})">${esc(text)}</text>`
+        : `<text x="${cx}" y="${frame.bottom + 14}" font-size="10" fill="#555" text-anchor="middle">${esc(text)}</text>`);
+    });
+    
+    return this.svg(spec, frame, body, spec.series.length > 1
+      ? spec.series.map((s, i) => ({ name: s.name, color: s.color || this.COLORS[i % this.COLORS.length] }))
+      : []);
+  },
+  
+  /**
+   * Plot area, scales and axes of a chart
+   */
+  frame(spec, xMin, xMax, yMin, yMax, xTicks = true) {
+    const left = 50;
+    const right = this.CHART_WIDTH - 15;
+    const top = spec.title ? 35 : 15;
+    const bottom = this.CHART_HEIGHT - (spec.bottomMargin || (spec.xLabel ? 45 : 30));
+    const yScale = this.ticks(yMin, yMax);
+    const xSpan = xMax - xMin || 1;
+    const ySpan = yScale.max - yScale.min || 1;
+    
+    const x = value => left + (value - xMin) / xSpan * (right - left);
+    const y = value => bottom - (value - yScale.min) / ySpan * (bottom - top);
+    
+    const axes = [];
+    yScale.ticks.forEach(tick => {
+      axes.push(`<line x1="${left}" x2="${right}" y1="${y(tick).toFixed(1)}" y2="${y(tick).toFixed(1)}" stroke="#eee"/>`);
+      axes.push(`<text x="${left - 6}" y="${(y(tick) + 3).toFixed(1)}" font-size="10" fill="#777" text-anchor="end">${this.formatValue(tick)}</text>`);
+    });
+    if (xTicks) {
+      this.ticks(xMin, xMax).ticks.filter(tick => tick >= xMin && tick <= xMax).forEach(tick => {
+        axes.push(`<text x="${x(tick).toFixed(1)}" y="${bottom + 14}" font-size="10" fill="#777" text-anchor="middle">${this.formatValue(tick)}</text>`);
+      });
+    }
+    axes.push(`<line x1="${left}" x2="${right}" y1="${y(Math.max(yScale.min, Math.min(0, yScale.max))).toFixed(1)}" y2="${y(Math.max(yScale.min, Math.min(0, yScale.max))).toFixed(1)}" stroke="#999"/>`);
+    
+    return { left, right, top, bottom, x, y, axes };
+  },
+  
+  /**
+   * Round axis ticks covering [min, max]
+   */
+  ticks(min, max, count = 5) {
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const raw = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let tick = start; tick <= end + step / 2; tick += step) {
+      ticks.push(Number(tick.toPrecision(12)));
+    }
+    return { min: start, max: end, ticks };
+  },
+  
+  svg(spec, frame, body, legend) {
+    const esc = text => this.escapeHTML(text);
+    const parts = [...frame.axes, ...body];
+    if (spec.title) {
+      parts.unshift(`<text x="${frame.left}" y="20" font-size="13" font-weight="bold" fill="#333">${esc(spec.title)}</text>`);
+    }
+    if (spec.xLabel) {
+      parts.push(`<text x="${((frame.left + frame.right) / 2).toFixed(1)}" y="${this.CHART_HEIGHT - 8}" font-size="11" fill="#555" text-anchor="middle">${esc(spec.xLabel)}</text>`);
+    }
+    if (spec.yLabel) {
+      parts.push(`<text x="12" y="${((frame.top + frame.bottom) / 2).toFixed(1)}" font-size="11" fill="#555" text-anchor="middle" transform="rotate(-90 12 ${((frame.top + frame.bottom) / 2).toFixed(1)})">${esc(spec.yLabel)}</text>`);
+    }
+    // Legend along the top right, one entry per series
+    let legendX = frame.right;
+    [...legend].reverse().forEach(item => {
+      const width = 18 + Math.min(item.name.length, 24) * 6;
+      legendX -= width;
+      parts.push(`<rect x="${legendX}" y="11" width="10" height="10" fill="${item.color}"/>`);
+      parts.push(`<text x="${legendX + 14}" y="20" font-size="10" fill="#555">${esc(item.name.length > 24 ? item.name.substring(0, 23) + '…' : item.name)}</text>`);
+    });
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.CHART_WIDTH} ${this.CHART_HEIGHT}" width="${this.CHART_WIDTH}" height="${this.CHART_HEIGHT}" font-family="sans-serif">
+${parts.join('\n')}
+</svg>`;
+  },
+  
+  emptyChart(title) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${this.CHART_WIDTH} 60" width="${this.CHART_WIDTH}" height="60" font-family="sans-serif">
+<text x="10" y="20" font-size="13" font-weight="bold" fill="#333">${this.escapeHTML(title || '')}</text>
+<text x="10" y="45" font-size="11" fill="#777">No data to chart</text>
+</svg>`;
+  },
+  
+  /**
+   * File name for an export: 'category-arms-2024-05-01.csv'
+   */
+  filename(...parts) {
+    const extension = parts.pop();
+    const base = parts.filter(Boolean).join('-').toLowerCase().replace(/[^\w-]+/g, '_').replace(/_+/g, '_');
+    return `${base}.${extension}`;
+  },
+  
+  /**
+   * Save text as a file from the browser
+   * The object URL is revoked, and the link removed, only after the click has been handled:
+   * Firefox and Safari cancel a download whose URL is revoked straight away
+   */
+  download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      link.remove();
+    }, this.REVOKE_DELAY);
+  }
+};
+
+export default Exporter;
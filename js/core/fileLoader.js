@@ -0,0 +1,434 @@
+// fileLoader.js - Parse per-dataset CSV / JSON files (or a zip of them) into DATA
+// Nothing is ever evaluated: CSV is tokenized, JSON goes through JSON.parse, zip
+// entries are inflated with the platform DecompressionStream
+
+import DataSchema from './schema.js';
+
+const FileLoader = {
+  BASELINE_DATASET: 'adiz_baseline',
+  SUPPORTED_EXTENSIONS: ['csv', 'json', 'zip', 'html', 'htm'],
+  
+  /**
+   * Parse a list of File/Blob objects (each with a name) into a DATA object
+   * Rows that fail to parse are skipped and reported; a file that cannot be
+   * matched to a dataset is reported and ignored
+   * @returns {Promise<object>} {data, sources, files, errors, warnings}; sources[dataset][i]
+   *   is the {file, row} each accepted row came from, for reporting validation problems
+   */
+  async parseFiles(fileList) {
+    const result = {
+      data: {},
+      sources: {},
+      files: [],
+      errors: [],
+      warnings: []
+    };
+    
+    for (const file of Array.from(fileList)) {
+      const extension = this.getExtension(file.name);
+      
+      if (!this.SUPPORTED_EXTENSIONS.includes(extension)) {
+        result.warnings.push(this.issue(file.name, null, null, `Unsupported file type ".${extension}" (use CSV, JSON or zip)`));
+        continue;
+      }
+      
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      
+      if (extension === 'zip') {
+        let entries;
+        try {
+          entries = await this.readZip(bytes);
+        } catch (error) {
+          result.errors.push(this.issue(file.name, null, null, error.message));
+          continue;
+        }
+        entries.forEach(entry => {
+          const entryExtension = this.getExtension(entry.name);
+          if (entryExtension !== 'csv' && entryExtension !== 'json') {
+            result.warnings.push(this.issue(`${file.name}/${entry.name}`, null, null, 'Skipped (not a CSV or JSON file)'));
+            return;
+          }
+          this.parseText(`${file.name}/${entry.name}`, this.decode(entry.bytes), result);
+        });
+      } else {
+        this.parseText(file.name, this.decode(bytes), result);
+      }
+    }
+    
+    if (!result.data[this.BASELINE_DATASET]) {
+      result.errors.push(this.issue(null, this.BASELINE_DATASET, null,
+        'No ADIZ baseline found (expected adiz_baseline.csv / .json, or a file with Date and ADIZ_count columns)'));
+    }
+    
+    return result;
+  },
+  
+  /**
+   * Parse one file's text and merge its rows into result.data
+   */
+  parseText(fileName, text, result) {
+    const extension = this.getExtension(fileName);
+    
+    if (extension === 'html' || extension === 'htm') {
+      try {
+        this.mergeDatasets(fileName, this.extractEmbeddedData(text), result);
+      } catch (error) {
+        result.errors.push(this.issue(fileName, null, null, error.message));
+      }
+      return;
+    }
+    
+    if (extension === 'json') {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        result.errors.push(this.issue(fileName, null, this.jsonErrorLine(text, error), `Invalid JSON: ${error.message}`));
+        return;
+      }
+      
+      // A whole DATA export ({adiz_baseline: [...], arms_sales: [...]}) or one dataset's rows
+      if (parsed && !Array.isArray(parsed) && typeof parsed === 'object') {
+        this.mergeDatasets(fileName, parsed, result);
+      } else if (Array.isArray(parsed)) {
+        this.addRows(fileName, parsed, index => index + 1, result);
+      } else {
+        result.errors.push(this.issue(fileName, null, null, 'JSON must be an array of rows or an object of datasets'));
+      }
+      return;
+    }
+    
+    // CSV: row numbers are the file's line numbers (header = line 1)
+    const parsed = this.parseCSV(text);
+    parsed.errors.forEach(e => result.errors.push(this.issue(fileName, null, e.line, e.message)));
+    if (parsed.header.length === 0) {
+      result.errors.push(this.issue(fileName, null, null, 'File is empty'));
+      return;
+    }
+    
+    const objects = parsed.rows.map(row => {
+      const obj = {};
+      parsed.header.forEach((column, i) => { obj[column] = row.values[i]; });
+      return obj;
+    });
+    this.addRows(fileName, objects, index => parsed.rows[index].line, result);
+  },
+  
+  /**
+   * Add rows from a full DATA object, keeping only known datasets
+   */
+  mergeDatasets(fileName, DATA, result) {
+    let matched = false;
+    
+    Object.keys(DATA).forEach(key => {
+      if (!this.getDatasetNames().includes(key)) {
+        result.warnings.push(this.issue(fileName, key, null, `Unknown dataset "${key}" ignored`));
+        return;
+      }
+      if (!Array.isArray(DATA[key])) {
+        result.errors.push(this.issue(fileName, key, null, `${key} must be an array of rows`));
+        return;
+      }
+      matched = true;
+      this.addRows(fileName, DATA[key], index => index + 1, result, key);
+    });
+    
+    if (!matched) {
+      result.errors.push(this.issue(fileName, null, null, 'No known datasets found in file'));
+    }
+  },
+  
+  /**
+   * Map rows onto a dataset's columns and append them
+   * @param {function} rowNumber - Maps a row index to the number shown in error messages
+   */
+  addRows(fileName, rows, rowNumber, result, dataset = null) {
+    const sample = rows.find(r => r && typeof r === 'object' && !Array.isArray(r));
+    const columns = sample ? Object.keys(sample) : [];
+    const target = dataset || this.detectDataset(fileName, columns);
+    
+    if (!target) {
+      result.errors.push(this.issue(fileName, null, null,
+        `Could not tell which dataset this file holds. Name it after the dataset (${this.getDatasetNames().join(', ')}) or include its required columns.`));
+      return;
+    }
+    
+    const mapping = this.getColumnMapping(target, columns);
+    const accepted = [];
+    const sources = [];
+    let skipped = 0;
+    
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        result.errors.push(this.issue(fileName, target, rowNumber(index), 'Row is not an object'));
+        skipped++;
+        return;
+      }
+      
+      const mapped = {};
+      let nested = null;
+      Object.keys(row).forEach(column => {
+        const value = row[column];
+        if (value !== null && typeof value === 'object') nested = column;
+        mapped[mapping[column] || column.trim()] = value === null || value === undefined ? '' : value;
+      });
+      
+      if (nested) {
+        result.errors.push(this.issue(fileName, target, rowNumber(index), `Field "${nested}" must be a single value`));
+        skipped++;
+        return;
+      }
+      accepted.push(mapped);
+      sources.push({ file: fileName, row: rowNumber(index) });
+    });
+    
+    if (result.data[target]) {
+      result.warnings.push(this.issue(fileName, target, null, `${target} appears in more than one file; rows were combined`));
+      result.data[target] = result.data[target].concat(accepted);
+      result.sources[target] = result.sources[target].concat(sources);
+    } else {
+      result.data[target] = accepted;
+      result.sources[target] = sources;
+    }
+    
+    result.files.push({ name: fileName, dataset: target, rows: accepted.length, skipped });
+  },
+  
+  /**
+   * Work out which dataset a file holds: by file name first, then by its columns
+   * (the dataset whose required columns are all present, preferring the most specific)
+   */
+  detectDataset(fileName, columns) {
+    const stem = this.normalizeName(fileName.split('/').pop().replace(/\.[^.]+$/, ''));
+    const byName = this.getDatasetNames().find(name => stem === name || stem.endsWith('_' + name));
+    if (byName) return byName;
+    
+    const present = new Set(columns.map(c => this.normalizeName(c)));
+    const candidates = this.getDatasetNames()
+      .map(name => ({ name, required: this.getRequiredFields(name) }))
+      .filter(c => c.required.every(field => present.has(this.normalizeName(field))))
+      .sort((a, b) => b.required.length - a.required.length);
+    
+    if (candidates.length === 0) return null;
+    if (candidates.length > 1 && candidates[0].required.length === candidates[1].required.length) return null;
+    return candidates[0].name;
+  },
+  
+  /**
+   * Map a file's column headers onto the schema's field names
+   * Matching ignores case, spaces and hyphens ("ADIZ count" -> ADIZ_count)
+   */
+  getColumnMapping(dataset, columns) {
+    const canonical = {};
+    this.getRequiredFields(dataset).forEach(field => {
+      canonical[this.normalizeName(field)] = field;
+    });
+    
+    const mapping = {};
+    columns.forEach(column => {
+      const field = canonical[this.normalizeName(column)];
+      if (field) mapping[column] = field;
+    });
+    return mapping;
+  },
+  
+  getDatasetNames() {
+    return [this.BASELINE_DATASET, ...Object.keys(DataSchema.events)];
+  },
+  
+  getRequiredFields(dataset) {
+    if (dataset === this.BASELINE_DATASET) return Object.keys(DataSchema.baseline.structure);
+    return DataSchema.events[dataset] ? DataSchema.events[dataset].required : [];
+  },
+  
+  normalizeName(name) {
+    return String(name).replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  },
+  
+  getExtension(fileName) {
+    const match = /\.([^./]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+  },
+  
+  decode(bytes) {
+    return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+  },
+  
+  issue(file, dataset, row, message) {
+    return { file, dataset, row, message };
+  },
+  
+  /**
+   * RFC 4180 CSV parser (quoted fields, escaped quotes, embedded newlines, CRLF)
+   * Blank lines are skipped; rows with the wrong number of fields are reported and dropped
+   * @returns {object} {header, rows: [{line, values}], errors: [{line, message}]}
+   */
+  parseCSV(text) {
+    const records = [];
+    const errors = [];
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = null;
+    
+    const endRecord = () => {
+      record.push(field);
+      if (!(record.length === 1 && record[0].trim() === '')) {
+        records.push({ line: recordLine, values: record });
+      }
+      record = [];
+      field = '';
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      if (inQuotes) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+        }
+        continue;
+      }
+      
+      if (ch === '"' && field.trim() === '') {
+        inQuotes = true;
+        quoteLine = line;
+        field = '';
+      } else if (ch === ',') {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        field += ch;
+      }
+    }
+    
+    if (inQuotes) {
+      errors.push({ line: quoteLine, message: 'Unterminated quoted field' });
+    } else if (field !== '' || record.length > 0) {
+      endRecord();
+    }
+    
+    if (records.length === 0) return { header: [], rows: [], errors };
+    
+    const header = records[0].values.map(h => h.trim());
+    const rows = [];
+    records.slice(1).forEach(r => {
+      if (r.values.length !== header.length) {
+        errors.push({ line: r.line, message: `Expected ${header.length} fields, found ${r.values.length}` });
+        return;
+      }
+      rows.push({ line: r.line, values: r.values.map(v => v.trim()) });
+    });
+    
+    return { header, rows, errors };
+  },
+  
+  /**
+   * Line number of a JSON.parse error, when the engine reports a position
+   */
+  jsonErrorLine(text, error) {
+    const match = /position (\d+)/.exec(error.message);
+    if (!match) return null;
+    return text.substring(0, parseInt(match[1])).split('\n').length;
+  },
+  
+  /**
+   * Read the DATA object embedded in visualizer.html (const DATA = {...};)
+   * The object is plain JSON, so it is parsed rather than evaluated
+   */
+  extractEmbeddedData(htmlContent) {
+    const dataMatch = htmlContent.match(/const DATA\s*=\s*(\{[\s\S]*?\});/);
+    if (!dataMatch) {
+      throw new Error('Could not find DATA object in file');
+    }
+    
+    try {
+      return JSON.parse(dataMatch[1]);
+    } catch (error) {
+      throw new Error('Embedded DATA is not plain JSON; export the datasets as CSV or JSON instead');
+    }
+  },
+  
+  /**
+   * Minimal zip reader: central directory, stored and deflated entries (no zip64, no encryption)
+   * @returns {Promise<Array>} [{name, bytes}]
+   */
+  async readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    // End of central directory record sits in the last 22 + 65535 (comment) bytes
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error('Not a valid zip file');
+    
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+    
+    const entries = [];
+    for (let n = 0; n < entryCount; n++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+      
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = this.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+      
+      // Skip folders and OS metadata (__MACOSX/, .DS_Store)
+      const baseName = name.split('/').pop();
+      if (name.endsWith('/') || name.startsWith('__MACOSX/') || baseName.startsWith('.')) continue;
+      
+      if (flags & 0x1) throw new Error(`${name}: encrypted zip entries are not supported`);
+      
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const start = localOffset + 30 + localNameLength + localExtraLength;
+      const data = bytes.subarray(start, start + compressedSize);
+      
+      if (method === 0) {
+        entries.push({ name: baseName, bytes: data });
+      } else if (method === 8) {
+        entries.push({ name: baseName, bytes: await this.inflate(data) });
+      } else {
+        throw new Error(`${name}: unsupported zip compression method ${method}`);
+      }
+    }
+    
+    return entries;
+  },
+  
+  async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot unzip files; load the CSV/JSON files directly');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+};
+
+export default FileLoader;
@@ -0,0 +1,506 @@
+// filterLanguage.js - Event filter expressions
+// A small query language over normalized event properties and dataset fields, so a group of
+// events can be typed, saved under a name and reused in any module, e.g.
+//   category in (arms, diplomatic) and fields.value_usd > 1e9 and date >= 2022-01-01
+//     and not has_confounder(7)
+// Expressions compile to a predicate usable as the DataConnector.getEvents customFilter;
+// getEvents also accepts the text directly as filters.expression.
+
+import DataSchema from './schema.js';
+import Workspace from './workspace.js';
+
+const FilterLanguage = {
+  KEYWORDS: ['and', 'or', 'not', 'in', 'contains'],
+  
+  // Normalized event properties; any dataset column is reachable as fields.<name>
+  PROPERTIES: {
+    category: { type: 'string', valueOf: event => event.category },
+    dataset: { type: 'string', valueOf: event => event.dataset },
+    date: { type: 'date', valueOf: event => event.date },
+    year: { type: 'number', valueOf: event => Number(event.date.substring(0, 4)) },
+    month: { type: 'number', valueOf: event => Number(event.date.substring(5, 7)) },
+    label: { type: 'string', valueOf: event => event.label },
+    description: { type: 'string', valueOf: event => event.description }
+  },
+  
+  FUNCTIONS: {
+    has_confounder: 'has_confounder(days) or has_confounder(days, category, ...) - another event within ±days',
+    has: 'has(fields.name) - the field is not blank'
+  },
+  
+  COMPARISONS: ['=', '!=', '<', '<=', '>', '>='],
+  
+  /**
+   * Split an expression into tokens
+   * @returns {object[]} [{type: word|number|date|string|op|punct|end, value, text, position}]
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < source.length) {
+      const char = source[i];
+      const rest = source.substring(i);
+      
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      
+      const date = rest.match(/^\d{4}-\d{2}-\d{2}(?![\w.-])/);
+      if (date) {
+        if (!DataSchema.isValidDate(date[0])) {
+          throw this.error(`${date[0]} is not a calendar date`, source, i);
+        }
+        tokens.push({ type: 'date', value: date[0], text: date[0], position: i });
+        i += date[0].length;
+        continue;
+      }
+      
+      const number = rest.match(/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(?![\w.])/i);
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[0]), text: number[0], position: i });
+        i += number[0].length;
+        continue;
+      }
+      
+      const word = rest.match(/^[A-Za-z_][\w]*/);
+      if (word) {
+        tokens.push({ type: 'word', value: word[0], text: word[0], position: i });
+        i += word[0].length;
+        continue;
+      }
+      
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j];
+          j++;
+        }
+        if (j >= source.length) {
+          throw this.error(`Unterminated text starting here; close it with ${char}`, source, i);
+        }
+        tokens.push({ type: 'string', value, text: source.substring(i, j + 1), position: i });
+        i = j + 1;
+        continue;
+      }
+      
+      const op = rest.match(/^(==|!=|<>|<=|>=|<|>|=)/);
+      if (op) {
+        const value = op[0] === '==' ? '=' : op[0] === '<>' ? '!=' : op[0];
+        tokens.push({ type: 'op', value, text: op[0], position: i });
+        i += op[0].length;
+        continue;
+      }
+      
+      if ('(),.'.includes(char)) {
+        tokens.push({ type: 'punct', value: char, text: char, position: i });
+        i++;
+        continue;
+      }
+      
+      throw this.error(`Unexpected character '${char}'; put text with spaces or symbols in quotes`, source, i);
+    }
+    
+    tokens.push({ type: 'end', value: null, text: 'end of filter', position: source.length });
+    return tokens;
+  },
+  
+  /**
+   * Parse an expression into a syntax tree
+   * or := and ('or' and)* ; and := unary ('and' unary)* ; unary := 'not' unary | primary
+   * primary := '(' or ')' | function '(' args ')' | property comparison
+   * @returns {object} {type: or|and|not|compare|call, ...}
+   */
+  parse(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('Filter expression is empty');
+    }
+    
+    const tokens = this.tokenize(source);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (token, keyword) => token.type === 'word' && token.value.toLowerCase() === keyword;
+    const isPunct = (token, char) => token.type === 'punct' && token.value === char;
+    const fail = (message, token = peek()) => this.error(message, source, token.position);
+    const expect = (char, context) => {
+      const token = next();
+      if (!isPunct(token, char)) throw fail(`Expected '${char}' ${context}, found ${this.describeToken(token)}`, token);
+      return token;
+    };
+    
+    const parseValue = () => {
+      const token = next();
+      if (['number', 'date', 'string'].includes(token.type)) {
+        return { kind: token.type, value: token.value, text: token.text, position: token.position };
+      }
+      if (token.type === 'word' && !this.KEYWORDS.includes(token.value.toLowerCase())) {
+        return { kind: 'string', value: token.value, text: token.text, position: token.position };
+      }
+      throw fail(`Expected a value, found ${this.describeToken(token)}`, token);
+    };
+    
+    const parseProperty = () => {
+      const token = next();
+      if (token.type !== 'word' || this.KEYWORDS.includes(token.value.toLowerCase())) {
+        throw fail(`Expected a property such as category, date or fields.name, found ${this.describeToken(token)}`, token);
+      }
+      
+      const name = token.value.toLowerCase();
+      if (name === 'fields') {
+        expect('.', 'after fields');
+        const field = next();
+        if (field.type !== 'word' && field.type !== 'string') {
+          throw fail(`Expected a field name after 'fields.', found ${this.describeToken(field)}`, field);
+        }
+        return { kind: 'field', name: field.value, text: `fields.${field.text}`, position: token.position };
+      }
+      if (!this.PROPERTIES[name]) {
+        const suggestion = this.closest(name, [...Object.keys(this.PROPERTIES), 'fields', ...Object.keys(this.FUNCTIONS)]);
+        throw fail(suggestion
+          ? `Unknown property '${token.value}' - did you mean '${suggestion}'?`
+          : `Unknown property '${token.value}'; use one of ${Object.keys(this.PROPERTIES).join(', ')}, or fields.<name> for a dataset column`, token);
+      }
+      return { kind: name, name, text: token.value, position: token.position };
+    };
+    
+    const parseComparison = () => {
+      const property = parseProperty();
+      const token = peek();
+      
+      if (token.type === 'op') {
+        next();
+        return this.checkComparison({ type: 'compare', property, operator: token.value, values: [parseValue()], position: token.position }, source);
+      }
+      
+      const negated = isKeyword(token, 'not');
+      if (negated) next();
+      const keyword = peek();
+      
+      if (isKeyword(keyword, 'in')) {
+        next();
+        expect('(', `after 'in'`);
+        const values = [parseValue()];
+        while (isPunct(peek(), ',')) {
+          next();
+          values.push(parseValue());
+        }
+        expect(')', 'to close the list');
+        const node = this.checkComparison({ type: 'compare', property, operator: 'in', values, position: keyword.position }, source);
+        return negated ? { type: 'not', operand: node } : node;
+      }
+      if (isKeyword(keyword, 'contains')) {
+        next();
+        const node = this.checkComparison({ type: 'compare', property, operator: 'contains', values: [parseValue()], position: keyword.position }, source);
+        return negated ? { type: 'not', operand: node } : node;
+      }
+      
+      throw fail(`Expected a comparison (${this.COMPARISONS.join(' ')}, in, contains) after '${property.text}', ` +
+        `found ${this.describeToken(keyword)}`, keyword);
+    };
+    
+    const parseCall = () => {
+      const token = next();
+      const name = token.value.toLowerCase();
+      expect('(', `after ${name}`);
+      const args = [];
+      if (!isPunct(peek(), ')')) {
+        args.push(name === 'has' ? parseProperty() : parseValue());
+        while (isPunct(peek(), ',')) {
+          next();
+          args.push(name === 'has' ? parseProperty() : parseValue());
+        }
+      }
+      expect(')', `to close ${name}(`);
+      return this.checkCall({ type: 'call', name, args, position: token.position }, source);
+    };
+    
+    const parsePrimary = () => {
+      const token = peek();
+      if (isPunct(token, '(')) {
+        next();
+        const node = parseOr();
+        expect(')', 'to close the group');
+        return node;
+      }
+      if (token.type === 'word' && this.FUNCTIONS[token.value.toLowerCase()] && isPunct(tokens[index + 1], '(')) {
+        return parseCall();
+      }
+      return parseComparison();
+    };
+    
+    const parseUnary = () => {
+      if (isKeyword(peek(), 'not')) {
+        next();
+        return { type: 'not', operand: parseUnary() };
+      }
+      return parsePrimary();
+    };
+    
+    const parseAnd = () => {
+      const terms = [parseUnary()];
+      while (isKeyword(peek(), 'and')) {
+        next();
+        terms.push(parseUnary());
+      }
+      return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    };
+    
+    const parseOr = () => {
+      const terms = [parseAnd()];
+      while (isKeyword(peek(), 'or')) {
+        next();
+        terms.push(parseAnd());
+      }
+      return terms.length === 1 ? terms[0] : { type: 'or', terms };
+    };
+    
+    const tree = parseOr();
+    if (peek().type !== 'end') {
+      const token = peek();
+      throw fail(isPunct(token, ')')
+        ? `Unmatched ')'`
+        : `Expected 'and', 'or' or the end of the filter, found ${this.describeToken(token)}`, token);
+    }
+    return tree;
+  },
+  
+  /**
+   * Reject comparisons that can never match (e.g. year > arms, date = 7)
+   */
+  checkComparison(node, source) {
+    const type = node.property.kind === 'field' ? null : this.PROPERTIES[node.property.kind].type;
+    const ordering = ['<', '<=', '>', '>='].includes(node.operator);
+    
+    node.values.forEach(value => {
+      if (node.operator === 'contains') return;
+      if (type === 'number' && value.kind !== 'number') {
+        throw this.error(`${node.property.text} is compared with a number, e.g. ${node.property.text} >= 2022`, source, value.position);
+      }
+      if (type === 'date' && value.kind !== 'date') {
+        throw this.error(`date is compared with a date written YYYY-MM-DD, e.g. date >= 2022-01-01`, source, value.position);
+      }
+      if (ordering && value.kind === 'string') {
+        throw this.error(`'${node.operator}' needs a number or a date, found '${value.value}'`, source, value.position);
+      }
+    });
+    return node;
+  },
+  
+  checkCall(node, source) {
+    if (node.name === 'has_confounder') {
+      const [days, ...categories] = node.args;
+      if (!days || days.kind !== 'number' || !Number.isInteger(days.value) || days.value < 0) {
+        throw this.error('has_confounder needs a whole number of days first, e.g. has_confounder(7)', source, days ? days.position : node.position);
+      }
+      node.days = days.value;
+      node.categories = categories.map(c => String(c.value).toLowerCase());
+    } else if (node.name === 'has' && (node.args.length !== 1 || node.args[0].kind !== 'field')) {
+      throw this.error('has takes one field, e.g. has(fields.value_usd)', source, node.position);
+    }
+    return node;
+  },
+  
+  /**
+   * Compile an expression into an event predicate
+   * Blank fields match no comparison (so `fields.x != y` skips events without x; use
+   * `not fields.x = y` to keep them). Text comparisons ignore case.
+   * @param {object} context - {getConfounders(event, days)}, required for has_confounder
+   * @returns {function} event => boolean
+   */
+  compile(source, context = null) {
+    const tree = this.parse(source);
+    
+    const build = node => {
+      if (node.type === 'or') {
+        const terms = node.terms.map(build);
+        return event => terms.some(term => term(event));
+      }
+      if (node.type === 'and') {
+        const terms = node.terms.map(build);
+        return event => terms.every(term => term(event));
+      }
+      if (node.type === 'not') {
+        const operand = build(node.operand);
+        return event => !operand(event);
+      }
+      if (node.type === 'call') return this.buildCall(node, context, source);
+      
+      const valueOf = this.accessor(node.property);
+      return event => this.matches(valueOf(event), node.operator, node.values);
+    };
+    
+    return build(tree);
+  },
+  
+  buildCall(node, context, source) {
+    if (node.name === 'has') {
+      const valueOf = this.accessor(node.args[0]);
+      return event => valueOf(event) !== null;
+    }
+    
+    if (!context || typeof context.getConfounders !== 'function') {
+      throw this.error('has_confounder needs the loaded event data', source, node.position);
+    }
+    return event => context.getConfounders(event, node.days)
+      .some(other => node.categories.length === 0 || node.categories.includes(other.category));
+  },
+  
+  accessor(property) {
+    if (property.kind === 'field') {
+      return event => DataSchema.fieldValue(event.fields || {}, property.name);
+    }
+    const valueOf = this.PROPERTIES[property.kind].valueOf;
+    return event => {
+      const value = valueOf(event);
+      return value === undefined || value === null || value === '' ? null : value;
+    };
+  },
+  
+  matches(actual, operator, values) {
+    if (actual === null) return false;
+    
+    if (operator === 'contains') {
+      return String(actual).toLowerCase().includes(String(values[0].value).toLowerCase());
+    }
+    if (operator === 'in') {
+      return values.some(value => this.compare(actual, '=', value));
+    }
+    return this.compare(actual, operator, values[0]);
+  },
+  
+  compare(actual, operator, literal) {
+    let a;
+    let b;
+    if (literal.kind === 'number') {
+      if (!DataSchema.isNumeric(actual)) return false;
+      a = Number(actual);
+      b = literal.value;
+    } else if (literal.kind === 'date') {
+      a = String(actual).trim().substring(0, 10);
+      b = literal.value;
+    } else {
+      a = String(actual).trim().toLowerCase();
+      b = literal.value.toLowerCase();
+    }
+    
+    switch (operator) {
+      case '=': return a === b;
+      case '!=': return a !== b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      default: return false;
+    }
+  },
+  
+  /**
+   * Check an expression without compiling it
+   * @returns {object} {valid, message, position}
+   */
+  validate(source) {
+    try {
+      this.parse(source);
+      return { valid: true, message: null, position: null };
+    } catch (error) {
+      return { valid: false, message: error.message, position: error.position ?? null };
+    }
+  },
+  
+  /**
+   * Quote text for use as a value or field name in an expression
+   */
+  quote(text) {
+    return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  },
+  
+  /**
+   * Error pointing at a column of the expression:
+   *   Unknown property 'categry' - did you mean 'category'? (column 1)
+   *     categry = arms
+   *     ^
+   */
+  error(message, source, position) {
+    const error = new Error(`${message} (column ${position + 1})\n  ${source}\n  ${' '.repeat(position)}^`);
+    error.position = position;
+    error.expression = source;
+    return error;
+  },
+  
+  describeToken(token) {
+    if (token.type === 'end') return 'the end of the filter';
+    return `'${token.text}'`;
+  },
+  
+  // Closest candidate within two edits (for typo suggestions)
+  closest(word, candidates) {
+    let best = null;
+    candidates.forEach(candidate => {
+      const distance = this.editDistance(word, candidate);
+      if (distance <= 2 && (!best || distance < best.distance)) best = { candidate, distance };
+    });
+    return best ? best.candidate : null;
+  },
+  
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  },
+  
+  // Saved filters share the dataset workspace database
+  
+  /**
+   * Save an expression under a name; saving under an existing name replaces that filter
+   * @param {object} options - {id, description}
+   * @returns {Promise<object>} The saved record
+   */
+  async saveFilter(name, expression, options = {}) {
+    this.parse(expression);
+    const now = new Date().toISOString();
+    const key = (name || '').trim().toLowerCase();
+    const existing = options.id
+      ? await this.getFilter(options.id)
+      : (await this.listFilters()).find(f => f.name.trim().toLowerCase() === key) || null;
+    
+    const record = {
+      id: existing ? existing.id : `f-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: (name || '').trim() || 'Untitled filter',
+      description: options.description ?? (existing ? existing.description : ''),
+      expression: expression.trim(),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    
+    await Workspace.run(Workspace.FILTERS_STORE, 'readwrite', store => store.put(record));
+    return record;
+  },
+  
+  async getFilter(id) {
+    return (await Workspace.run(Workspace.FILTERS_STORE, 'readonly', store => store.get(id))) || null;
+  },
+  
+  /**
+   * All saved filters, by name
+   */
+  async listFilters() {
+    const records = await Workspace.run(Workspace.FILTERS_STORE, 'readonly', store => store.getAll());
+    return (records || []).sort((a, b) => a.name.localeCompare(b.name));
+  },
+  
+  async deleteFilter(id) {
+    await Workspace.run(Workspace.FILTERS_STORE, 'readwrite', store => store.delete(id));
+  }
+};
+
+export default FilterLanguage;
@@ -0,0 +1,27 @@
+// progress.js - Progress reporting for long analyses
+// Analyzers call Progress.report(stage, done, total) from their per-event / per-group
+// loops. Whoever runs the analysis (AnalysisRunner, in the worker or on the page) listens
+// with Progress.track; with no listener a report is a single check.
+
+const Progress = {
+  listener: null,
+  
+  report(stage, done, total) {
+    if (this.listener) this.listener({ stage, done, total });
+  },
+  
+  /**
+   * Run fn with a progress listener installed (the previous one is restored afterwards)
+   */
+  track(listener, fn) {
+    const previous = this.listener;
+    this.listener = listener;
+    try {
+      return fn();
+    } finally {
+      this.listener = previous;
+    }
+  }
+};
+
+export default Progress;
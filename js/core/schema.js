@@ -1,6 +1,8 @@
 // schema.js - Dataset contract and column mapping
 // This defines the expected structure of DATA and normalizes events
 
+import CalendarDate from './calendarDate.js';
+
 const DataSchema = {
   // Required baseline dataset structure
   baseline: {
@@ -8,40 +10,82 @@ const DataSchema = {
     structure: {
       Date: 'YYYY-MM-DD',
       ADIZ_count: 'number or string'
+    },
+    fields: {
+      Date: { type: 'date' },
+      ADIZ_count: { type: 'count', min: 0, max: 500 }
     }
   },
   
+  // Diplomatic / Informational / Military / Economic instruments of power
+  DIME_CATEGORIES: ['Diplomatic', 'Informational', 'Military', 'Economic'],
+  
+  // Cell values treated as empty (pandas exports write "nan")
+  BLANK_VALUES: ['', 'nan', 'null', 'none', 'n/a', 'na'],
+  
+  // Categorical fields whose values have a natural order, lowest first
+  ORDINAL_FIELDS: {
+    value_tier: ['Micro (<$100M)', 'Small ($100–499M)', 'Medium ($500M–$1.99B)', 'Major ($2–$4.99B)', 'Mega (≥$5B)'],
+    US_Official_Level: ['Low', 'Medium', 'High'],
+    TW_Level: ['NonSenior', 'Senior'],
+    Milestone: ['Introduced', 'Passed', 'Became law']
+  },
+  
   // Event overlay datasets
   events: {
     arms_sales: {
       date_field: 'date',
       category: 'arms',
-      required: ['date', 'weapon_sale']
+      required: ['date', 'weapon_sale'],
+      fields: {
+        date: { type: 'date' },
+        value_usd: { type: 'number', min: 0 },
+        dime: { type: 'dime' }
+      }
     },
     diplomatic: {
       date_field: 'Date',
       category: 'diplomatic',
-      required: ['Date', 'Descriptor']
+      required: ['Date', 'Descriptor'],
+      fields: {
+        Date: { type: 'date' },
+        DIME: { type: 'dime' }
+      }
     },
     bills: {
       date_field: 'Date',
       category: 'bills',
-      required: ['Date', 'Bill_ID', 'Milestone']
+      required: ['Date', 'Bill_ID', 'Milestone'],
+      fields: {
+        Date: { type: 'date' }
+      }
     },
     ships: {
       date_field: 'Date',
       category: 'ships',
-      required: ['Date', 'Country', 'Ship_Type']
+      required: ['Date', 'Country', 'Ship_Type'],
+      fields: {
+        Date: { type: 'date' }
+      }
     },
     political_symbolic: {
       date_field: 'date',
       category: 'political',
-      required: ['date', 'event_name']
+      required: ['date', 'event_name'],
+      fields: {
+        date: { type: 'date' },
+        end_date: { type: 'date', notBefore: 'date' },
+        importance: { type: 'number', min: 1, max: 5 }
+      }
     },
     taiwan_actions: {
       date_field: 'date',
       category: 'taiwan_actions',
-      required: ['date', 'event_name', 'dime_category']
+      required: ['date', 'event_name', 'dime_category'],
+      fields: {
+        date: { type: 'date' },
+        dime_category: { type: 'dime', single: true }
+      }
     }
   },
   
@@ -87,7 +131,8 @@ const DataSchema = {
       case 'bills':
         return `${event.Bill_ID}: ${event.Milestone}`;
       case 'ships':
-        return event.Label || `${event.Country} ${event.Ship_Type}`;
+        // Label is plotly hover text: the first line names the ship, the rest repeats the columns
+        return event.Label ? event.Label.split('<br>')[0] : `${event.Country} ${event.Ship_Type}`;
       case 'political_symbolic':
         return event.description || event.event_name || '';
       case 'taiwan_actions':
@@ -97,33 +142,240 @@ const DataSchema = {
     }
   },
   
-  // Validate that DATA has required structure
+  /**
+   * Validate DATA against the contract
+   * Structural problems (no baseline, a dataset that is not an array) are fatal; row-level
+   * problems are reported per dataset/row so they can be reviewed before analysis.
+   * Errors: missing required fields, malformed dates, out-of-range numbers, duplicate
+   * baseline dates, unknown DIME categories. Warnings: unreported ADIZ counts, duplicate
+   * event rows, unknown datasets.
+   * @returns {object} {ok, fatal, errors, warnings, datasets: {name: {rows, errors, warnings}}}
+   */
   validate(DATA) {
-    const errors = [];
+    const result = { ok: true, fatal: false, errors: [], warnings: [], datasets: {} };
+    
+    const addIssue = (list, dataset, row, field, value, message) => {
+      list.push({ dataset, row, field, value: value === undefined ? null : value, message });
+      if (dataset && result.datasets[dataset]) {
+        result.datasets[dataset][list === result.errors ? 'errors' : 'warnings']++;
+      }
+    };
+    
+    const finish = () => {
+      result.ok = result.errors.length === 0;
+      return result;
+    };
     
-    if (!DATA || typeof DATA !== 'object') {
-      errors.push('DATA is not an object');
-      return { ok: false, errors };
+    if (!DATA || typeof DATA !== 'object' || Array.isArray(DATA)) {
+      result.fatal = true;
+      addIssue(result.errors, null, null, null, null, 'DATA is not an object');
+      return finish();
     }
     
     // Check baseline
     if (!DATA.adiz_baseline || !Array.isArray(DATA.adiz_baseline)) {
-      errors.push('Missing or invalid adiz_baseline array');
+      result.fatal = true;
+      addIssue(result.errors, 'adiz_baseline', null, null, null, 'Missing or invalid adiz_baseline array');
     }
     
     // Check event datasets (optional but validate if present)
     Object.keys(this.events).forEach(dataset => {
-      if (DATA[dataset]) {
-        if (!Array.isArray(DATA[dataset])) {
-          errors.push(`${dataset} must be an array`);
+      if (DATA[dataset] && !Array.isArray(DATA[dataset])) {
+        result.fatal = true;
+        addIssue(result.errors, dataset, null, null, null, `${dataset} must be an array`);
+      }
+    });
+    
+    if (result.fatal) return finish();
+    
+    Object.keys(DATA).forEach(key => {
+      if (key !== 'adiz_baseline' && !this.events[key]) {
+        addIssue(result.warnings, key, null, null, null, `Unknown dataset "${key}" is ignored`);
+      }
+    });
+    
+    // Baseline rows
+    const baseline = DATA.adiz_baseline;
+    result.datasets.adiz_baseline = { rows: baseline.length, errors: 0, warnings: 0 };
+    const seenDates = new Map();
+    
+    baseline.forEach((row, index) => {
+      const rowNumber = index + 1;
+      if (!row || typeof row !== 'object') {
+        addIssue(result.errors, 'adiz_baseline', rowNumber, null, null, 'Row is not an object');
+        return;
+      }
+      
+      this.checkRow('adiz_baseline', row, rowNumber, ['Date'], this.baseline.fields, result, addIssue);
+      
+      if (this.isValidDate(row.Date)) {
+        if (seenDates.has(row.Date)) {
+          addIssue(result.errors, 'adiz_baseline', rowNumber, 'Date', row.Date,
+            `Duplicate baseline date (also row ${seenDates.get(row.Date)})`);
+        } else {
+          seenDates.set(row.Date, rowNumber);
         }
       }
     });
     
-    return {
-      ok: errors.length === 0,
-      errors
-    };
+    // Event rows
+    Object.keys(this.events).forEach(dataset => {
+      const rows = DATA[dataset];
+      if (!rows) return;
+      
+      const config = this.events[dataset];
+      result.datasets[dataset] = { rows: rows.length, errors: 0, warnings: 0 };
+      const seenRows = new Map();
+      
+      rows.forEach((row, index) => {
+        const rowNumber = index + 1;
+        if (!row || typeof row !== 'object') {
+          addIssue(result.errors, dataset, rowNumber, null, null, 'Row is not an object');
+          return;
+        }
+        
+        this.checkRow(dataset, row, rowNumber, config.required, config.fields || {}, result, addIssue);
+        
+        const key = JSON.stringify(row);
+        if (seenRows.has(key)) {
+          addIssue(result.warnings, dataset, rowNumber, null, null, `Duplicate of row ${seenRows.get(key)}`);
+        } else {
+          seenRows.set(key, rowNumber);
+        }
+      });
+    });
+    
+    return finish();
+  },
+  
+  /**
+   * Check one row's required fields and field rules
+   */
+  checkRow(dataset, row, rowNumber, required, fields, result, addIssue) {
+    required.forEach(field => {
+      if (this.isBlank(row[field])) {
+        addIssue(result.errors, dataset, rowNumber, field, row[field], `Missing required field "${field}"`);
+      }
+    });
+    
+    Object.keys(fields).forEach(field => {
+      const value = row[field];
+      const rule = fields[field];
+      
+      if (this.isBlank(value)) {
+        // An unreported ADIZ count is a gap, not an error (see Utils.MISSING_POLICIES)
+        if (rule.type === 'count' && field in row) {
+          addIssue(result.warnings, dataset, rowNumber, field, value, 'No ADIZ count reported; treated as a missing day');
+        }
+        return;
+      }
+      
+      const message = this.checkValue(value, rule, row);
+      if (message) {
+        const isCountGap = rule.type === 'count' && !this.isNumeric(value);
+        addIssue(isCountGap ? result.warnings : result.errors, dataset, rowNumber, field, value, message);
+      }
+    });
+  },
+  
+  /**
+   * Check a non-blank value against a field rule; returns an error message or null
+   */
+  checkValue(value, rule, row) {
+    switch (rule.type) {
+      case 'date':
+        if (!this.isValidDate(value)) return `"${value}" is not a valid YYYY-MM-DD date`;
+        if (rule.notBefore && this.isValidDate(row[rule.notBefore]) && value < row[rule.notBefore]) {
+          return `${value} is before ${rule.notBefore} (${row[rule.notBefore]})`;
+        }
+        return null;
+        
+      case 'count':
+        if (!this.isNumeric(value)) return `"${value}" is not a number; treated as a missing day`;
+        return this.checkRange(Number(value), rule) || (Number.isInteger(Number(value)) ? null : `${value} is not a whole number`);
+        
+      case 'number':
+        if (!this.isNumeric(value)) return `"${value}" is not a number`;
+        return this.checkRange(Number(value), rule);
+        
+      case 'dime': {
+        const parts = rule.single ? [String(value)] : String(value).split('/');
+        const unknown = parts.filter(part => !this.normalizeDime(part));
+        if (unknown.length > 0) {
+          return `Unknown DIME category "${unknown.join('/')}" (expected ${this.DIME_CATEGORIES.join(', ')} or D/I/M/E)`;
+        }
+        return null;
+      }
+        
+      default:
+        return null;
+    }
+  },
+  
+  checkRange(number, rule) {
+    if (rule.min !== undefined && number < rule.min) return `${number} is below the minimum of ${rule.min}`;
+    if (rule.max !== undefined && number > rule.max) return `${number} is above the maximum of ${rule.max}`;
+    return null;
+  },
+  
+  /**
+   * Describe the analyzable fields of a dataset's events
+   * Date fields are skipped. A field is numeric when the contract says so or every
+   * non-blank value is a number; it is categorical when it has 2..maxLevels distinct
+   * values. Fields that are neither (free text, constants) are left out.
+   * @returns {object[]} [{field, numeric, categorical, ordinal: levels or null, values, count}]
+   */
+  profileFields(dataset, events, maxLevels = 12) {
+    const config = this.events[dataset] || { fields: {} };
+    const names = new Set(events.flatMap(e => Object.keys(e.fields)));
+    const profiles = [];
+    
+    names.forEach(field => {
+      const rule = config.fields[field] || {};
+      if (field === config.date_field || rule.type === 'date') return;
+      
+      const present = events.map(e => this.fieldValue(e.fields, field)).filter(v => v !== null);
+      const distinct = [...new Set(present)];
+      if (distinct.length < 2) return;
+      
+      const numeric = rule.type === 'number' || rule.type === 'count' || present.every(v => this.isNumeric(v));
+      const categorical = distinct.length <= maxLevels;
+      if (!numeric && !categorical) return;
+      
+      const ordinal = this.ORDINAL_FIELDS[field] || null;
+      const values = ordinal
+        ? [...ordinal.filter(v => distinct.includes(v)), ...distinct.filter(v => !ordinal.includes(v)).sort()]
+        : distinct.sort((a, b) => (numeric ? Number(a) - Number(b) : a.localeCompare(b)));
+      
+      profiles.push({ field, numeric, categorical, ordinal, values, count: present.length });
+    });
+    
+    return profiles;
+  },
+  
+  // Trimmed text of a field, or null when it is blank
+  fieldValue(fields, field) {
+    const value = fields[field];
+    return this.isBlank(value) ? null : String(value).trim();
+  },
+  
+  isBlank(value) {
+    return value === undefined || value === null || this.BLANK_VALUES.includes(String(value).trim().toLowerCase());
+  },
+  
+  isNumeric(value) {
+    return String(value).trim() !== '' && Number.isFinite(Number(value));
+  },
+  
+  // YYYY-MM-DD that is also a real calendar date (rejects 2023-02-30)
+  isValidDate(value) {
+    return CalendarDate.isValid(value);
+  },
+  
+  // Full DIME category name for a name or initial (case-insensitive), or null
+  normalizeDime(value) {
+    const text = String(value).trim().toLowerCase();
+    return this.DIME_CATEGORIES.find(c => c.toLowerCase() === text || c[0].toLowerCase() === text) || null;
   }
 };
 
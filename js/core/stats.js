@@ -0,0 +1,529 @@
+// stats.js - Resampling tests, confidence intervals and effect sizes
+// Seeded so the same inputs always produce the same p-values and intervals
+
+import Utils from './utils.js';
+
+const Stats = {
+  DEFAULT_ITERATIONS: 2000,
+  DEFAULT_SEED: 20200909,
+  DEFAULT_ALPHA: 0.05,
+  
+  /**
+   * Deterministic pseudo-random generator (mulberry32) returning floats in [0, 1)
+   */
+  createRng(seed = this.DEFAULT_SEED) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+  
+  /**
+   * In-place Fisher-Yates shuffle
+   */
+  shuffle(values, rng) {
+    for (let i = values.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      const swap = values[i];
+      values[i] = values[j];
+      values[j] = swap;
+    }
+    return values;
+  },
+  
+  /**
+   * Sample with replacement
+   */
+  resample(values, rng) {
+    const sample = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+      sample[i] = values[Math.floor(rng() * values.length)];
+    }
+    return sample;
+  },
+  
+  /**
+   * Mean of a sample with replacement, without building the sample (same draws and sum
+   * order as Utils.mean(resample(values)))
+   */
+  resampleMean(values, rng) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[Math.floor(rng() * values.length)];
+    }
+    return sum / values.length;
+  },
+  
+  /**
+   * Linear-interpolated quantile of a sorted array
+   */
+  quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  },
+  
+  /**
+   * Two-sided permutation test on the difference in means (A - B)
+   * The p-value uses the (hits + 1) / (iterations + 1) correction so it is never 0
+   */
+  permutationTest(a, b, options = {}) {
+    const iterations = options.iterations || this.DEFAULT_ITERATIONS;
+    const rng = this.createRng(options.seed ?? this.DEFAULT_SEED);
+    const x = Utils.reportedValues(a);
+    const y = Utils.reportedValues(b);
+    
+    if (x.length === 0 || y.length === 0) {
+      return { observed: null, pValue: null, iterations: 0 };
+    }
+    
+    const observed = Utils.mean(x) - Utils.mean(y);
+    const pooled = [...x, ...y];
+    let hits = 0;
+    
+    // Group means summed in place, in the order Utils.mean would add them
+    for (let i = 0; i < iterations; i++) {
+      this.shuffle(pooled, rng);
+      let sumX = 0;
+      let sumY = 0;
+      for (let k = 0; k < x.length; k++) sumX += pooled[k];
+      for (let k = x.length; k < pooled.length; k++) sumY += pooled[k];
+      const diff = sumX / x.length - sumY / y.length;
+      if (Math.abs(diff) >= Math.abs(observed) - 1e-12) hits++;
+    }
+    
+    return {
+      observed,
+      pValue: (hits + 1) / (iterations + 1),
+      iterations
+    };
+  },
+  
+  /**
+   * Percentile bootstrap confidence interval for the difference in means (A - B)
+   */
+  bootstrapDiffCI(a, b, options = {}) {
+    const iterations = options.iterations || this.DEFAULT_ITERATIONS;
+    const level = options.level || 1 - this.DEFAULT_ALPHA;
+    const rng = this.createRng((options.seed ?? this.DEFAULT_SEED) + 1);
+    const x = Utils.reportedValues(a);
+    const y = Utils.reportedValues(b);
+    
+    if (x.length === 0 || y.length === 0) {
+      return { estimate: null, lower: null, upper: null, level };
+    }
+    
+    const diffs = [];
+    for (let i = 0; i < iterations; i++) {
+      diffs.push(this.resampleMean(x, rng) - this.resampleMean(y, rng));
+    }
+    diffs.sort((p, q) => p - q);
+    
+    const tail = (1 - level) / 2;
+    return {
+      estimate: Utils.mean(x) - Utils.mean(y),
+      lower: this.quantile(diffs, tail),
+      upper: this.quantile(diffs, 1 - tail),
+      level
+    };
+  },
+  
+  /**
+   * Cohen's d with pooled (sample) standard deviation
+   */
+  cohensD(a, b) {
+    const x = Utils.reportedValues(a);
+    const y = Utils.reportedValues(b);
+    if (x.length < 2 || y.length < 2) return null;
+    
+    const variance = (values, m) =>
+      values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1);
+    const meanX = Utils.mean(x);
+    const meanY = Utils.mean(y);
+    const pooled = Math.sqrt(
+      ((x.length - 1) * variance(x, meanX) + (y.length - 1) * variance(y, meanY)) /
+      (x.length + y.length - 2)
+    );
+    
+    return pooled > 0 ? (meanX - meanY) / pooled : 0;
+  },
+  
+  /**
+   * Cliff's delta: P(A > B) - P(A < B), robust to outliers like the Pelosi spike
+   */
+  cliffsDelta(a, b) {
+    const x = Utils.reportedValues(a);
+    const y = Utils.reportedValues(b);
+    if (x.length === 0 || y.length === 0) return null;
+    
+    let greater = 0;
+    let less = 0;
+    x.forEach(xi => {
+      y.forEach(yi => {
+        if (xi > yi) greater++;
+        else if (xi < yi) less++;
+      });
+    });
+    
+    return (greater - less) / (x.length * y.length);
+  },
+  
+  /**
+   * Conventional magnitude label for Cliff's delta (Romano et al. thresholds)
+   */
+  describeCliffsDelta(delta) {
+    if (delta === null) return 'unknown';
+    const size = Math.abs(delta);
+    if (size < 0.147) return 'negligible';
+    if (size < 0.33) return 'small';
+    if (size < 0.474) return 'medium';
+    return 'large';
+  },
+  
+  /**
+   * Sample (n - 1) standard deviation
+   */
+  sampleStdDev(values) {
+    const x = Utils.reportedValues(values);
+    if (x.length < 2) return 0;
+    const m = Utils.mean(x);
+    return Math.sqrt(x.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (x.length - 1));
+  },
+  
+  /**
+   * Standard normal draw (Box-Muller) from a uniform generator such as createRng()
+   */
+  normalDraw(rng) {
+    const u = 1 - rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  },
+  
+  /**
+   * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17)
+   */
+  normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+  },
+  
+  /**
+   * Two-sided p-value for a z / large-sample t statistic
+   */
+  twoSidedP(z) {
+    return 2 * (1 - this.normalCdf(Math.abs(z)));
+  },
+  
+  logFactorial(n) {
+    let sum = 0;
+    for (let i = 2; i <= n; i++) sum += Math.log(i);
+    return sum;
+  },
+  
+  /**
+   * One-sided hypergeometric p-value: chance of at least `hits` successes when drawing
+   * `draws` items from `population` items of which `successes` are successes
+   * (the one-sided Fisher exact test for over-representation)
+   */
+  hypergeometricTail(hits, draws, successes, population) {
+    const logChoose = (n, k) => this.logFactorial(n) - this.logFactorial(k) - this.logFactorial(n - k);
+    const denominator = logChoose(population, draws);
+    let p = 0;
+    for (let k = hits; k <= Math.min(draws, successes); k++) {
+      if (draws - k > population - successes) continue;
+      p += Math.exp(logChoose(successes, k) + logChoose(population - successes, draws - k) - denominator);
+    }
+    return Math.min(1, p);
+  },
+  
+  /**
+   * Benjamini-Hochberg q-values (false discovery rate) for a list of p-values, in input order
+   * Null p-values stay null and are not counted
+   */
+  benjaminiHochberg(pValues) {
+    const indexed = pValues
+      .map((p, i) => ({ p, i }))
+      .filter(item => item.p !== null)
+      .sort((a, b) => a.p - b.p);
+    const q = pValues.map(() => null);
+    
+    let running = 1;
+    for (let r = indexed.length - 1; r >= 0; r--) {
+      running = Math.min(running, (indexed[r].p * indexed.length) / (r + 1));
+      q[indexed[r].i] = running;
+    }
+    return q;
+  },
+  
+  /**
+   * Holm step-down adjusted p-values (family-wise error), in input order
+   * Null p-values stay null and are not counted
+   */
+  holm(pValues) {
+    const indexed = pValues
+      .map((p, i) => ({ p, i }))
+      .filter(item => item.p !== null)
+      .sort((a, b) => a.p - b.p);
+    const adjusted = pValues.map(() => null);
+    
+    let running = 0;
+    indexed.forEach((item, r) => {
+      running = Math.max(running, Math.min(1, (indexed.length - r) * item.p));
+      adjusted[item.i] = running;
+    });
+    return adjusted;
+  },
+  
+  /**
+   * Kruskal-Wallis H (rank-based one-way test, tie-corrected) across any number of samples,
+   * with a permutation p-value and epsilon² = H / (n - 1) as the effect size
+   * @returns {object} {statistic, pValue, effectSize, n, k}
+   */
+  kruskalWallis(groups, options = {}) {
+    const samples = groups.map(g => Utils.reportedValues(g)).filter(s => s.length > 0);
+    const sizes = samples.map(s => s.length);
+    const n = sizes.reduce((sum, size) => sum + size, 0);
+    if (samples.length < 2 || n <= samples.length) {
+      return { statistic: null, pValue: null, effectSize: null, n, k: samples.length };
+    }
+    
+    const ranks = this.rank(samples.flat());
+    const tieCounts = new Map();
+    ranks.forEach(r => tieCounts.set(r, (tieCounts.get(r) || 0) + 1));
+    let ties = 0;
+    tieCounts.forEach(t => { ties += t ** 3 - t; });
+    const correction = 1 - ties / (n ** 3 - n);
+    
+    const statistic = values => {
+      if (correction <= 0) return 0;
+      let sum = 0;
+      let start = 0;
+      sizes.forEach(size => {
+        let rankSum = 0;
+        for (let i = start; i < start + size; i++) rankSum += values[i];
+        sum += (rankSum * rankSum) / size;
+        start += size;
+      });
+      return ((12 / (n * (n + 1))) * sum - 3 * (n + 1)) / correction;
+    };
+    
+    const test = this.omnibusPermutation(ranks, statistic, options);
+    return { statistic: test.observed, pValue: test.pValue, effectSize: test.observed / (n - 1), n, k: samples.length };
+  },
+  
+  /**
+   * One-way ANOVA F across any number of samples, with a permutation p-value (no normality
+   * assumption) and eta² as the effect size
+   * @returns {object} {statistic, pValue, effectSize, n, k}
+   */
+  oneWayAnova(groups, options = {}) {
+    const samples = groups.map(g => Utils.reportedValues(g)).filter(s => s.length > 0);
+    const sizes = samples.map(s => s.length);
+    const n = sizes.reduce((sum, size) => sum + size, 0);
+    const k = samples.length;
+    if (k < 2 || n <= k) {
+      return { statistic: null, pValue: null, effectSize: null, n, k };
+    }
+    
+    const pooled = samples.flat();
+    const grandMean = Utils.mean(pooled);
+    const total = pooled.reduce((sum, v) => sum + (v - grandMean) ** 2, 0);
+    const between = values => {
+      let sum = 0;
+      let start = 0;
+      sizes.forEach(size => {
+        let groupSum = 0;
+        for (let i = start; i < start + size; i++) groupSum += values[i];
+        sum += size * (groupSum / size - grandMean) ** 2;
+        start += size;
+      });
+      return sum;
+    };
+    const statistic = values => {
+      const ssb = between(values);
+      const ssw = total - ssb;
+      if (ssw <= 1e-12) return ssb > 0 ? Infinity : 0;
+      return (ssb / (k - 1)) / (ssw / (n - k));
+    };
+    
+    const test = this.omnibusPermutation(pooled, statistic, options);
+    return { statistic: test.observed, pValue: test.pValue, effectSize: total > 0 ? between(pooled) / total : 0, n, k };
+  },
+  
+  /**
+   * Permutation p-value for a statistic of pooled values whose group boundaries are fixed:
+   * shuffle, recompute, and count statistics at least as large as the observed one
+   */
+  omnibusPermutation(values, statistic, options = {}) {
+    const iterations = options.iterations || this.DEFAULT_ITERATIONS;
+    const rng = this.createRng(options.seed ?? this.DEFAULT_SEED);
+    const observed = statistic(values);
+    const shuffled = [...values];
+    let hits = 0;
+    
+    for (let i = 0; i < iterations; i++) {
+      this.shuffle(shuffled, rng);
+      if (statistic(shuffled) >= observed - 1e-12) hits++;
+    }
+    
+    return { observed, pValue: (hits + 1) / (iterations + 1), iterations };
+  },
+  
+  /**
+   * Ranks starting at 1, ties sharing their average rank
+   */
+  rank(values) {
+    const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+      let end = start;
+      while (end + 1 < order.length && order[end + 1].v === order[start].v) end++;
+      for (let k = start; k <= end; k++) ranks[order[k].i] = (start + end) / 2 + 1;
+      start = end + 1;
+    }
+    return ranks;
+  },
+  
+  /**
+   * Pearson correlation (null when either series is constant)
+   */
+  correlation(x, y) {
+    const meanX = Utils.mean(x);
+    const meanY = Utils.mean(y);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < x.length; i++) {
+      sxy += (x[i] - meanX) * (y[i] - meanY);
+      sxx += (x[i] - meanX) * (x[i] - meanX);
+      syy += (y[i] - meanY) * (y[i] - meanY);
+    }
+    return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+  },
+  
+  /**
+   * Spearman rank correlation with a two-sided permutation p-value
+   */
+  spearman(x, y, options = {}) {
+    const iterations = options.iterations || this.DEFAULT_ITERATIONS;
+    const rng = this.createRng(options.seed ?? this.DEFAULT_SEED);
+    const rx = this.rank(x);
+    const ry = this.rank(y);
+    const rho = this.correlation(rx, ry);
+    if (rho === null) return { rho: null, pValue: null, n: x.length };
+    
+    const shuffled = [...ry];
+    let hits = 0;
+    for (let i = 0; i < iterations; i++) {
+      this.shuffle(shuffled, rng);
+      if (Math.abs(this.correlation(rx, shuffled)) >= Math.abs(rho) - 1e-12) hits++;
+    }
+    
+    return { rho, pValue: (hits + 1) / (iterations + 1), n: x.length };
+  },
+  
+  /**
+   * Ordinary least squares via the normal equations
+   * Returns coefficients with classical standard errors; a tiny ridge term keeps
+   * the system solvable when a dummy or regressor never varies
+   */
+  ols(X, y) {
+    const n = X.length;
+    const p = X[0].length;
+    
+    const XtX = Array.from({ length: p }, () => new Array(p).fill(0));
+    const Xty = new Array(p).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < p; j++) {
+        Xty[j] += X[i][j] * y[i];
+        for (let k = 0; k < p; k++) XtX[j][k] += X[i][j] * X[i][k];
+      }
+    }
+    for (let j = 1; j < p; j++) XtX[j][j] += 1e-8;
+    
+    const inverse = this.invert(XtX);
+    const coefficients = inverse.map(row => row.reduce((sum, v, k) => sum + v * Xty[k], 0));
+    
+    const meanY = Utils.mean(y);
+    let ssr = 0;
+    let sst = 0;
+    for (let i = 0; i < n; i++) {
+      const fitted = X[i].reduce((sum, x, j) => sum + x * coefficients[j], 0);
+      ssr += Math.pow(y[i] - fitted, 2);
+      sst += Math.pow(y[i] - meanY, 2);
+    }
+    
+    const sigma = Math.sqrt(ssr / Math.max(1, n - p));
+    
+    return {
+      coefficients,
+      standardErrors: inverse.map((row, j) => sigma * Math.sqrt(Math.max(0, row[j]))),
+      sigma,
+      rSquared: sst > 0 ? 1 - ssr / sst : 0,
+      n,
+      p
+    };
+  },
+  
+  /**
+   * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+   * Singular columns come back as zeros rather than throwing
+   */
+  invert(A) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+    
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+      
+      const div = M[col][col];
+      if (Math.abs(div) < 1e-12) {
+        M[col].fill(0);
+        continue;
+      }
+      for (let c = 0; c < 2 * n; c++) M[col][c] /= div;
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const factor = M[r][col];
+        if (factor === 0) continue;
+        for (let c = 0; c < 2 * n; c++) M[r][c] -= factor * M[col][c];
+      }
+    }
+    
+    return M.map(row => row.slice(n));
+  },
+  
+  /**
+   * Full two-group comparison of one metric: permutation p-value, bootstrap CI and effect sizes
+   */
+  compareSamples(a, b, options = {}) {
+    const alpha = options.alpha || this.DEFAULT_ALPHA;
+    const permutation = this.permutationTest(a, b, options);
+    const ci = this.bootstrapDiffCI(a, b, { ...options, level: 1 - alpha });
+    const cliffsDelta = this.cliffsDelta(a, b);
+    
+    return {
+      diff: permutation.observed,
+      pValue: permutation.pValue,
+      ci,
+      cohensD: this.cohensD(a, b),
+      cliffsDelta,
+      effectSize: this.describeCliffsDelta(cliffsDelta),
+      significant: permutation.pValue !== null && permutation.pValue < alpha,
+      n: [Utils.reportedValues(a).length, Utils.reportedValues(b).length]
+    };
+  }
+};
+
+export default Stats;
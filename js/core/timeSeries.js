@@ -0,0 +1,306 @@
+// timeSeries.js - Dense day-indexed ADIZ series
+// The baseline is held as a typed array with one slot per calendar day. For each
+// missing-data policy a layer adds the filled values, a status per day and prefix sums of
+// the values, their squares and the usable and reported day counts. A window is then a
+// slice, and a mean, spread or coverage over any run of days is two prefix-sum lookups,
+// instead of one Map lookup (plus neighbour searches) per day per event.
+
+import CalendarDate from './calendarDate.js';
+
+const TimeSeries = {
+  // Missing-data policies for days with no ADIZ report:
+  //   skip          - leave the day as a gap (null)
+  //   carry-forward - repeat the last reported value
+  //   interpolate   - linear interpolation between the reported neighbours
+  MISSING_POLICIES: ['skip', 'carry-forward', 'interpolate'],
+  
+  // Longest run of unreported days that carry-forward / interpolate will bridge
+  MAX_FILL_DAYS: 7,
+  
+  // Day status codes in a layer, indexing STATUS_NAMES
+  MISSING: 0,
+  REPORTED: 1,
+  IMPUTED: 2,
+  STATUS_NAMES: ['missing', 'reported', 'imputed'],
+  
+  // Series built from baseline Maps, so passing the same Map again reuses it
+  // (DataConnector replaces its Map on every load rather than mutating it)
+  fromMapCache: new WeakMap(),
+  
+  /**
+   * Build a series from a date → count Map (Utils.createBaselineMap; null = unreported)
+   * The span is padded by MAX_FILL_DAYS on both sides so days just outside the reported
+   * range are filled exactly as a neighbour search would fill them.
+   * start and end are the first and last valid dates of the Map (null when it has none).
+   * @returns {object} {origin, length, start, end, raw, dates, layers}
+   */
+  fromMap(baselineMap) {
+    let first = Infinity;
+    let last = -Infinity;
+    baselineMap.forEach((_, date) => {
+      if (!CalendarDate.isValid(date)) return;
+      const day = CalendarDate.parse(date);
+      if (day < first) first = day;
+      if (day > last) last = day;
+    });
+    
+    if (first === Infinity) {
+      return { origin: 0, length: 0, start: null, end: null, raw: new Float64Array(0), dates: [], layers: {} };
+    }
+    
+    const origin = first - this.MAX_FILL_DAYS;
+    const length = last - first + 1 + 2 * this.MAX_FILL_DAYS;
+    const raw = new Float64Array(length).fill(NaN);
+    baselineMap.forEach((value, date) => {
+      if (CalendarDate.isValid(date) && typeof value === 'number') {
+        raw[CalendarDate.parse(date) - origin] = value;
+      }
+    });
+    
+    return {
+      origin,
+      length,
+      start: CalendarDate.format(first),
+      end: CalendarDate.format(last),
+      raw,
+      dates: null,
+      layers: {}
+    };
+  },
+  
+  /**
+   * The series for a source: a series is returned as is, a baseline Map is converted once
+   */
+  of(source) {
+    if (!(source instanceof Map)) return source;
+    if (!this.fromMapCache.has(source)) {
+      this.fromMapCache.set(source, this.fromMap(source));
+    }
+    return this.fromMapCache.get(source);
+  },
+  
+  /**
+   * Filled values, status and prefix sums of a series under a missing-data policy (built
+   * on first use). Prefix arrays have one more entry than the series: sum[i] covers days
+   * 0..i-1.
+   * @returns {object} {values, status, sum, sumSquares, usable, reported}
+   */
+  layer(series, policy) {
+    if (!this.MISSING_POLICIES.includes(policy)) {
+      throw new Error(`Unknown missing-data policy: ${policy}`);
+    }
+    if (!series.layers[policy]) {
+      series.layers[policy] = this.buildLayer(series.raw, policy);
+    }
+    return series.layers[policy];
+  },
+  
+  buildLayer(raw, policy) {
+    const n = raw.length;
+    const values = Float64Array.from(raw);
+    const status = new Uint8Array(n);
+    for (let i = 0; i < n; i++) {
+      if (!Number.isNaN(raw[i])) status[i] = this.REPORTED;
+    }
+    
+    if (policy !== 'skip') {
+      // Nearest reported day at or after each day
+      const next = new Int32Array(n);
+      let upcoming = -1;
+      for (let i = n - 1; i >= 0; i--) {
+        if (status[i] === this.REPORTED) upcoming = i;
+        next[i] = upcoming;
+      }
+      
+      let previous = -1;
+      for (let i = 0; i < n; i++) {
+        if (status[i] === this.REPORTED) {
+          previous = i;
+          continue;
+        }
+        const before = previous >= 0 ? i - previous : Infinity;
+        if (before > this.MAX_FILL_DAYS) continue;
+        
+        if (policy === 'carry-forward') {
+          values[i] = raw[previous];
+          status[i] = this.IMPUTED;
+        } else {
+          const after = next[i] >= 0 ? next[i] - i : Infinity;
+          if (after > this.MAX_FILL_DAYS) continue;
+          const fraction = before / (before + after);
+          values[i] = raw[previous] + (raw[next[i]] - raw[previous]) * fraction;
+          status[i] = this.IMPUTED;
+        }
+      }
+    }
+    
+    const sum = new Float64Array(n + 1);
+    const sumSquares = new Float64Array(n + 1);
+    const usable = new Int32Array(n + 1);
+    const reported = new Int32Array(n + 1);
+    for (let i = 0; i < n; i++) {
+      const value = status[i] === this.MISSING ? 0 : values[i];
+      sum[i + 1] = sum[i] + value;
+      sumSquares[i + 1] = sumSquares[i] + value * value;
+      usable[i + 1] = usable[i] + (status[i] === this.MISSING ? 0 : 1);
+      reported[i + 1] = reported[i] + (status[i] === this.REPORTED ? 1 : 0);
+    }
+    
+    return { values, status, sum, sumSquares, usable, reported };
+  },
+  
+  /**
+   * Index of a date in the series (may fall outside 0..length-1)
+   */
+  indexOf(series, date) {
+    return CalendarDate.parse(date) - series.origin;
+  },
+  
+  /**
+   * 'YYYY-MM-DD' of an index (formatted once per day of the series)
+   */
+  dateAt(series, index) {
+    if (index < 0 || index >= series.length) {
+      return CalendarDate.format(series.origin + index);
+    }
+    if (!series.dates) {
+      series.dates = Array.from({ length: series.length }, (_, i) => CalendarDate.format(series.origin + i));
+    }
+    return series.dates[index];
+  },
+  
+  /**
+   * Value and status of the day at an index; days outside the series are missing
+   * @returns {object} {value, status} - status 'reported', 'imputed' or 'missing'
+   */
+  valueAt(layer, index) {
+    const code = index >= 0 && index < layer.status.length ? layer.status[index] : this.MISSING;
+    return {
+      value: code === this.MISSING ? null : layer.values[index],
+      status: this.STATUS_NAMES[code]
+    };
+  },
+  
+  resolve(series, date, policy) {
+    return this.valueAt(this.layer(series, policy), this.indexOf(series, date));
+  },
+  
+  /**
+   * Every day from start to end inclusive
+   * @returns {object[]} [{date, adiz_count, status}]
+   */
+  points(series, startDate, endDate, policy) {
+    const layer = this.layer(series, policy);
+    const from = this.indexOf(series, startDate);
+    const to = this.indexOf(series, endDate);
+    const points = [];
+    for (let i = from; i <= to; i++) {
+      const { value, status } = this.valueAt(layer, i);
+      points.push({ date: this.dateAt(series, i), adiz_count: value, status });
+    }
+    return points;
+  },
+  
+  /**
+   * Days fromOffset..toOffset around an event
+   * @returns {object[]} [{date, adiz_count, days_from_event, status}]
+   */
+  window(series, eventDate, fromOffset, toOffset, policy) {
+    const layer = this.layer(series, policy);
+    const center = this.indexOf(series, eventDate);
+    const points = [];
+    for (let offset = fromOffset; offset <= toOffset; offset++) {
+      const { value, status } = this.valueAt(layer, center + offset);
+      points.push({ date: this.dateAt(series, center + offset), adiz_count: value, days_from_event: offset, status });
+    }
+    return points;
+  },
+  
+  /**
+   * Statistics of the usable days from start to end inclusive (a rolling baseline is this
+   * over a window that moves with the event). Count, mean and spread come from the prefix
+   * sums; min and max scan the range. Statistics are null when no day is usable.
+   * @returns {object} {total, reported, imputed, count, sum, mean, stdDev, min, max}
+   */
+  rangeStats(series, startDate, endDate, policy) {
+    const layer = this.layer(series, policy);
+    const from = this.indexOf(series, startDate);
+    const to = this.indexOf(series, endDate);
+    const total = Math.max(0, to - from + 1);
+    
+    // Prefix sums only cover the series; days outside it are missing
+    const lo = Math.min(Math.max(from, 0), series.length);
+    const hi = Math.min(Math.max(to + 1, 0), series.length);
+    const count = hi > lo ? layer.usable[hi] - layer.usable[lo] : 0;
+    const reported = hi > lo ? layer.reported[hi] - layer.reported[lo] : 0;
+    if (count === 0) {
+      return { total, reported, imputed: 0, count, sum: 0, mean: null, stdDev: null, min: null, max: null };
+    }
+    
+    const sum = layer.sum[hi] - layer.sum[lo];
+    const mean = sum / count;
+    const variance = (layer.sumSquares[hi] - layer.sumSquares[lo]) / count - mean * mean;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = lo; i < hi; i++) {
+      if (layer.status[i] === this.MISSING) continue;
+      if (layer.values[i] < min) min = layer.values[i];
+      if (layer.values[i] > max) max = layer.values[i];
+    }
+    
+    return {
+      total,
+      reported,
+      imputed: count - reported,
+      count,
+      sum,
+      mean,
+      // Rounding can leave a tiny negative variance for a constant run
+      stdDev: Math.sqrt(Math.max(variance, 0)),
+      min,
+      max
+    };
+  },
+  
+  /**
+   * Weighted mean and weighted (population) standard deviation across events at every
+   * offset, from the usable days only. Offsets where no event has a usable day are left out.
+   * @param {string[]} eventDates - Event dates
+   * @param {number[]} weights - Per-event weights (default 1)
+   * @returns {object[]} [{offset, mean, stdDev, count}]
+   */
+  averageCurve(series, eventDates, weights, fromOffset, toOffset, policy) {
+    const layer = this.layer(series, policy);
+    const centers = eventDates.map(date => this.indexOf(series, date));
+    const weightOf = i => (weights && weights[i] !== undefined && weights[i] !== null ? weights[i] : 1);
+    const curve = [];
+    
+    for (let offset = fromOffset; offset <= toOffset; offset++) {
+      let weighted = 0;
+      let totalWeight = 0;
+      let count = 0;
+      centers.forEach((center, i) => {
+        const index = center + offset;
+        if (index < 0 || index >= series.length || layer.status[index] === this.MISSING) return;
+        weighted += layer.values[index] * weightOf(i);
+        totalWeight += weightOf(i);
+        count++;
+      });
+      if (count === 0) continue;
+      
+      const mean = totalWeight > 0 ? weighted / totalWeight : 0;
+      let squares = 0;
+      centers.forEach((center, i) => {
+        const index = center + offset;
+        if (index < 0 || index >= series.length || layer.status[index] === this.MISSING) return;
+        squares += (layer.values[index] - mean) ** 2 * weightOf(i);
+      });
+      
+      curve.push({ offset, mean, stdDev: Math.sqrt(totalWeight > 0 ? squares / totalWeight : 0), count });
+    }
+    
+    return curve;
+  }
+};
+
+export default TimeSeries;
@@ -1,116 +1,187 @@
 // utils.js - Shared date, windowing, and statistical utilities
 
+import CalendarDate from './calendarDate.js';
+import TimeSeries from './timeSeries.js';
+
 const Utils = {
-  // Date utilities
+  // Date utilities: calendar dates are 'YYYY-MM-DD' strings, computed by CalendarDate
+  // without Date objects so results do not depend on the browser's time zone
+  
+  // Day number (days since 1970-01-01) of a date
   parseDate(dateStr) {
-    return new Date(dateStr);
+    return CalendarDate.parse(dateStr);
   },
   
   formatDate(date) {
-    if (typeof date === 'string') date = new Date(date);
-    return date.toISOString().split('T')[0];
+    return CalendarDate.format(date);
   },
   
   daysDiff(date1, date2) {
-    const d1 = typeof date1 === 'string' ? new Date(date1) : date1;
-    const d2 = typeof date2 === 'string' ? new Date(date2) : date2;
-    return Math.floor((d2 - d1) / (1000 * 60 * 60 * 24));
+    return CalendarDate.diff(date1, date2);
   },
   
   addDays(date, days) {
-    const result = new Date(date);
-    result.setDate(result.getDate() + days);
-    return result;
+    return CalendarDate.add(date, days);
   },
   
+  // Missing-data policies for days with no ADIZ report (skip, carry-forward, interpolate)
+  // and the longest gap they bridge; the filling itself lives in TimeSeries
+  MISSING_POLICIES: TimeSeries.MISSING_POLICIES,
+  DEFAULT_MISSING_POLICY: 'skip',
+  MAX_FILL_DAYS: TimeSeries.MAX_FILL_DAYS,
+  
+  // Share of reported days below which a result is flagged as resting on thin data
+  LOW_COVERAGE_THRESHOLD: 0.8,
+  
   // Create ADIZ baseline map for quick lookups
+  // Non-numeric counts ("n/a", "") are stored as null so they read as gaps, not zero;
+  // rows without a valid calendar date (reported by validation) are left out
   createBaselineMap(adiz_baseline) {
     const map = new Map();
     adiz_baseline.forEach(entry => {
-      map.set(entry.Date, parseFloat(entry.ADIZ_count) || 0);
+      if (!CalendarDate.isValid(entry.Date)) return;
+      const value = parseFloat(entry.ADIZ_count);
+      map.set(entry.Date, Number.isFinite(value) ? value : null);
     });
     return map;
   },
   
-  // Get ADIZ count for a specific date
-  getADIZCount(date, baselineMap) {
+  isReported(value) {
+    return typeof value === 'number' && !Number.isNaN(value);
+  },
+  
+  // Drop gaps (null/undefined/NaN) from a list of values
+  reportedValues(values) {
+    return values.filter(v => this.isReported(v));
+  },
+  
+  // The window, lookup and baseline functions below take the ADIZ data as `source`:
+  // a TimeSeries (DataConnector.series) or a date → count Map, converted once and reused
+  
+  // Resolve the ADIZ value for a date under a missing-data policy
+  // Returns { value, status } where status is 'reported', 'imputed' or 'missing'
+  resolveADIZ(date, source, policy = this.DEFAULT_MISSING_POLICY) {
     const dateStr = typeof date === 'string' ? date : this.formatDate(date);
-    return baselineMap.get(dateStr) || 0;
+    return TimeSeries.resolve(TimeSeries.of(source), dateStr, policy);
+  },
+  
+  // Get ADIZ count for a specific date (null when the day has no report)
+  getADIZCount(date, source, policy = this.DEFAULT_MISSING_POLICY) {
+    return this.resolveADIZ(date, source, policy).value;
   },
   
   // Get window of dates around an event
   getDateWindow(eventDate, windowSize) {
-    const dates = [];
-    const start = this.addDays(eventDate, -windowSize);
-    const end = this.addDays(eventDate, windowSize);
-    
-    for (let d = new Date(start); d <= end; d = this.addDays(d, 1)) {
-      dates.push(this.formatDate(d));
-    }
-    
-    return dates;
+    return CalendarDate.range(this.addDays(eventDate, -windowSize), this.addDays(eventDate, windowSize));
   },
   
   // Extract ADIZ values for a date window
-  getWindowData(eventDate, windowSize, baselineMap) {
-    const dates = this.getDateWindow(eventDate, windowSize);
-    return dates.map(date => ({
-      date,
-      adiz_count: this.getADIZCount(date, baselineMap),
-      days_from_event: this.daysDiff(eventDate, date)
-    }));
+  // Unreported days carry adiz_count: null unless the policy imputes them
+  getWindowData(eventDate, windowSize, source, policy = this.DEFAULT_MISSING_POLICY) {
+    return TimeSeries.window(TimeSeries.of(source), eventDate, -windowSize, windowSize, policy);
   },
   
-  // Statistical functions
+  // Data coverage of a set of window points: how many days were actually reported
+  getCoverage(points) {
+    const total = points.length;
+    const reported = points.filter(p => p.status === 'reported').length;
+    const imputed = points.filter(p => p.status === 'imputed').length;
+    return this.buildCoverage(total, reported, imputed);
+  },
+  
+  // Combine several coverage figures into one
+  mergeCoverage(coverages) {
+    const total = coverages.reduce((sum, c) => sum + c.total, 0);
+    const reported = coverages.reduce((sum, c) => sum + c.reported, 0);
+    const imputed = coverages.reduce((sum, c) => sum + c.imputed, 0);
+    return this.buildCoverage(total, reported, imputed);
+  },
+  
+  buildCoverage(total, reported, imputed) {
+    const ratio = total > 0 ? reported / total : 0;
+    return {
+      total,
+      reported,
+      imputed,
+      missing: total - reported - imputed,
+      ratio,
+      thin: ratio < this.LOW_COVERAGE_THRESHOLD
+    };
+  },
+  
+  // Statistical functions (gaps are ignored; an empty or all-gap list yields 0)
   mean(values) {
-    if (!values || values.length === 0) return 0;
-    return values.reduce((sum, val) => sum + val, 0) / values.length;
+    const reported = values ? this.reportedValues(values) : [];
+    if (reported.length === 0) return 0;
+    return reported.reduce((sum, val) => sum + val, 0) / reported.length;
   },
   
   stdDev(values) {
-    if (!values || values.length === 0) return 0;
-    const avg = this.mean(values);
-    const squareDiffs = values.map(value => Math.pow(value - avg, 2));
+    const reported = values ? this.reportedValues(values) : [];
+    if (reported.length === 0) return 0;
+    const avg = this.mean(reported);
+    const squareDiffs = reported.map(value => Math.pow(value - avg, 2));
     return Math.sqrt(this.mean(squareDiffs));
   },
   
+  // Weighted mean; gaps and their weights are skipped
+  weightedMean(values, weights) {
+    let sum = 0;
+    let total = 0;
+    values.forEach((v, i) => {
+      if (!this.isReported(v)) return;
+      const w = weights ? weights[i] : 1;
+      sum += v * w;
+      total += w;
+    });
+    return total > 0 ? sum / total : 0;
+  },
+  
+  weightedStdDev(values, weights) {
+    const avg = this.weightedMean(values, weights);
+    const squareDiffs = values.map(v => this.isReported(v) ? Math.pow(v - avg, 2) : null);
+    return Math.sqrt(this.weightedMean(squareDiffs, weights));
+  },
+  
   max(values) {
-    if (!values || values.length === 0) return 0;
-    return Math.max(...values);
+    const reported = values ? this.reportedValues(values) : [];
+    if (reported.length === 0) return 0;
+    return Math.max(...reported);
   },
   
   min(values) {
-    if (!values || values.length === 0) return 0;
-    return Math.min(...values);
+    const reported = values ? this.reportedValues(values) : [];
+    if (reported.length === 0) return 0;
+    return Math.min(...reported);
   },
   
   // Calculate baseline statistics for comparison period
-  getBaselineStats(eventDate, baselineDays, baselineMap) {
+  // Statistics are null when no day in the period has a usable value
+  getBaselineStats(eventDate, baselineDays, source, policy = this.DEFAULT_MISSING_POLICY) {
     const baselineEnd = this.addDays(eventDate, -1);
     const baselineStart = this.addDays(baselineEnd, -baselineDays);
     
-    const values = [];
-    for (let d = new Date(baselineStart); d <= baselineEnd; d = this.addDays(d, 1)) {
-      values.push(this.getADIZCount(d, baselineMap));
-    }
+    const stats = TimeSeries.rangeStats(TimeSeries.of(source), baselineStart, baselineEnd, policy);
     
     return {
-      mean: this.mean(values),
-      stdDev: this.stdDev(values),
-      max: this.max(values),
-      min: this.min(values),
-      count: values.length
+      mean: stats.mean,
+      stdDev: stats.stdDev,
+      max: stats.max,
+      min: stats.min,
+      count: stats.count,
+      coverage: this.buildCoverage(stats.total, stats.reported, stats.imputed)
     };
   },
   
   // Moving average smoothing
+  // Gaps are skipped inside each window; a window with no values stays a gap
   movingAverage(data, window = 7) {
     const result = [];
     for (let i = 0; i < data.length; i++) {
       const start = Math.max(0, i - Math.floor(window / 2));
       const end = Math.min(data.length, i + Math.floor(window / 2) + 1);
-      const slice = data.slice(start, end);
-      result.push(this.mean(slice));
+      const slice = this.reportedValues(data.slice(start, end));
+      result.push(slice.length > 0 ? this.mean(slice) : null);
     }
     return result;
   },
@@ -123,7 +194,7 @@ const Utils = {
   
   // Get time to peak after event
   getTimeToPeak(windowData) {
-    const postEvent = windowData.filter(d => d.days_from_event >= 0);
+    const postEvent = windowData.filter(d => d.days_from_event >= 0 && this.isReported(d.adiz_count));
     if (postEvent.length === 0) return null;
     
     const maxEntry = postEvent.reduce((max, curr) => 
@@ -139,8 +210,9 @@ const Utils = {
   
   // Calculate persistence (days above threshold)
   getPersistence(windowData, threshold) {
+    if (!this.isReported(threshold)) return null;
     return windowData.filter(d => 
-      d.days_from_event >= 0 && d.adiz_count > threshold
+      d.days_from_event >= 0 && this.isReported(d.adiz_count) && d.adiz_count > threshold
     ).length;
   }
 };
@@ -0,0 +1,166 @@
+// workspace.js - Named dataset versions persisted in IndexedDB
+// Every module page opens the active version, so switching datasets (e.g. the
+// official MND feed vs a team-curated copy) applies across the whole dashboard
+// and survives browser restarts. Module 8's classifier rule sets and the saved event
+// filter expressions are kept alongside
+
+const Workspace = {
+  DB_NAME: 'adiz-dashboard',
+  DB_VERSION: 3,
+  VERSIONS_STORE: 'versions',
+  META_STORE: 'meta',
+  RULES_STORE: 'ruleSets',
+  FILTERS_STORE: 'filters',
+  ACTIVE_KEY: 'activeVersionId',
+  
+  db: null,
+  
+  // IndexedDB is missing in some private-browsing modes and outside browsers
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  },
+  
+  async open() {
+    if (this.db) return this.db;
+    if (!this.isAvailable()) {
+      throw new Error('IndexedDB is not available in this browser');
+    }
+    
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.VERSIONS_STORE)) {
+          db.createObjectStore(this.VERSIONS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.META_STORE)) {
+          db.createObjectStore(this.META_STORE);
+        }
+        if (!db.objectStoreNames.contains(this.RULES_STORE)) {
+          db.createObjectStore(this.RULES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.FILTERS_STORE)) {
+          db.createObjectStore(this.FILTERS_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Workspace database is blocked by another open tab'));
+    });
+    
+    // Another tab upgrading the schema: let it, and reopen on next use
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+    
+    return this.db;
+  },
+  
+  /**
+   * Run one request inside a transaction and resolve when the transaction commits
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      let result;
+      if (request) request.onsuccess = () => { result = request.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Workspace transaction aborted'));
+    });
+  },
+  
+  /**
+   * Store DATA as a new named version (or overwrite one when options.id is given)
+   * @param {object} options - {id, source, description}
+   * @returns {Promise<object>} The version's metadata (without the data itself)
+   */
+  async saveVersion(name, DATA, options = {}) {
+    const now = new Date().toISOString();
+    const existing = options.id ? await this.getVersion(options.id) : null;
+    
+    const version = {
+      id: options.id || `v-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name || 'Untitled dataset',
+      description: options.description ?? (existing ? existing.description : ''),
+      source: options.source ?? (existing ? existing.source : ''),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      summary: this.summarize(DATA),
+      data: DATA
+    };
+    
+    await this.run(this.VERSIONS_STORE, 'readwrite', store => store.put(version));
+    return this.withoutData(version);
+  },
+  
+  async getVersion(id) {
+    return (await this.run(this.VERSIONS_STORE, 'readonly', store => store.get(id))) || null;
+  },
+  
+  /**
+   * All versions, newest first, without their data
+   */
+  async listVersions() {
+    const versions = await this.run(this.VERSIONS_STORE, 'readonly', store => store.getAll());
+    return (versions || [])
+      .map(v => this.withoutData(v))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  },
+  
+  async renameVersion(id, name) {
+    const version = await this.getVersion(id);
+    if (!version) throw new Error(`Dataset version ${id} not found`);
+    version.name = name;
+    version.updatedAt = new Date().toISOString();
+    await this.run(this.VERSIONS_STORE, 'readwrite', store => store.put(version));
+    return this.withoutData(version);
+  },
+  
+  /**
+   * Delete a version; deleting the active one leaves no active version
+   */
+  async deleteVersion(id) {
+    if (await this.getActiveId() === id) {
+      await this.run(this.META_STORE, 'readwrite', store => store.delete(this.ACTIVE_KEY));
+    }
+    await this.run(this.VERSIONS_STORE, 'readwrite', store => store.delete(id));
+  },
+  
+  async getActiveId() {
+    return (await this.run(this.META_STORE, 'readonly', store => store.get(this.ACTIVE_KEY))) || null;
+  },
+  
+  async setActive(id) {
+    if (!(await this.getVersion(id))) throw new Error(`Dataset version ${id} not found`);
+    await this.run(this.META_STORE, 'readwrite', store => store.put(id, this.ACTIVE_KEY));
+  },
+  
+  /**
+   * The active version including its data, or null
+   */
+  async getActive() {
+    const id = await this.getActiveId();
+    return id ? this.getVersion(id) : null;
+  },
+  
+  withoutData(version) {
+    const { data, ...meta } = version;
+    return meta;
+  },
+  
+  // Row counts per dataset, shown in the version list
+  summarize(DATA) {
+    const summary = {};
+    Object.keys(DATA || {}).forEach(key => {
+      if (Array.isArray(DATA[key])) summary[key] = DATA[key].length;
+    });
+    return summary;
+  }
+};
+
+export default Workspace;
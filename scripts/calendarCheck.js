@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// calendarCheck.js - Checks that calendar-date arithmetic does not depend on the time zone
+// Runs the CalendarDate / Utils date functions and a rolling anomaly score under UTC,
+// Taipei and Los Angeles (crossing that zone's DST changes), asserts the expected dates and
+// confirms every zone produced identical results. Exit status is 0 when all pass.
+//   node scripts/calendarCheck.js
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import CalendarDate from '../js/core/calendarDate.js';
+import Utils from '../js/core/utils.js';
+import Anomaly from '../js/core/anomaly.js';
+
+const CalendarCheck = {
+  ZONES: ['UTC', 'Asia/Taipei', 'America/Los_Angeles'],
+  
+  // Set in the child process that runs the checks under one zone
+  CHILD_FLAG: '--zone-run',
+  
+  // [name, check]; each check asserts and returns values compared across zones
+  CHECKS: [
+    ['addDays', () => {
+      const cases = [
+        ['2024-03-09', 1, '2024-03-10'],   // Los Angeles springs forward on 2024-03-10
+        ['2024-03-10', 1, '2024-03-11'],
+        ['2024-11-03', 1, '2024-11-04'],   // ...and falls back on 2024-11-03
+        ['2024-02-28', 1, '2024-02-29'],
+        ['2023-02-28', 1, '2023-03-01'],
+        ['2025-01-01', -1, '2024-12-31'],
+        ['2024-03-31', -30, '2024-03-01']
+      ];
+      cases.forEach(([date, days, expected]) => {
+        assert.equal(Utils.addDays(date, days), expected, `addDays(${date}, ${days})`);
+        assert.equal(CalendarDate.add(date, days), expected, `CalendarDate.add(${date}, ${days})`);
+      });
+      return cases.map(([date, days]) => Utils.addDays(date, days));
+    }],
+    
+    ['diff', () => {
+      const cases = [
+        ['2024-03-09', '2024-03-11', 2],
+        ['2024-11-02', '2024-11-04', 2],
+        ['2024-01-01', '2025-01-01', 366],
+        ['2023-01-01', '2024-01-01', 365],
+        ['2024-03-11', '2024-03-09', -2]
+      ];
+      cases.forEach(([from, to, expected]) => {
+        assert.equal(Utils.daysDiff(from, to), expected, `daysDiff(${from}, ${to})`);
+        assert.equal(CalendarDate.diff(from, to), expected, `CalendarDate.diff(${from}, ${to})`);
+      });
+      return cases.map(([from, to]) => Utils.daysDiff(from, to));
+    }],
+    
+    ['iterate', () => {
+      const dates = CalendarDate.range('2024-10-30', '2024-11-06');
+      assert.equal(dates.length, 8);
+      dates.slice(1).forEach((date, i) => assert.equal(CalendarDate.diff(dates[i], date), 1, `step to ${date}`));
+      assert.deepEqual(CalendarDate.range('2024-03-11', '2024-03-10'), []);
+      return dates;
+    }],
+    
+    ['getDateWindow', () => {
+      const window = Utils.getDateWindow('2024-03-10', 3);
+      assert.deepEqual(window, ['2024-03-07', '2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11', '2024-03-12', '2024-03-13']);
+      return window;
+    }],
+    
+    ['DST boundary', () => {
+      // Sundays both DST changes fall on, and the window data and weekdays around them
+      assert.equal(CalendarDate.weekday('2024-03-10'), 0);
+      assert.equal(CalendarDate.weekday('2024-11-03'), 0);
+      assert.deepEqual(CalendarDate.isoWeek('2024-11-03'), { year: 2024, week: 44 });
+      
+      const map = Utils.createBaselineMap(CalendarDate.range('2024-11-01', '2024-11-05')
+        .map((date, i) => ({ Date: date, ADIZ_count: i * 10 })));
+      const points = Utils.getWindowData('2024-11-03', 2, map, 'skip');
+      assert.deepEqual(points.map(p => [p.date, p.days_from_event, p.adiz_count]), [
+        ['2024-11-01', -2, 0],
+        ['2024-11-02', -1, 10],
+        ['2024-11-03', 0, 20],
+        ['2024-11-04', 1, 30],
+        ['2024-11-05', 2, 40]
+      ]);
+      return points;
+    }],
+    
+    ['anomaly window', () => {
+      // A 60-day trailing window that crosses the spring-forward day; the spike after it
+      // must be scored against exactly the 60 reported days before it
+      const dates = CalendarDate.range('2024-01-15', '2024-03-15');
+      const map = Utils.createBaselineMap(dates.map((date, i) => ({ Date: date, ADIZ_count: date === '2024-03-15' ? 80 : 10 + (i % 5) })));
+      const scored = Anomaly.scoreDays(map);
+      const spike = scored[scored.length - 1];
+      assert.equal(spike.date, '2024-03-15');
+      assert.equal(spike.baseline, 12);
+      assert.equal(spike.anomalous, true);
+      return scored.map(d => [d.date, d.baseline, d.score]);
+    }]
+  ],
+  
+  // Child: run every check in this process's zone and print the results as JSON
+  runChecks() {
+    const results = {};
+    this.CHECKS.forEach(([name, check]) => {
+      results[name] = check();
+    });
+    process.stdout.write(JSON.stringify(results));
+  },
+  
+  main() {
+    const script = fileURLToPath(import.meta.url);
+    const outputs = {};
+    let failed = false;
+    
+    this.ZONES.forEach(zone => {
+      try {
+        outputs[zone] = execFileSync(process.execPath, [script, this.CHILD_FLAG], {
+          env: { ...process.env, TZ: zone },
+          encoding: 'utf8',
+          stdio: ['ignore', 'pipe', 'pipe']
+        });
+        // Make sure the zone took effect (Taipei and Los Angeles are never at UTC in January)
+        const offset = Number(execFileSync(process.execPath, ['-e', 'process.stdout.write(String(new Date(2024, 0, 1).getTimezoneOffset()))'], {
+          env: { ...process.env, TZ: zone },
+          encoding: 'utf8'
+        }));
+        if (zone !== 'UTC' && offset === 0) {
+          throw new Error(`TZ=${zone} was not applied (no time-zone data in this Node build?)`);
+        }
+        console.log(`ok    ${zone}`);
+      } catch (error) {
+        failed = true;
+        console.log(`FAIL  ${zone}\n${error.stderr || error.message}`);
+      }
+    });
+    
+    const [reference, ...others] = this.ZONES.filter(zone => outputs[zone] !== undefined);
+    others.forEach(zone => {
+      if (outputs[zone] !== outputs[reference]) {
+        failed = true;
+        console.log(`FAIL  ${zone} results differ from ${reference}`);
+      }
+    });
+    
+    console.log(failed ? 'Calendar checks failed' : `Calendar checks passed in ${this.ZONES.join(', ')}`);
+    return failed ? 1 : 0;
+  }
+};
+
+if (process.argv.includes(CalendarCheck.CHILD_FLAG)) {
+  CalendarCheck.runChecks();
+} else {
+  process.exitCode = CalendarCheck.main();
+}